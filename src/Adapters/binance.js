@@ -0,0 +1,259 @@
+import { subscribe as subscribeStream, onStatusChange } from '../services/binanceStream'
+import { transportFetch } from '../services/transport'
+
+/**
+ * Binance adapter - combined-stream WebSocket + public REST API
+ *
+ * Streams go through the shared connection in services/binanceStream.js.
+ * Binance symbols are just base + quote (ETHUSDT), which is also how pairs
+ * are named across the app, so markets map straight through.
+ *
+ * Depth follows Binance's "How to manage a local order book correctly":
+ * 1. Open the <symbol>@depth stream and buffer events
+ * 2. Fetch /api/v3/depth - it carries a lastUpdateId
+ * 3. Drop buffered events with u <= lastUpdateId
+ * 4. The first applied event must straddle the snapshot: U <= lastUpdateId + 1 <= u
+ * 5. Every following event must start where the previous ended: U === previous u + 1
+ *
+ * Any break in the U/u chain means we missed updates (dropped socket, slow tab),
+ * so we emit a reset and start over from a fresh snapshot.
+ */
+
+const REST_URL = 'https://api.binance.com/api/v3'
+
+// Levels per side requested from /api/v3/depth (request weight 50; 5000 costs 250)
+const SNAPSHOT_LIMIT = 1000
+
+// Diff events kept while waiting for a snapshot
+const MAX_BUFFERED_EVENTS = 1000
+
+// Wait before retrying a snapshot that failed or was too old, doubling
+// with each failure in a row up to the max - the snapshot costs 50 request
+// weight, and hammering it gets the IP banned
+const RESYNC_DELAY = 1000
+const MAX_RESYNC_DELAY = 30000
+
+const MARKETS = {
+  ETHUSDT: 'ETHUSDT',
+  ETHUSDC: 'ETHUSDC',
+  ETHFDUSD: 'ETHFDUSD',
+  ETHBTC: 'ETHBTC',
+  ETHEUR: 'ETHEUR',
+  ETHTRY: 'ETHTRY',
+  ETHBRL: 'ETHBRL',
+}
+
+const streamName = (symbol, suffix) => `${symbol.toLowerCase()}@${suffix}`
+
+/**
+ * Fetch klines from Binance REST and convert to chart format
+ * `endTime` (ms) limits results to candles opening at or before it
+ */
+async function fetchKlines(symbol, interval, limit, endTime) {
+  let url = `${REST_URL}/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`
+  if (endTime) {
+    url += `&endTime=${endTime}`
+  }
+
+  const response = await transportFetch(url)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  // Binance returns: [openTime, open, high, low, close, volume, closeTime, ...]
+  return data.map(candle => ({
+    time: Math.floor(candle[0] / 1000), // Convert ms to seconds for lightweight-charts
+    open: parseFloat(candle[1]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    close: parseFloat(candle[4]),
+    volume: parseFloat(candle[5]),
+  }))
+}
+
+async function fetchDepthSnapshot(symbol) {
+  const response = await transportFetch(`${REST_URL}/depth?symbol=${symbol}&limit=${SNAPSHOT_LIMIT}`)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Binance sends: { e: '24hrTicker', E: eventTime, c: last, p: change, P: change%, h, l, v, q, ... }
+function subscribeTicker({ symbol }, handler) {
+  return subscribeStream(streamName(symbol, 'ticker'), ticker => handler({
+    price: parseFloat(ticker.c),              // Current price
+    priceChange: parseFloat(ticker.p),        // 24h price change
+    priceChangePercent: parseFloat(ticker.P), // 24h price change %
+    high24h: parseFloat(ticker.h),            // 24h high
+    low24h: parseFloat(ticker.l),             // 24h low
+    volume24h: parseFloat(ticker.v),          // 24h base volume
+    quoteVolume24h: parseFloat(ticker.q),     // 24h quote volume
+    eventTime: ticker.E,
+  }))
+}
+
+// Binance sends: { e: 'aggTrade', E: eventTime, a: aggTradeId, p: price, q: quantity, T: tradeTime, m: isBuyerMaker }
+// aggTrade rather than @trade: one taker order filling against several makers
+// at the same price arrives as one trade, which is what a tape should show
+function subscribeTrades({ symbol }, handler) {
+  return subscribeStream(streamName(symbol, 'aggTrade'), trade => handler({
+    id: trade.a,
+    time: trade.T,
+    price: parseFloat(trade.p),
+    quantity: parseFloat(trade.q),
+    // If the buyer was the maker, the taker (the one crossing the spread) sold
+    isBuy: !trade.m,
+    eventTime: trade.E,
+  }))
+}
+
+// Binance sends: { k: { t: openTime, o, h, l, c, v, i: interval, s: symbol, x: isClosed } }
+function subscribeKlines({ symbol, interval }, handler) {
+  return subscribeStream(streamName(symbol, `kline_${interval}`), ({ k }) => handler({
+    time: Math.floor(k.t / 1000),
+    open: parseFloat(k.o),
+    high: parseFloat(k.h),
+    low: parseFloat(k.l),
+    close: parseFloat(k.c),
+    volume: parseFloat(k.v), // Cumulative for the candle so far, not a delta
+  }))
+}
+
+/**
+ * Diff stream in 100ms batches, sequenced against a REST snapshot
+ * Binance sends: { e: 'depthUpdate', E: eventTime, U: firstUpdateId, u: finalUpdateId, b: [["price", "qty"], ...], a: [...] }
+ */
+function subscribeDepth({ symbol }, handler) {
+  let lastUpdateId = null   // null until a snapshot is in
+  let bridged = false       // true once an event has been applied on top of the snapshot
+  let buffer = []           // Diff events waiting for the snapshot
+  let syncing = false       // Snapshot request in flight
+  let retryPending = false  // Waiting out the delay before the next snapshot
+  let failures = 0          // Snapshots in a row that failed or were too old
+  let syncId = 0            // Bumped to invalidate in-flight snapshots
+  let retryTimeout = null
+
+  // 'applied', 'stale' (entirely older than the book) or 'gap' (updates missing)
+  const apply = (event) => {
+    if (event.u <= lastUpdateId) return 'stale'
+
+    const expected = lastUpdateId + 1
+    if (bridged ? event.U !== expected : event.U > expected) return 'gap'
+
+    lastUpdateId = event.u
+    bridged = true
+    handler({ type: 'update', bids: event.b, asks: event.a, eventTime: event.E })
+    return 'applied'
+  }
+
+  // Throw the book away and rebuild it from a new snapshot
+  const resync = async () => {
+    const id = ++syncId
+    clearTimeout(retryTimeout)
+    lastUpdateId = null
+    bridged = false
+    syncing = true
+    retryPending = false
+    handler({ type: 'reset' })
+
+    // Incoming events keep buffering meanwhile, but don't trigger a resync
+    const retry = () => {
+      syncing = false
+      retryPending = true
+      const delay = Math.min(RESYNC_DELAY * 2 ** failures, MAX_RESYNC_DELAY)
+      failures++
+      retryTimeout = setTimeout(() => {
+        retryPending = false
+        if (id === syncId) resync()
+      }, delay)
+    }
+
+    try {
+      const snapshot = await fetchDepthSnapshot(symbol)
+      if (id !== syncId) return
+
+      lastUpdateId = snapshot.lastUpdateId
+      const buffered = buffer
+      buffer = []
+
+      // Check the buffer bridges the snapshot before publishing anything
+      const first = buffered.find(event => event.u > lastUpdateId)
+      if (first && first.U > lastUpdateId + 1) {
+        // Snapshot is older than the first event we have - fetch another
+        console.warn('Order book snapshot out of date, retrying')
+        lastUpdateId = null
+        retry()
+        return
+      }
+
+      syncing = false
+      failures = 0
+      handler({ type: 'snapshot', bids: snapshot.bids, asks: snapshot.asks })
+
+      // Replay everything that arrived while the snapshot was loading
+      for (const event of buffered) {
+        if (apply(event) === 'gap') {
+          console.warn('Order book sequence gap, resyncing')
+          resync()
+          return
+        }
+      }
+    } catch (err) {
+      if (id !== syncId) return
+      console.error('Failed to fetch order book snapshot:', err)
+      retry()
+    }
+  }
+
+  const handleDepth = (event) => {
+    if (lastUpdateId === null) {
+      buffer.push(event)
+      if (buffer.length > MAX_BUFFERED_EVENTS) {
+        buffer.shift()
+      }
+      // The snapshot is requested after the first event is buffered,
+      // so it can't predate the start of our buffer
+      if (!syncing && !retryPending) {
+        resync()
+      }
+      return
+    }
+
+    if (apply(event) === 'gap') {
+      console.warn('Order book sequence gap, resyncing')
+      buffer = [event]
+      resync()
+    }
+  }
+
+  const unsubscribe = subscribeStream(streamName(symbol, 'depth@100ms'), handleDepth)
+
+  return () => {
+    syncId++
+    clearTimeout(retryTimeout)
+    unsubscribe()
+  }
+}
+
+const SUBSCRIBERS = {
+  ticker: subscribeTicker,
+  trades: subscribeTrades,
+  klines: subscribeKlines,
+  depth: subscribeDepth,
+}
+
+export const binance = {
+  id: 'binance',
+  name: 'Binance',
+  markets: MARKETS,
+  maxKlines: 1000,
+  fetchKlines: (symbol, interval, limit, endTime) => fetchKlines(MARKETS[symbol] || symbol, interval, limit, endTime),
+  subscribe: (channel, params, handler) => SUBSCRIBERS[channel]({ ...params, symbol: MARKETS[params.symbol] || params.symbol }, handler),
+  onStatusChange,
+}
@@ -0,0 +1,217 @@
+import { createExchangeSocket } from '../services/exchangeSocket'
+import { transportFetch } from '../services/transport'
+
+/**
+ * Coinbase adapter - Exchange WebSocket feed + public REST API
+ *
+ * Channels used (all public, no auth):
+ * - ticker:        last price plus 24h open/high/low/volume
+ * - matches:       individual trades
+ * - level2_batch:  full book snapshot, then batched level changes every 50ms
+ *
+ * There's no candle channel, so the forming candle is built from matches
+ * on top of the latest REST candle. Its volume can be off by the trades
+ * that land between the REST response and the first match - close enough
+ * for a live bar, and the next reload corrects it.
+ *
+ * Coinbase merged its USDC books into USD, so there's no separate
+ * ETH/USDC market - pick ETH/USD instead.
+ */
+
+const WS_URL = 'wss://ws-feed.exchange.coinbase.com'
+const REST_URL = 'https://api.exchange.coinbase.com'
+
+// Candles per /candles request
+const MAX_KLINES = 300
+
+const MARKETS = {
+  ETHUSD: 'ETH-USD',
+  ETHUSDT: 'ETH-USDT',
+  ETHBTC: 'ETH-BTC',
+  ETHEUR: 'ETH-EUR',
+}
+
+// Candle sizes in seconds, keyed by the app's interval names
+const GRANULARITY = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '1d': 86400,
+}
+
+// Which subscription a feed message belongs to
+const CHANNEL_BY_TYPE = {
+  ticker: 'ticker',
+  match: 'matches',
+  last_match: 'matches',
+  snapshot: 'level2_batch',
+  l2update: 'level2_batch',
+}
+
+const socket = createExchangeSocket({
+  name: 'Coinbase',
+  url: WS_URL,
+  subscribeMessage: ({ channel, product }) => ({ type: 'subscribe', product_ids: [product], channels: [channel] }),
+  unsubscribeMessage: ({ channel, product }) => ({ type: 'unsubscribe', product_ids: [product], channels: [channel] }),
+  route: (message) => {
+    if (message.type === 'error') {
+      console.error('Coinbase feed error:', message.message, message.reason)
+      return null
+    }
+    const channel = CHANNEL_BY_TYPE[message.type]
+    return channel ? `${channel}:${message.product_id}` : null
+  },
+})
+
+function subscribeChannel(channel, product, handler) {
+  return socket.subscribe(`${channel}:${product}`, { channel, product }, handler)
+}
+
+/**
+ * Fetch candles ending at `endTime` (ms, default now), oldest first
+ * Coinbase returns: [[time, low, high, open, close, volume], ...] newest first
+ */
+async function fetchKlines(product, interval, limit, endTime) {
+  const granularity = GRANULARITY[interval]
+  if (!granularity) {
+    throw new Error(`Unsupported interval: ${interval}`)
+  }
+
+  const count = Math.min(limit, MAX_KLINES)
+  const end = endTime || Date.now()
+  const start = end - (count - 1) * granularity * 1000
+  const url = `${REST_URL}/products/${product}/candles?granularity=${granularity}` +
+    `&start=${new Date(start).toISOString()}&end=${new Date(end).toISOString()}`
+
+  const response = await transportFetch(url)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  return data
+    .map(([time, low, high, open, close, volume]) => ({ time, open, high, low, close, volume }))
+    .sort((a, b) => a.time - b.time)
+}
+
+// Coinbase sends: { type: 'ticker', price, open_24h, high_24h, low_24h, volume_24h, time, ... }
+function subscribeTicker({ product }, handler) {
+  return subscribeChannel('ticker', product, ticker => {
+    const price = parseFloat(ticker.price)
+    const open = parseFloat(ticker.open_24h)
+    const volume = parseFloat(ticker.volume_24h)
+
+    handler({
+      price,
+      priceChange: price - open,
+      priceChangePercent: open ? ((price - open) / open) * 100 : 0,
+      high24h: parseFloat(ticker.high_24h),
+      low24h: parseFloat(ticker.low_24h),
+      volume24h: volume,
+      quoteVolume24h: volume * price, // Not reported - estimated at the last price
+      eventTime: Date.parse(ticker.time),
+    })
+  })
+}
+
+// Coinbase sends: { type: 'match', trade_id, side, size, price, time, ... }
+// `side` is the maker's side, so a 'sell' maker means the taker bought
+function subscribeTrades({ product }, handler) {
+  return subscribeChannel('matches', product, match => handler({
+    id: match.trade_id,
+    time: Date.parse(match.time),
+    price: parseFloat(match.price),
+    quantity: parseFloat(match.size),
+    isBuy: match.side === 'sell',
+  }))
+}
+
+// Coinbase sends: { type: 'snapshot', bids: [["price", "size"], ...], asks }
+// then: { type: 'l2update', changes: [["buy" | "sell", "price", "size"], ...] }
+function subscribeDepth({ product }, handler) {
+  return subscribeChannel('level2_batch', product, message => {
+    if (message.type === 'snapshot') {
+      handler({ type: 'snapshot', bids: message.bids, asks: message.asks })
+      return
+    }
+
+    const bids = []
+    const asks = []
+    message.changes.forEach(([side, price, size]) => {
+      if (side === 'buy') {
+        bids.push([price, size])
+      } else {
+        asks.push([price, size])
+      }
+    })
+    handler({ type: 'update', bids, asks })
+  })
+}
+
+// Forming candle built from matches, seeded with the latest REST candle
+function subscribeKlines({ product, interval }, handler) {
+  const granularity = GRANULARITY[interval]
+  let candle = null
+  let active = true
+
+  // Two candles, since a one-candle window can come back empty right at the rollover
+  fetchKlines(product, interval, 2)
+    .then(candles => {
+      const latest = candles[candles.length - 1]
+      if (!active || !latest) return
+      if (!candle || latest.time > candle.time) {
+        candle = latest
+      } else if (latest.time === candle.time) {
+        candle = {
+          ...candle,
+          open: latest.open,
+          high: Math.max(candle.high, latest.high),
+          low: Math.min(candle.low, latest.low),
+          volume: Math.max(candle.volume, latest.volume),
+        }
+      }
+      handler({ ...candle })
+    })
+    .catch(err => console.error('Failed to seed live candle:', err))
+
+  const unsubscribe = subscribeTrades({ product }, trade => {
+    const time = Math.floor(trade.time / 1000 / granularity) * granularity
+
+    if (!candle || time > candle.time) {
+      candle = { time, open: trade.price, high: trade.price, low: trade.price, close: trade.price, volume: 0 }
+    } else if (time < candle.time) {
+      return
+    }
+
+    candle.high = Math.max(candle.high, trade.price)
+    candle.low = Math.min(candle.low, trade.price)
+    candle.close = trade.price
+    candle.volume += trade.quantity
+    handler({ ...candle })
+  })
+
+  return () => {
+    active = false
+    unsubscribe()
+  }
+}
+
+const SUBSCRIBERS = {
+  ticker: subscribeTicker,
+  trades: subscribeTrades,
+  klines: subscribeKlines,
+  depth: subscribeDepth,
+}
+
+export const coinbase = {
+  id: 'coinbase',
+  name: 'Coinbase',
+  markets: MARKETS,
+  maxKlines: MAX_KLINES,
+  fetchKlines: (symbol, interval, limit, endTime) => fetchKlines(MARKETS[symbol], interval, limit, endTime),
+  subscribe: (channel, params, handler) => SUBSCRIBERS[channel]({ ...params, product: MARKETS[params.symbol] }, handler),
+  onStatusChange: socket.onStatusChange,
+}
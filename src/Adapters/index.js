@@ -0,0 +1,73 @@
+import { binance } from './binance'
+import { coinbase } from './coinbase'
+import { kraken } from './kraken'
+import { simulated, SIMULATED } from './simulated'
+import { PAIRS, DEFAULT_SYMBOL } from '../utils/pairs'
+
+/**
+ * Exchange adapters - the only code that knows exchange URLs and message shapes
+ *
+ * Hooks ask an adapter for data in one normalized format, so components
+ * work the same whichever exchange is selected. Symbols are always the
+ * app's own pair names (ETHUSDT, ETHUSD, ...); each adapter maps them to
+ * its market names.
+ *
+ * Adapter interface:
+ *   {
+ *     id, name,
+ *     markets,     // { ETHUSDT: '<exchange market>', ... } - pairs it supports
+ *     maxKlines,   // candles per fetchKlines call
+ *     fetchKlines(symbol, interval, limit, endTime?) -> Promise<candle[]>, oldest first
+ *     subscribe(channel, { symbol, interval? }, handler) -> unsubscribe
+ *     onStatusChange(listener) -> unsubscribe  // connecting, connected, error
+ *   }
+ *
+ * Channels and what the handler receives:
+ * - ticker: { price, priceChange, priceChangePercent, high24h, low24h,
+ *             volume24h, quoteVolume24h, eventTime }
+ * - trades: { id, time, price, quantity, isBuy } - one call per trade, isBuy = taker bought
+ * - klines: { time (seconds), open, high, low, close, volume } - the forming candle
+ * - depth:  { type: 'snapshot', bids, asks, maxLevels? } a full book,
+ *           { type: 'update', bids, asks } changed levels (qty 0 removes),
+ *           { type: 'reset' } the book is out of sync until the next snapshot
+ *           Levels are [["price", qty], ...] with prices as strings.
+ *
+ * Any event may also carry `eventTime` - when the exchange sent it, in ms on
+ * the exchange's clock. Feed health (services/feedHealth.js) uses it for latency.
+ *
+ * Intervals use the app's names: 1m, 5m, 15m, 1h, 1d.
+ *
+ * In simulated mode (`?sim=1` or VITE_SIMULATED=1) the simulated adapter is
+ * the only exchange, so nothing reaches a real one - see adapters/simulated.js.
+ */
+
+export const EXCHANGES = SIMULATED ? [simulated] : [binance, coinbase, kraken]
+
+export const DEFAULT_EXCHANGE = SIMULATED ? 'simulated' : 'binance'
+
+/**
+ * Adapter by id, falling back to the default for unknown ids
+ */
+export function getAdapter(id) {
+  return EXCHANGES.find(exchange => exchange.id === id)
+    || EXCHANGES.find(exchange => exchange.id === DEFAULT_EXCHANGE)
+}
+
+/**
+ * Pairs from our list the exchange trades
+ */
+export function exchangePairs(id) {
+  const { markets } = getAdapter(id)
+  return PAIRS.filter(pair => markets[pair.symbol])
+}
+
+/**
+ * `symbol` if the exchange trades it, otherwise the closest stand-in:
+ * the default pair, else the exchange's first supported pair
+ */
+export function supportedSymbol(id, symbol) {
+  const { markets } = getAdapter(id)
+  if (markets[symbol]) return symbol
+  if (markets[DEFAULT_SYMBOL]) return DEFAULT_SYMBOL
+  return exchangePairs(id)[0].symbol
+}
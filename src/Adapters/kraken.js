@@ -0,0 +1,187 @@
+import { createExchangeSocket } from '../services/exchangeSocket'
+import { transportFetch } from '../services/transport'
+
+/**
+ * Kraken adapter - WebSocket API v2 + public REST API
+ *
+ * Channels used (all public, no auth):
+ * - ticker: last price plus 24h high/low/volume/change
+ * - trade:  individual trades, `side` is the taker's
+ * - book:   snapshot then level updates, limited to BOOK_DEPTH per side
+ * - ohlc:   forming candle for the subscribed interval
+ *
+ * Limits worth knowing:
+ * - REST /OHLC only serves the latest 720 candles of an interval, so
+ *   scrolling back stops there
+ * - The book feed doesn't send removals for levels pushed out past the
+ *   subscribed depth; the snapshot event says how deep to trim
+ * - Book checksums aren't verified - a missed update only lasts until
+ *   the next resubscribe
+ */
+
+const WS_URL = 'wss://ws.kraken.com/v2'
+const REST_URL = 'https://api.kraken.com/0/public'
+
+const BOOK_DEPTH = 1000
+
+// Our symbol -> WebSocket symbol
+const MARKETS = {
+  ETHUSD: 'ETH/USD',
+  ETHUSDT: 'ETH/USDT',
+  ETHUSDC: 'ETH/USDC',
+  ETHBTC: 'ETH/BTC',
+  ETHEUR: 'ETH/EUR',
+}
+
+// REST still uses the legacy pair names (XBT for bitcoin)
+const REST_PAIRS = {
+  ETHUSD: 'ETHUSD',
+  ETHUSDT: 'ETHUSDT',
+  ETHUSDC: 'ETHUSDC',
+  ETHBTC: 'ETHXBT',
+  ETHEUR: 'ETHEUR',
+}
+
+// Candle sizes in minutes, keyed by the app's interval names
+const INTERVAL_MINUTES = {
+  '1m': 1,
+  '5m': 5,
+  '15m': 15,
+  '1h': 60,
+  '1d': 1440,
+}
+
+const channelKey = (channel, symbol, interval) => [channel, symbol, interval].filter(Boolean).join(':')
+
+const socket = createExchangeSocket({
+  name: 'Kraken',
+  url: WS_URL,
+  subscribeMessage: (params) => ({ method: 'subscribe', params }),
+  unsubscribeMessage: (params) => ({ method: 'unsubscribe', params }),
+  route: (message) => {
+    if (message.method && message.success === false) {
+      console.error('Kraken subscription error:', message.error)
+      return null
+    }
+    const item = message.data?.[0]
+    if (!item?.symbol) return null
+    return channelKey(message.channel, item.symbol, item.interval)
+  },
+})
+
+function subscribeChannel(params, handler) {
+  const key = channelKey(params.channel, params.symbol[0], params.interval)
+  return socket.subscribe(key, params, handler)
+}
+
+/**
+ * Fetch the latest `limit` candles, oldest first
+ * Kraken returns: { result: { XETHZUSD: [[time, open, high, low, close, vwap, volume, count], ...], last } }
+ */
+async function fetchKlines(symbol, interval, limit, endTime) {
+  // No paging past the latest 720 candles
+  if (endTime) return []
+
+  const minutes = INTERVAL_MINUTES[interval]
+  if (!minutes) {
+    throw new Error(`Unsupported interval: ${interval}`)
+  }
+
+  const response = await transportFetch(`${REST_URL}/OHLC?pair=${REST_PAIRS[symbol]}&interval=${minutes}`)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+
+  const data = await response.json()
+  if (data.error?.length) {
+    throw new Error(data.error.join(', '))
+  }
+
+  const key = Object.keys(data.result).find(k => k !== 'last')
+  return data.result[key].slice(-limit).map(candle => ({
+    time: candle[0],
+    open: parseFloat(candle[1]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    close: parseFloat(candle[4]),
+    volume: parseFloat(candle[6]),
+  }))
+}
+
+// Kraken sends: { channel: 'ticker', data: [{ symbol, last, high, low, volume, vwap, change, change_pct }] }
+function subscribeTicker({ market }, handler) {
+  return subscribeChannel({ channel: 'ticker', symbol: [market] }, ({ data }) => {
+    const ticker = data[0]
+    handler({
+      price: ticker.last,
+      priceChange: ticker.change,
+      priceChangePercent: ticker.change_pct,
+      high24h: ticker.high,
+      low24h: ticker.low,
+      volume24h: ticker.volume,
+      quoteVolume24h: ticker.volume * ticker.vwap,
+      eventTime: ticker.timestamp ? Date.parse(ticker.timestamp) : null,
+    })
+  })
+}
+
+// Kraken sends: { channel: 'trade', data: [{ trade_id, side, price, qty, timestamp }, ...] }
+function subscribeTrades({ market }, handler) {
+  return subscribeChannel({ channel: 'trade', symbol: [market] }, ({ data }) => {
+    data.forEach(trade => handler({
+      id: trade.trade_id,
+      time: Date.parse(trade.timestamp),
+      price: trade.price,
+      quantity: trade.qty,
+      isBuy: trade.side === 'buy',
+    }))
+  })
+}
+
+// Kraken sends: { channel: 'book', type: 'snapshot' | 'update', data: [{ bids: [{ price, qty }], asks }] }
+function subscribeDepth({ market }, handler) {
+  // Numbers on the wire - stringify so they key the local book like other exchanges
+  const toLevels = (levels) => levels.map(({ price, qty }) => [String(price), qty])
+
+  return subscribeChannel({ channel: 'book', symbol: [market], depth: BOOK_DEPTH }, ({ type, data }) => {
+    const { bids, asks } = data[0]
+    handler(type === 'snapshot'
+      ? { type: 'snapshot', bids: toLevels(bids), asks: toLevels(asks), maxLevels: BOOK_DEPTH }
+      : { type: 'update', bids: toLevels(bids), asks: toLevels(asks) })
+  })
+}
+
+// Kraken sends: { channel: 'ohlc', data: [{ open, high, low, close, volume, interval_begin }] }
+function subscribeKlines({ market, interval }, handler) {
+  return subscribeChannel(
+    { channel: 'ohlc', symbol: [market], interval: INTERVAL_MINUTES[interval] },
+    ({ data }) => {
+      data.forEach(candle => handler({
+        time: Math.floor(Date.parse(candle.interval_begin) / 1000),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+      }))
+    }
+  )
+}
+
+const SUBSCRIBERS = {
+  ticker: subscribeTicker,
+  trades: subscribeTrades,
+  klines: subscribeKlines,
+  depth: subscribeDepth,
+}
+
+export const kraken = {
+  id: 'kraken',
+  name: 'Kraken',
+  markets: MARKETS,
+  maxKlines: 720,
+  fetchKlines,
+  subscribe: (channel, params, handler) => SUBSCRIBERS[channel]({ ...params, market: MARKETS[params.symbol] }, handler),
+  onStatusChange: socket.onStatusChange,
+}
@@ -0,0 +1,421 @@
+import { PAIRS, getPair } from '../utils/pairs'
+
+/**
+ * Simulated adapter - a random-walk market that never touches the network
+ *
+ * For developing and demoing where the exchanges are blocked (CI, some
+ * offices). Turned on with `?sim=1` in the URL or VITE_SIMULATED=1 at build
+ * time; it then replaces every real exchange (see adapters/index.js).
+ *
+ * Why one price process per pair instead of random numbers per channel?
+ * - Ticker, trades, candles and the book all derive from the same walk, so
+ *   the panels agree: the last trade is the ticker price, candles are made
+ *   of those trades, the book straddles the price
+ * - Reloading the chart returns the same history
+ *
+ * How it's built:
+ * - Each pair's market starts at its anchor price when first used and
+ *   ticks every TICK_INTERVAL while anything is subscribed to it; with
+ *   no subscribers it pauses, and its candles skip the paused minutes
+ * - Every tick moves the price (geometric random walk), prints 0-2 trades,
+ *   rolls them into 1m candles and shifts the book around the new price
+ * - Candles after the anchor are aggregated from those 1m candles; older
+ *   ones are generated walking back from the anchor, seeded per candle so
+ *   any page of history comes out the same every time
+ *
+ * Options (URL parameter / env variable):
+ * - simPrice / VITE_SIM_PRICE:           ETH price in USD to start at (3000);
+ *                                        other quotes convert from it
+ * - simVolatility / VITE_SIM_VOLATILITY: daily volatility, 0.05 = 5%
+ * - simSeed / VITE_SIM_SEED:             fixed seed for a repeatable market
+ */
+
+const TICK_INTERVAL = 250
+const TICKER_INTERVAL = 1000
+const DAY = 24 * 60 * 60 * 1000
+const MINUTE = 60 * 1000
+
+const BOOK_LEVELS = 100     // per side
+const MAX_HISTORY = 5000    // candles per interval before the anchor
+const MAX_MINUTES = 7 * 24 * 60
+const DAILY_VOLUME = 400000 // ETH, roughly what the trade generator prints
+
+const INTERVAL_MS = {
+  '1m': MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '1h': 60 * MINUTE,
+  '1d': DAY,
+}
+
+// Quote currency units per USD, to start every pair at a consistent price
+const QUOTE_RATES = {
+  USDT: 1,
+  USD: 1,
+  USDC: 1,
+  FDUSD: 1,
+  BTC: 1 / 60000,
+  EUR: 0.92,
+  TRY: 34,
+  BRL: 5.5,
+}
+
+// Fixed display-currency rates (per USD) while simulating, so the currency
+// selector works offline - consistent with QUOTE_RATES
+export const SIM_FX_RATES = {
+  USD: 1,
+  EUR: QUOTE_RATES.EUR,
+  GBP: 0.79,
+  JPY: 150,
+  AUD: 1.52,
+  CAD: 1.37,
+  CHF: 0.88,
+  TRY: QUOTE_RATES.TRY,
+  BRL: QUOTE_RATES.BRL,
+}
+
+function readOption(param, envName) {
+  try {
+    const value = new URLSearchParams(window.location.search).get(param)
+    if (value !== null) return value
+  } catch {
+    // No window (tests, workers) - env only
+  }
+  return import.meta.env[envName]
+}
+
+const flag = readOption('sim', 'VITE_SIMULATED')
+
+export const SIMULATED = Boolean(flag) && flag !== '0' && flag !== 'false'
+
+const config = {
+  price: parseFloat(readOption('simPrice', 'VITE_SIM_PRICE')) || 3000,
+  volatility: parseFloat(readOption('simVolatility', 'VITE_SIM_VOLATILITY')) || 0.05,
+  seed: readOption('simSeed', 'VITE_SIM_SEED') || String(Date.now()),
+}
+
+const MARKETS = Object.fromEntries(PAIRS.map(pair => [pair.symbol, pair.symbol]))
+
+// Small seeded PRNG (mulberry32) - Math.random can't be replayed
+function seededRandom(seed) {
+  let state = seed
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// FNV-1a, to turn seed strings into PRNG seeds
+function hashString(text) {
+  let hash = 2166136261
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return hash >>> 0
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+}
+
+// toPrecision drops the float noise (3002.2400000000002) multiplying by step leaves
+const roundTo = (value, step) => parseFloat((Math.round(value / step) * step).toPrecision(12))
+
+// Mostly retail-sized, a long tail of large prints and the odd whale
+function tradeSize(random) {
+  const size = random() < 0.002
+    ? 100 + random() * 200
+    : Math.exp(gaussian(random) * 1.5 - 1)
+  return parseFloat(size.toFixed(4))
+}
+
+function levelSize(random) {
+  return parseFloat(Math.exp(gaussian(random) + 1).toFixed(4))
+}
+
+const markets = new Map()   // symbol -> market state
+
+function getMarket(symbol) {
+  let market = markets.get(symbol)
+  if (market) return market
+
+  const { quote, decimals } = getPair(symbol)
+  const tickSize = 1 / Math.pow(10, decimals)
+  const price = Math.max(tickSize, roundTo(config.price * (QUOTE_RATES[quote] ?? 1), tickSize))
+
+  market = {
+    symbol,
+    decimals,
+    tickSize,
+    // ~1bp between book levels, in whole ticks
+    step: tickSize * Math.max(1, Math.round(price * 0.0001 / tickSize)),
+    random: seededRandom(hashString(`${config.seed}:${symbol}`)),
+    anchorTime: Date.now(),
+    anchorPrice: price,
+    price,
+    minutes: [],            // 1m candles since the anchor, times in ms
+    nextTradeId: 1,
+    bids: new Map(),        // price string -> quantity
+    asks: new Map(),
+    listeners: new Set(),
+    timer: null,            // Tick interval, running while there are listeners
+  }
+
+  moveBook(market)
+  markets.set(symbol, market)
+  return market
+}
+
+function tick(market) {
+  const time = Date.now()
+  const { random, tickSize } = market
+  const previous = market.price
+
+  const move = gaussian(random) * config.volatility * Math.sqrt(TICK_INTERVAL / DAY)
+  const price = Math.max(tickSize, roundTo(previous * Math.exp(move), tickSize))
+
+  // Takers lean with the move: upticks are mostly buys, downticks sells
+  const buyChance = price > previous ? 0.7 : price < previous ? 0.3 : 0.5
+  const trades = Array.from({ length: Math.floor(random() * 3) }, () => ({
+    id: market.nextTradeId++,
+    time,
+    price,
+    quantity: tradeSize(random),
+    isBuy: random() < buyChance,
+  }))
+
+  market.price = price
+  recordMinute(market, time, previous, trades)
+  const depth = moveBook(market)
+
+  market.listeners.forEach(listener => listener({ time, trades, depth }))
+}
+
+function recordMinute(market, time, previous, trades) {
+  const bucket = Math.floor(time / MINUTE) * MINUTE
+  let minute = market.minutes[market.minutes.length - 1]
+
+  if (!minute || minute.time < bucket) {
+    minute = { time: bucket, open: previous, high: previous, low: previous, close: previous, volume: 0 }
+    market.minutes.push(minute)
+    if (market.minutes.length > MAX_MINUTES) market.minutes.shift()
+  }
+
+  minute.high = Math.max(minute.high, market.price)
+  minute.low = Math.min(minute.low, market.price)
+  minute.close = market.price
+  minute.volume += trades.reduce((sum, trade) => sum + trade.quantity, 0)
+}
+
+/**
+ * Re-center the book on the current price
+ * Levels that crossed or fell out of range are removed, missing ones
+ * filled in, and a few resting levels change size. Returns the changes.
+ */
+function moveBook(market) {
+  const { price, step, decimals, random } = market
+  const changes = { bids: [], asks: [] }
+
+  const setLevel = (side, key, quantity) => {
+    if (quantity) {
+      market[side].set(key, quantity)
+    } else {
+      market[side].delete(key)
+    }
+    changes[side].push([key, quantity])
+  }
+
+  const bestBid = Math.floor(price / step) * step
+  const wanted = { bids: [], asks: [] }
+  for (let i = 0; i < BOOK_LEVELS; i++) {
+    wanted.bids.push((bestBid - i * step).toFixed(decimals))
+    wanted.asks.push((bestBid + (i + 1) * step).toFixed(decimals))
+  }
+
+  for (const side of ['bids', 'asks']) {
+    const keep = new Set(wanted[side])
+    market[side].forEach((quantity, key) => {
+      if (!keep.has(key)) setLevel(side, key, 0)
+    })
+    wanted[side].forEach(key => {
+      if (!market[side].has(key)) setLevel(side, key, levelSize(random))
+    })
+  }
+
+  for (let i = 0; i < 4; i++) {
+    const side = random() < 0.5 ? 'bids' : 'asks'
+    setLevel(side, wanted[side][Math.floor(random() * BOOK_LEVELS)], levelSize(random))
+  }
+
+  return changes
+}
+
+// A candle from before the anchor, generated backwards from its close
+function syntheticCandle(market, interval, time, close) {
+  const random = seededRandom(hashString(`${config.seed}:${market.symbol}:${interval}:${time}`))
+  const ms = INTERVAL_MS[interval]
+  const sigma = config.volatility * Math.sqrt(ms / DAY)
+  const { tickSize } = market
+
+  const open = Math.max(tickSize, roundTo(close / Math.exp(gaussian(random) * sigma), tickSize))
+  return {
+    time,
+    open,
+    high: roundTo(Math.max(open, close) * (1 + Math.abs(gaussian(random)) * sigma / 2), tickSize),
+    low: Math.max(tickSize, roundTo(Math.min(open, close) * (1 - Math.abs(gaussian(random)) * sigma / 2), tickSize)),
+    close,
+    volume: parseFloat((DAILY_VOLUME * (ms / DAY) * (0.5 + random())).toFixed(4)),
+  }
+}
+
+// Candles from `from` to `to` (open times, ms) aggregated from the 1m candles
+function liveCandles(market, ms, from, to) {
+  const { minutes } = market
+  let start = minutes.length
+  while (start > 0 && minutes[start - 1].time >= from) start--
+
+  const candles = []
+  for (let i = start; i < minutes.length; i++) {
+    const minute = minutes[i]
+    const time = Math.floor(minute.time / ms) * ms
+    if (time > to) break
+
+    const last = candles[candles.length - 1]
+    if (!last || last.time < time) {
+      candles.push({ ...minute, time })
+    } else {
+      last.high = Math.max(last.high, minute.high)
+      last.low = Math.min(last.low, minute.low)
+      last.close = minute.close
+      last.volume += minute.volume
+    }
+  }
+  return candles
+}
+
+/**
+ * Up to `limit` candles opening at or before `endTime`, oldest first,
+ * times in ms
+ */
+function buildCandles(market, interval, limit, endTime) {
+  const ms = INTERVAL_MS[interval]
+  const lastTime = Math.floor(Math.min(endTime ?? Date.now(), Date.now()) / ms) * ms
+  const anchorTime = Math.floor(market.anchorTime / ms) * ms
+  const firstTime = Math.max(lastTime - (limit - 1) * ms, anchorTime - MAX_HISTORY * ms)
+
+  const candles = []
+  if (firstTime < anchorTime) {
+    // Walk back from the anchor so every page continues the same path
+    let close = market.anchorPrice
+    for (let time = anchorTime - ms; time >= firstTime; time -= ms) {
+      const candle = syntheticCandle(market, interval, time, close)
+      if (time <= lastTime) candles.push(candle)
+      close = candle.open
+    }
+    candles.reverse()
+  }
+
+  if (lastTime >= anchorTime) {
+    candles.push(...liveCandles(market, ms, Math.max(firstTime, anchorTime), lastTime))
+  }
+  return candles
+}
+
+async function fetchKlines(symbol, interval, limit, endTime) {
+  return buildCandles(getMarket(symbol), interval, limit, endTime)
+    .map(candle => ({ ...candle, time: candle.time / 1000 }))
+}
+
+function listen(symbol, listener) {
+  const market = getMarket(symbol)
+  market.listeners.add(listener)
+  if (!market.timer) {
+    market.timer = setInterval(() => tick(market), TICK_INTERVAL)
+  }
+
+  return () => {
+    market.listeners.delete(listener)
+    if (!market.listeners.size) {
+      clearInterval(market.timer)
+      market.timer = null
+    }
+  }
+}
+
+// Rolling 24h stats from the hourly candles, like an exchange ticker
+function subscribeTicker({ symbol }, handler) {
+  const market = getMarket(symbol)
+  let lastSent = 0
+
+  return listen(symbol, ({ time }) => {
+    if (time - lastSent < TICKER_INTERVAL) return
+    lastSent = time
+
+    const candles = buildCandles(market, '1h', 25, time)
+    const open = candles[0].open
+    const volume24h = candles.reduce((sum, candle) => sum + candle.volume, 0)
+
+    handler({
+      price: market.price,
+      priceChange: market.price - open,
+      priceChangePercent: ((market.price - open) / open) * 100,
+      high24h: Math.max(...candles.map(candle => candle.high)),
+      low24h: Math.min(...candles.map(candle => candle.low)),
+      volume24h,
+      quoteVolume24h: volume24h * market.price,
+      eventTime: time,
+    })
+  })
+}
+
+function subscribeTrades({ symbol }, handler) {
+  return listen(symbol, ({ trades }) => trades.forEach(trade => handler(trade)))
+}
+
+function subscribeKlines({ symbol, interval }, handler) {
+  const market = getMarket(symbol)
+
+  return listen(symbol, ({ time }) => {
+    const [candle] = buildCandles(market, interval, 1, time)
+    if (candle) handler({ ...candle, time: candle.time / 1000 })
+  })
+}
+
+function subscribeDepth({ symbol }, handler) {
+  const market = getMarket(symbol)
+  let snapshotSent = false
+
+  return listen(symbol, ({ depth }) => {
+    if (!snapshotSent) {
+      snapshotSent = true
+      handler({ type: 'snapshot', bids: [...market.bids], asks: [...market.asks], maxLevels: BOOK_LEVELS })
+      return
+    }
+    handler({ type: 'update', ...depth })
+  })
+}
+
+const SUBSCRIBERS = {
+  ticker: subscribeTicker,
+  trades: subscribeTrades,
+  klines: subscribeKlines,
+  depth: subscribeDepth,
+}
+
+export const simulated = {
+  id: 'simulated',
+  name: 'Simulated',
+  markets: MARKETS,
+  maxKlines: 1000,
+  fetchKlines,
+  subscribe: (channel, params, handler) => SUBSCRIBERS[channel](params, handler),
+  // Nothing to connect to
+  onStatusChange: (listener) => {
+    listener('connected')
+    return () => {}
+  },
+}
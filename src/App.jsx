@@ -0,0 +1,250 @@
+import { useRef, useState } from 'react'
+import { PriceHeader } from './components/PriceHeader'
+import { Chart } from './components/Chart'
+import { OrderBook } from './components/OrderBook'
+import { TradesFeed } from './components/TradesFeed'
+import { NewsFeed, NewsTickerCompact } from './components/NewsFeed'
+import { AlertsPanel } from './components/AlertsPanel'
+import { AlertToasts } from './components/AlertToasts'
+import { RecorderControls } from './components/RecorderControls'
+import { FeedHealthPanel } from './components/FeedHealthPanel'
+import { PortfolioPanel } from './components/PortfolioPanel'
+import { DashboardGrid } from './components/DashboardGrid'
+import { LayoutMenu } from './components/LayoutMenu'
+import { usePrice } from './hooks/usePrice'
+import { usePriceAlerts } from './hooks/usePriceAlerts'
+import { useCompositePrice } from './hooks/useCompositePrice'
+import { useTransport } from './hooks/useTransport'
+import { useViewState } from './hooks/useViewState'
+import { useLayouts } from './hooks/useLayouts'
+import { usePortfolio } from './hooks/usePortfolio'
+import { useFxRates } from './hooks/useFxRates'
+import { useLanguage } from './hooks/useLanguage'
+import { loadChartType } from './utils/chartTheme'
+import { CURRENCIES } from './utils/formatters'
+import { getDisplay } from './utils/fx'
+import { t } from './utils/i18n'
+import { DEFAULT_SYMBOL } from './utils/pairs'
+import { DEFAULT_EXCHANGE, getAdapter, supportedSymbol } from './adapters'
+
+const EXCHANGE_STORAGE_KEY = 'ethticker:exchange'
+const INDEX_STORAGE_KEY = 'ethticker:showIndex'
+const CURRENCY_STORAGE_KEY = 'ethticker:currency'
+
+function loadExchange() {
+  try {
+    return getAdapter(localStorage.getItem(EXCHANGE_STORAGE_KEY)).id
+  } catch {
+    return DEFAULT_EXCHANGE
+  }
+}
+
+// Starting view for a bare link (no view state in the URL)
+function loadPreferences() {
+  return { exchange: loadExchange(), chartType: loadChartType() }
+}
+
+function loadCurrency() {
+  try {
+    const saved = localStorage.getItem(CURRENCY_STORAGE_KEY)
+    return CURRENCIES[saved] ? saved : 'USD'
+  } catch {
+    return 'USD'
+  }
+}
+
+function loadShowIndex() {
+  try {
+    return localStorage.getItem(INDEX_STORAGE_KEY) === 'true'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * App - Dashboard layout
+ *
+ * The selected symbol and exchange live here so the header, chart, order
+ * book and trade tape always show the same market. Each hook re-subscribes
+ * when either changes. Switching to an exchange that doesn't trade the
+ * current pair falls back to one it does.
+ *
+ * They're part of the view state kept in the URL (with the chart's
+ * timeframe, type, indicators and range, and the book's grouping), so
+ * a link reproduces the view and back/forward step through changes.
+ * An unknown exchange or pair in a link falls back the same way.
+ *
+ * Alerts run off the same ticker as the header, so they're checked
+ * at this level rather than inside the panel. The composite index only
+ * subscribes to the other exchanges while it's switched on. Portfolio
+ * lots live here too: the panel lists them and the chart plots their P&L.
+ *
+ * So does the display currency: `display` tells every panel how to show
+ * the selected pair's prices (utils/fx.js), `usdDisplay` the portfolio's
+ * USD amounts. Currencies without a rate yet aren't offered.
+ *
+ * The UI language is read here too (useLanguage) - switching it
+ * re-renders the whole tree with the new strings and number formats.
+ *
+ * Which panels show and where comes from the active layout (useLayouts);
+ * renderPanel maps each panel id to its component.
+ *
+ * The panels are keyed by the transport session, so starting a recording
+ * or a replay remounts them: REST history is fetched again (and recorded,
+ * or served from the recording). The header's ticker, the composite index
+ * and the alerts' price memory run here, outside the panels, so they take
+ * the session instead and start over with it - no live state leaks into
+ * a replay.
+ */
+export default function App() {
+  const [view, updateView] = useViewState(loadPreferences)
+  const transport = useTransport()
+  const exchange = getAdapter(view.exchange).id
+  const symbol = supportedSymbol(exchange, view.symbol)
+  const priceData = usePrice(symbol, exchange, transport.session)
+  const [showIndex, setShowIndex] = useState(loadShowIndex)
+  const composite = useCompositePrice(symbol, showIndex, transport.session)
+  const priceAlerts = usePriceAlerts(symbol, priceData, exchange, transport.session)
+  const layouts = useLayouts()
+  const portfolio = usePortfolio()
+  const rates = useFxRates()
+  const [currency, setCurrency] = useState(loadCurrency)
+  const [language, setLanguage] = useLanguage()
+  const display = getDisplay(symbol, currency, rates)
+  const usdDisplay = getDisplay(DEFAULT_SYMBOL, currency, rates)
+  const currencies = Object.keys(CURRENCIES).filter(code => rates[code] || code === currency)
+  const [editingLayout, setEditingLayout] = useState(false)
+  const orderBookRef = useRef(null)   // The order book panel's levels, for Chart's export menu
+
+  // A new market starts on its full history, not the old visible range
+  const changeSymbol = (next) => {
+    updateView({ symbol: next, range: null })
+  }
+
+  const changeExchange = (next) => {
+    updateView({ exchange: next, symbol: supportedSymbol(next, symbol), range: null })
+    try {
+      localStorage.setItem(EXCHANGE_STORAGE_KEY, next)
+    } catch {
+      // Storage unavailable - the choice just won't persist
+    }
+  }
+
+  const changeCurrency = (next) => {
+    setCurrency(next)
+    try {
+      localStorage.setItem(CURRENCY_STORAGE_KEY, next)
+    } catch {
+      // Storage unavailable - the choice just won't persist
+    }
+  }
+
+  const changeShowIndex = (next) => {
+    setShowIndex(next)
+    try {
+      localStorage.setItem(INDEX_STORAGE_KEY, String(next))
+    } catch {
+      // Storage unavailable - the choice just won't persist
+    }
+  }
+
+  const renderPanel = (id) => {
+    switch (id) {
+      case 'chart':
+        return (
+          <Chart
+            symbol={symbol}
+            exchange={exchange}
+            view={view}
+            onViewChange={updateView}
+            lots={portfolio.lots}
+            display={display}
+            orderBookRef={orderBookRef}
+          />
+        )
+      case 'orderbook':
+        return (
+          <OrderBook
+            symbol={symbol}
+            exchange={exchange}
+            grouping={view.grouping}
+            onGroupingChange={grouping => updateView({ grouping })}
+            display={display}
+            bookRef={orderBookRef}
+          />
+        )
+      case 'trades':
+        return <TradesFeed symbol={symbol} exchange={exchange} display={display} />
+      case 'news':
+        return (
+          <div className="h-full overflow-y-auto rounded-lg">
+            <NewsFeed />
+          </div>
+        )
+      case 'newsTicker':
+        return <NewsTickerCompact />
+      case 'alerts':
+        return (
+          <AlertsPanel
+            symbol={symbol}
+            price={priceData.price}
+            alerts={priceAlerts.alerts}
+            history={priceAlerts.history}
+            soundEnabled={priceAlerts.soundEnabled}
+            onSoundChange={priceAlerts.setSoundEnabled}
+            onAdd={priceAlerts.addAlert}
+            onRemove={priceAlerts.removeAlert}
+            onToggle={priceAlerts.toggleAlert}
+            onClearHistory={priceAlerts.clearHistory}
+          />
+        )
+      case 'portfolio':
+        return <PortfolioPanel exchange={exchange} portfolio={portfolio} display={usdDisplay} />
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-ticker-bg">
+      <PriceHeader
+        {...priceData}
+        symbol={symbol}
+        onSymbolChange={changeSymbol}
+        exchange={exchange}
+        onExchangeChange={changeExchange}
+        composite={composite}
+        showIndex={showIndex}
+        onShowIndexChange={changeShowIndex}
+        display={display}
+        currency={currency}
+        currencies={currencies}
+        onCurrencyChange={changeCurrency}
+        language={language}
+        onLanguageChange={setLanguage}
+      />
+
+      <main key={transport.session} className="max-w-7xl mx-auto px-4 py-6">
+        <LayoutMenu layouts={layouts} editing={editingLayout} onEditingChange={setEditingLayout} />
+        <DashboardGrid
+          panels={layouts.panels}
+          editing={editingLayout}
+          onChange={layouts.setPanels}
+          renderPanel={renderPanel}
+        />
+      </main>
+
+      <AlertToasts toasts={priceAlerts.toasts} onDismiss={priceAlerts.dismissToast} />
+
+      <footer className="border-t border-ticker-border mt-8 py-4 space-y-2">
+        <div className="text-center text-ticker-muted text-sm">
+          {t('footer.data', { exchange: getAdapter(exchange).name })}
+        </div>
+        <div className="flex flex-wrap items-center justify-center gap-4">
+          <FeedHealthPanel />
+          <RecorderControls transport={transport} />
+        </div>
+      </footer>
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+/**
+ * AlertToasts - In-app notifications for fired price alerts
+ *
+ * Stacked bottom-right above the content, newest at the bottom.
+ * They dismiss themselves (see usePriceAlerts) or on click.
+ */
+export function AlertToasts({ toasts, onDismiss }) {
+  if (!toasts.length) return null
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-72">
+      {toasts.map(toast => (
+        <button
+          key={toast.id}
+          onClick={() => onDismiss(toast.id)}
+          className="text-left px-3 py-2 rounded-lg bg-ticker-card border border-ticker-green/50 shadow-lg hover:bg-ticker-border/50 transition-colors"
+        >
+          <div className="flex items-center gap-2 text-sm text-white">
+            <span>🔔</span>
+            <span className="truncate">{toast.title}</span>
+          </div>
+          <div className="text-xs text-ticker-muted mt-0.5">{toast.message}</div>
+        </button>
+      ))}
+    </div>
+  )
+}
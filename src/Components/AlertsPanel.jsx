@@ -0,0 +1,239 @@
+import { useState } from 'react'
+import { ALERT_TYPES, describeAlert } from '../utils/alerts'
+import { getPair, pairLabel } from '../utils/pairs'
+import { formatTime } from '../utils/formatters'
+import { t } from '../utils/i18n'
+import { notificationPermission, requestNotificationPermission } from '../services/notifications'
+
+/**
+ * AlertsPanel - Create and manage price alerts
+ *
+ * Design decisions:
+ * - Compact form on top: condition, value, window (percent moves only), mode
+ * - Value starts at the live price, so "above/below here" is one click away
+ * - Alerts for every pair are listed; ones on other pairs are dimmed since
+ *   they're only checked while their pair is selected
+ * - History tab lists what fired, newest first
+ *
+ * Notification permission is requested on the first "Add" click - browsers
+ * only show the prompt in response to a user gesture.
+ */
+
+const WINDOW_OPTIONS = [1, 5, 15, 60] // minutes
+
+export function AlertsPanel({
+  symbol,
+  price,
+  alerts,
+  history,
+  soundEnabled,
+  onSoundChange,
+  onAdd,
+  onRemove,
+  onToggle,
+  onClearHistory,
+}) {
+  const [tab, setTab] = useState('alerts') // 'alerts' or 'history'
+  const [type, setType] = useState('above')
+  const [value, setValue] = useState('')
+  const [windowMinutes, setWindowMinutes] = useState(5)
+  const [mode, setMode] = useState('once')
+  const [permission, setPermission] = useState(notificationPermission)
+
+  const { decimals } = getPair(symbol)
+  const { needsValue, needsWindow } = ALERT_TYPES[type]
+
+  // Blank price field means "current price"
+  const effectiveValue = value === '' && type !== 'percent' && price
+    ? price.toFixed(decimals)
+    : value
+
+  const handleAdd = async () => {
+    const parsed = parseFloat(effectiveValue)
+    if (needsValue && !(parsed > 0)) return
+
+    onAdd({
+      type,
+      value: needsValue ? parsed : null,
+      windowMinutes: needsWindow ? windowMinutes : null,
+      mode,
+    })
+    setValue('')
+
+    setPermission(await requestNotificationPermission())
+  }
+
+  const handleTypeChange = (newType) => {
+    setType(newType)
+    setValue(newType === 'percent' ? '2' : '')
+  }
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-4 py-3 border-b border-ticker-border flex items-center justify-between">
+        <h3 className="text-sm font-medium text-ticker-text">{t('alerts.title')}</h3>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-0.5 bg-ticker-bg p-0.5 rounded text-xs">
+            {['alerts', 'history'].map(name => (
+              <button
+                key={name}
+                onClick={() => setTab(name)}
+                className={`px-1.5 py-0.5 rounded transition-all ${
+                  tab === name ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+              >
+                {t(`alerts.${name}`)}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => onSoundChange(!soundEnabled)}
+            className="text-sm text-ticker-muted hover:text-ticker-text transition-colors"
+            title={soundEnabled ? t('alerts.mute') : t('alerts.unmute')}
+          >
+            {soundEnabled ? '🔔' : '🔕'}
+          </button>
+        </div>
+      </div>
+
+      {tab === 'alerts' ? (
+        <>
+          {/* New alert form */}
+          <div className="p-3 border-b border-ticker-border space-y-2 text-xs">
+            <div className="flex gap-2">
+              <select
+                value={type}
+                onChange={e => handleTypeChange(e.target.value)}
+                className="flex-1 bg-ticker-bg border border-ticker-border rounded px-1 py-1 text-ticker-text outline-none"
+              >
+                {Object.keys(ALERT_TYPES).map(key => (
+                  <option key={key} value={key}>{t(`alerts.type.${key}`)}</option>
+                ))}
+              </select>
+              {needsValue && (
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={value}
+                  placeholder={type === 'percent' ? '%' : effectiveValue}
+                  onChange={e => setValue(e.target.value)}
+                  className="w-24 px-1 py-1 bg-ticker-bg border border-ticker-border rounded text-ticker-text font-mono"
+                />
+              )}
+            </div>
+            <div className="flex gap-2">
+              {needsWindow && (
+                <select
+                  value={windowMinutes}
+                  onChange={e => setWindowMinutes(Number(e.target.value))}
+                  className="bg-ticker-bg border border-ticker-border rounded px-1 py-1 text-ticker-text outline-none"
+                  title={t('alerts.window')}
+                >
+                  {WINDOW_OPTIONS.map(w => (
+                    <option key={w} value={w}>{t('alerts.windowOption', { minutes: w })}</option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={mode}
+                onChange={e => setMode(e.target.value)}
+                className="flex-1 bg-ticker-bg border border-ticker-border rounded px-1 py-1 text-ticker-text outline-none"
+              >
+                <option value="once">{t('alerts.once')}</option>
+                <option value="repeat">{t('alerts.repeat')}</option>
+              </select>
+              <button
+                onClick={handleAdd}
+                className="px-3 py-1 rounded bg-ticker-green/20 text-ticker-green hover:bg-ticker-green/30 transition-colors"
+              >
+                {t('alerts.add')}
+              </button>
+            </div>
+            {permission === 'denied' && (
+              <div className="text-yellow-500">
+                {t('alerts.blocked')}
+              </div>
+            )}
+          </div>
+
+          {/* Alert list */}
+          <div className="flex-1 overflow-y-auto p-2 space-y-1">
+            {alerts.map(alert => (
+              <AlertRow
+                key={alert.id}
+                alert={alert}
+                isCurrentPair={alert.symbol === symbol}
+                onToggle={() => onToggle(alert.id)}
+                onRemove={() => onRemove(alert.id)}
+              />
+            ))}
+            {alerts.length === 0 && (
+              <div className="text-center py-6 text-xs text-ticker-muted">
+                {t('alerts.empty', { pair: pairLabel(symbol) })}
+              </div>
+            )}
+          </div>
+        </>
+      ) : (
+        <div className="flex-1 overflow-y-auto p-2 space-y-1 text-xs">
+          {history.map(entry => (
+            <div key={entry.id} className="px-2 py-1.5 rounded bg-ticker-bg">
+              <div className="flex justify-between gap-2">
+                <span className="text-ticker-text truncate">{entry.title}</span>
+                <span className="text-ticker-muted font-mono shrink-0">{formatTime(entry.time)}</span>
+              </div>
+              <div className="text-ticker-muted">{entry.message}</div>
+            </div>
+          ))}
+          {history.length === 0 ? (
+            <div className="text-center py-6 text-ticker-muted">{t('alerts.noHistory')}</div>
+          ) : (
+            <button
+              onClick={onClearHistory}
+              className="w-full py-1 text-ticker-muted hover:text-ticker-red transition-colors"
+            >
+              {t('alerts.clearHistory')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * One alert with arm/pause and remove controls
+ */
+function AlertRow({ alert, isCurrentPair, onToggle, onRemove }) {
+  const fired = !alert.active && alert.lastTriggered
+
+  return (
+    <div
+      className={`flex items-center gap-2 px-2 py-1.5 rounded bg-ticker-bg text-xs ${
+        isCurrentPair ? '' : 'opacity-50'
+      }`}
+      title={isCurrentPair ? undefined : t('alerts.otherPair')}
+    >
+      <button
+        onClick={onToggle}
+        className={`w-2 h-2 rounded-full shrink-0 ${alert.active ? 'bg-ticker-green' : 'bg-ticker-border'}`}
+        title={alert.active ? t('alerts.pause') : t('alerts.rearm')}
+      />
+      <span className={`flex-1 truncate ${alert.active ? 'text-ticker-text' : 'text-ticker-muted'}`}>
+        {describeAlert(alert)}
+      </span>
+      <span className="text-ticker-muted shrink-0">
+        {fired ? t('alerts.firedAt', { time: formatTime(alert.lastTriggered) }) : alert.mode === 'repeat' ? '↻' : '1×'}
+      </span>
+      <button
+        onClick={onRemove}
+        className="text-ticker-muted hover:text-ticker-red transition-colors"
+        title={t('common.remove')}
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
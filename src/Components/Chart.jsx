@@ -1,18 +1,53 @@
-import { useEffect, useRef, useState } from 'react'
-import { createChart, CrosshairMode } from 'lightweight-charts'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createChart } from 'lightweight-charts'
 import { TimeframeSelector } from './TimeframeSelector'
-import { useCandlesticks } from '../hooks/useCandlesticks'
-import { formatPrice, formatVolume } from '../utils/formatters'
+import { IndicatorMenu } from './IndicatorMenu'
+import { IndicatorPane } from './IndicatorPane'
+import { DrawingToolbar } from './DrawingToolbar'
+import { DrawingLayer } from './DrawingLayer'
+import { ExportMenu } from './ExportMenu'
+import { CompareMenu } from './CompareMenu'
+import { ComparisonLegend } from './ComparisonLegend'
+import { useCandlesticks, TIMEFRAME_CONFIG } from '../hooks/useCandlesticks'
+import { useDrawings } from '../hooks/useDrawings'
+import { formatPrice, formatVolume, formatSignedPrice } from '../utils/formatters'
+import { getPair, pairLabel } from '../utils/pairs'
+import { getDisplay } from '../utils/fx'
+import { heikinAshi, toClosePoints } from '../utils/candles'
+import { INDICATORS, computeIndicator } from '../utils/indicators'
+import { pnlCurve } from '../utils/portfolio'
+import { candlesToCsv, candlesToJson, chartSnapshot, downloadBlob, exportFileName } from '../utils/exports'
+import { CHART_COLORS, CHART_OPTIONS, CHART_TYPES, isChartType, loadChartType, saveChartType } from '../utils/chartTheme'
+import { VIEW_DEFAULTS } from '../utils/viewState'
+import { t, getIntlLocale } from '../utils/i18n'
+import { getAdapter } from '../adapters'
 
 /**
  * Chart Component - TradingView Lightweight Charts integration
  * 
  * Features:
- * - Candlestick chart with proper OHLC data
+ * - Candlestick, OHLC bar, Heikin-Ashi, line and area chart types
+ * - Live candle updates from the kline stream (via useCandlesticks)
  * - Volume histogram overlay
+ * - Indicators: moving averages/bands on the price chart, oscillators in panes below
+ * - Prices in the display currency (`display`, see utils/fx.js) - the data
+ *   stays in the pair's quote, only axis and legend labels are converted
+ * - Portfolio P&L curve (from `lots`) under the candles on USD pairs
+ * - Drawing tools (levels, trendlines, rays, boxes, fibs, notes), kept
+ *   per symbol and drawn on every timeframe (see DrawingLayer)
+ * - Comparison overlays: other Binance symbols as percent-change lines
+ *   on a shared scale, with a legend (see ComparisonLegend)
+ * - Exports: candles (with indicator columns) as CSV/JSON, the order
+ *   book as CSV and a watermarked PNG of the price chart (see ExportMenu)
+ * - Time axis and crosshair dates in the UI language's locale
  * - Timeframe switching
+ * - View (timeframe, type, indicators, comparisons, visible range) controlled by the
+ *   parent via `view`/`onViewChange` - the dashboard keeps it in the URL -
+ *   or held locally when those aren't passed (embeds)
+ * - Older history loads automatically when panning near the left edge
  * - Crosshair with price/time display
- * - Auto-resize on container change
+ * - Auto-resize on container change (ResizeObserver - dashboard panels
+ *   resize without the window changing)
  * 
  * Why Lightweight Charts?
  * - Same tech as TradingView
@@ -21,86 +56,192 @@ import { formatPrice, formatVolume } from '../utils/formatters'
  * - Free for any use
  */
 
-// Chart color theme matching our dark UI
-const CHART_COLORS = {
-  background: '#131318',
-  text: '#6b6b6b',
-  grid: '#1e1e24',
-  crosshair: '#4a4a52',
-  upColor: '#00c853',
-  downColor: '#ff1744',
-  wickUp: '#00c853',
-  wickDown: '#ff1744',
-  volumeUp: 'rgba(0, 200, 83, 0.3)',
-  volumeDown: 'rgba(255, 23, 68, 0.3)',
+// Start loading older candles when fewer than this many are left of the view
+const LOAD_OLDER_THRESHOLD = 10
+
+// Wait for scrolling/zooming to settle before reporting the visible range
+const RANGE_REPORT_DELAY = 500
+
+// Interactions that make a visible range change the user's own
+const USER_SCROLL_EVENTS = ['wheel', 'pointerdown', 'touchstart']
+
+/**
+ * Price axis format for a pair's precision (ETH/BTC needs 5 decimals),
+ * labelled in the display currency when it converts
+ */
+function toPriceFormat(decimals, display) {
+  const minMove = 1 / Math.pow(10, decimals)
+  if (display.rate === 1) {
+    return { type: 'price', precision: decimals, minMove }
+  }
+  return {
+    type: 'custom',
+    minMove,
+    formatter: price => (price * display.rate).toFixed(display.decimals),
+  }
+}
+
+/**
+ * Add the price series for a chart type
+ * Line/area plot closes, the others take full OHLC
+ */
+function addPriceSeries(chart, chartType, priceFormat) {
+  switch (chartType) {
+    case 'line':
+      return chart.addLineSeries({
+        color: CHART_COLORS.line,
+        lineWidth: 2,
+        priceFormat,
+      })
+    case 'area':
+      return chart.addAreaSeries({
+        lineColor: CHART_COLORS.line,
+        topColor: CHART_COLORS.areaTop,
+        bottomColor: CHART_COLORS.areaBottom,
+        lineWidth: 2,
+        priceFormat,
+      })
+    case 'bar':
+      return chart.addBarSeries({
+        upColor: CHART_COLORS.upColor,
+        downColor: CHART_COLORS.downColor,
+        thinBars: false,
+        priceFormat,
+      })
+    default:
+      // 'candle' and 'heikin' - Heikin-Ashi is just candles with computed OHLC
+      return chart.addCandlestickSeries({
+        upColor: CHART_COLORS.upColor,
+        downColor: CHART_COLORS.downColor,
+        wickUpColor: CHART_COLORS.wickUp,
+        wickDownColor: CHART_COLORS.wickDown,
+        borderVisible: false,
+        priceFormat,
+      })
+  }
+}
+
+/**
+ * OHLC values the chart type actually draws (used for the series and legend)
+ */
+function toDisplayCandles(candles, chartType) {
+  return chartType === 'heikin' ? heikinAshi(candles) : candles
 }
 
-export function Chart({ currentPrice }) {
+/**
+ * Series data points for a chart type
+ */
+function toSeriesData(displayCandles, chartType) {
+  return chartType === 'line' || chartType === 'area'
+    ? toClosePoints(displayCandles)
+    : displayCandles
+}
+
+/**
+ * Show a time range, or everything when there's none (or it's unusable)
+ */
+function applyVisibleRange(chart, range) {
+  if (range) {
+    try {
+      chart.timeScale().setVisibleRange(range)
+      return
+    } catch {
+      // No data in range yet - fall through to fit
+    }
+  }
+  chart.timeScale().fitContent()
+}
+
+/**
+ * Volume histogram bar colored by candle direction
+ */
+function toVolumeBar(candle) {
+  return {
+    time: candle.time,
+    value: candle.volume,
+    color: candle.close >= candle.open 
+      ? CHART_COLORS.volumeUp 
+      : CHART_COLORS.volumeDown,
+  }
+}
+
+// `height` fixes the price pane's height in px (embeds); without it the
+// chart fills its parent, the price pane taking what the indicator panes leave
+export function Chart({ symbol, exchange, height, view, onViewChange, lots = [], display, orderBookRef }) {
   const containerRef = useRef(null)
   const chartRef = useRef(null)
-  const candleSeriesRef = useRef(null)
+  const priceSeriesRef = useRef(null)
   const volumeSeriesRef = useRef(null)
+  const renderedCandlesRef = useRef([])
+  const renderedKeyRef = useRef(null)
+  const loadOlderRef = useRef(null)
+  const legendCandlesRef = useRef(new Map()) // time -> displayed OHLC + volume
+  const overlaySeriesRef = useRef([])        // [{ indicator, series: [{ key, api }] }]
+  const pnlSeriesRef = useRef(null)
+  const pnlPointsRef = useRef(new Map())     // time -> P&L, for the legend
+  const priceFormatRef = useRef(null)
+  const visibleRangeRef = useRef(null)       // Range last applied or reported
+  const userScrolledRef = useRef(false)      // Range changes since then are the user's
+  const onViewChangeRef = useRef(null)
+  const drawingSvgRef = useRef(null)         // DrawingLayer's <svg>, for image exports
   
-  const [timeframe, setTimeframe] = useState('1D')
-  const [chartType, setChartType] = useState('candle') // 'candle' or 'line'
+  const [chart, setChart] = useState(null)   // Chart instance, for indicator panes to sync with
+  const [priceSeries, setPriceSeries] = useState(null)   // For the drawing layer's price <-> y
+  const [localView, setLocalView] = useState(() => ({ ...VIEW_DEFAULTS, chartType: loadChartType() }))
   const [crosshairData, setCrosshairData] = useState(null)
+  const [showPnl, setShowPnl] = useState(true)
+  const [drawingTool, setDrawingTool] = useState(null)
+  const [selectedDrawing, setSelectedDrawing] = useState(null)
+
+  // View values can come from a hand-edited URL - fall back when unknown
+  const currentView = view || localView
+  const timeframe = TIMEFRAME_CONFIG[currentView.timeframe] ? currentView.timeframe : VIEW_DEFAULTS.timeframe
+  const chartType = isChartType(currentView.chartType) ? currentView.chartType : VIEW_DEFAULTS.chartType
+  const { indicators, comparisons, range } = currentView
+
+  const updateView = (changes, options) => {
+    if (onViewChange) {
+      onViewChange(changes, options)
+    } else {
+      setLocalView(current => ({ ...current, ...changes }))
+    }
+  }
+  onViewChangeRef.current = updateView
   
-  const { candles, loading, error } = useCandlesticks(timeframe)
+  const { candles, dataKey, loading, error, loadOlder, loadingOlder } = useCandlesticks(symbol, timeframe, exchange)
+  loadOlderRef.current = loadOlder
+  const { drawings, addDrawing, updateDrawing, removeDrawing } = useDrawings(symbol)
+  const { decimals } = getPair(symbol)
+  const { sign, rate, decimals: shownDecimals } = display || getDisplay(symbol)
+
+  const priceFormat = useMemo(
+    () => toPriceFormat(decimals, { rate, decimals: shownDecimals }),
+    [decimals, rate, shownDecimals]
+  )
+  priceFormatRef.current = priceFormat
+
+  // Lots are costed in USD, so the curve only makes sense on USD-like pairs
+  const hasPnl = lots.length > 0 && getPair(symbol).sign === '$'
+  const pnlVisible = hasPnl && showPnl
 
   // Initialize chart
   useEffect(() => {
     if (!containerRef.current) return
 
     const chart = createChart(containerRef.current, {
-      layout: {
-        background: { color: CHART_COLORS.background },
-        textColor: CHART_COLORS.text,
-      },
-      grid: {
-        vertLines: { color: CHART_COLORS.grid },
-        horzLines: { color: CHART_COLORS.grid },
-      },
-      crosshair: {
-        mode: CrosshairMode.Normal,
-        vertLine: {
-          color: CHART_COLORS.crosshair,
-          width: 1,
-          style: 2,
-          labelBackgroundColor: '#2a2a32',
-        },
-        horzLine: {
-          color: CHART_COLORS.crosshair,
-          width: 1,
-          style: 2,
-          labelBackgroundColor: '#2a2a32',
-        },
-      },
+      ...CHART_OPTIONS,
       rightPriceScale: {
-        borderColor: CHART_COLORS.grid,
+        ...CHART_OPTIONS.rightPriceScale,
         scaleMargins: {
           top: 0.1,
           bottom: 0.2, // Leave room for volume
         },
       },
-      timeScale: {
-        borderColor: CHART_COLORS.grid,
-        timeVisible: true,
-        secondsVisible: false,
-      },
       handleScroll: {
         vertTouchDrag: false,
       },
     })
 
-    // Create candlestick series
-    const candleSeries = chart.addCandlestickSeries({
-      upColor: CHART_COLORS.upColor,
-      downColor: CHART_COLORS.downColor,
-      wickUpColor: CHART_COLORS.wickUp,
-      wickDownColor: CHART_COLORS.wickDown,
-      borderVisible: false,
-    })
-
     // Create volume series
     const volumeSeries = chart.addHistogramSeries({
       color: CHART_COLORS.volumeUp,
@@ -115,25 +256,54 @@ export function Chart({ currentPrice }) {
     })
 
     // Subscribe to crosshair move for tooltip data
+    // Looked up from our own candles rather than param.seriesData, since
+    // line/area series only carry a single value per point
     chart.subscribeCrosshairMove(param => {
-      if (param.time) {
-        const candleData = param.seriesData.get(candleSeries)
-        const volumeData = param.seriesData.get(volumeSeries)
-        if (candleData) {
-          setCrosshairData({
-            time: param.time,
-            ...candleData,
-            volume: volumeData?.value,
-          })
-        }
+      const candle = param.time && legendCandlesRef.current.get(param.time)
+      if (candle) {
+        setCrosshairData({
+          time: param.time,
+          ...candle,
+          pnl: pnlPointsRef.current.get(param.time) ?? null,
+        })
       } else {
         setCrosshairData(null)
       }
     })
 
+    // Page in older candles when the user pans close to the oldest one
+    // (logical index 0 is the first loaded candle, negative is empty space).
+    // A fresh load's fitContent() starts at 0 too - that only counts when
+    // the view asks for an earlier range, e.g. from a shared link.
+    chart.timeScale().subscribeVisibleLogicalRangeChange(range => {
+      if (!userScrolledRef.current && !visibleRangeRef.current) return
+      if (range && range.from < LOAD_OLDER_THRESHOLD) {
+        loadOlderRef.current?.()
+      }
+    })
+
+    // Report where the user scrolled/zoomed to, once they stop. Our own
+    // fitContent()/setVisibleRange() calls are ignored, so a fresh load
+    // doesn't pin the view to whatever happened to be on screen.
+    const markUserScroll = () => {
+      userScrolledRef.current = true
+    }
+    const container = containerRef.current
+    USER_SCROLL_EVENTS.forEach(name => container.addEventListener(name, markUserScroll, { passive: true }))
+
+    let rangeTimeout = null
+    chart.timeScale().subscribeVisibleTimeRangeChange(timeRange => {
+      if (!timeRange || !userScrolledRef.current) return
+      clearTimeout(rangeTimeout)
+      rangeTimeout = setTimeout(() => {
+        visibleRangeRef.current = { from: timeRange.from, to: timeRange.to }
+        onViewChangeRef.current({ range: visibleRangeRef.current }, { replace: true })
+      }, RANGE_REPORT_DELAY)
+    })
+
     chartRef.current = chart
-    candleSeriesRef.current = candleSeries
     volumeSeriesRef.current = volumeSeries
+    setChart(chart)
 
     // Handle resize
     const handleResize = () => {
@@ -145,113 +315,359 @@ export function Chart({ currentPrice }) {
       }
     }
 
-    window.addEventListener('resize', handleResize)
+    const resizeObserver = new ResizeObserver(handleResize)
+    resizeObserver.observe(container)
     handleResize()
 
     return () => {
-      window.removeEventListener('resize', handleResize)
+      resizeObserver.disconnect()
+      USER_SCROLL_EVENTS.forEach(name => container.removeEventListener(name, markUserScroll))
+      clearTimeout(rangeTimeout)
+      chartRef.current = null
+      setChart(null)
       chart.remove()
     }
   }, [])
 
+  // (Re)create the price series when the chart type or pair precision changes
+  // Swapping series would normally reset the view, so the visible range is
+  // carried over from the old series to the new one
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart) return
+
+    const series = addPriceSeries(chart, chartType, priceFormatRef.current)
+    priceSeriesRef.current = series
+    setPriceSeries(series)
+
+    const candles = renderedCandlesRef.current
+    if (candles.length) {
+      const range = chart.timeScale().getVisibleLogicalRange()
+      const displayCandles = toDisplayCandles(candles, chartType)
+      series.setData(toSeriesData(displayCandles, chartType))
+      legendCandlesRef.current = new Map(displayCandles.map(c => [c.time, c]))
+      if (range) {
+        chart.timeScale().setVisibleLogicalRange(range)
+      }
+    }
+
+    return () => {
+      // Chart may already be gone on unmount
+      if (chartRef.current) {
+        chartRef.current.removeSeries(series)
+      }
+      priceSeriesRef.current = null
+      setPriceSeries(null)
+    }
+  }, [chartType, decimals])
+
   // Update data when candles change
   useEffect(() => {
-    if (!candleSeriesRef.current || !volumeSeriesRef.current || !candles.length) return
+    const priceSeries = priceSeriesRef.current
+    if (!priceSeries || !volumeSeriesRef.current) return
+
+    const previous = renderedCandlesRef.current
+    const isSameDataset = renderedKeyRef.current === dataKey && previous.length > 0
+    renderedCandlesRef.current = candles
+    renderedKeyRef.current = dataKey
+
+    // Cleared on pair switch - wipe the old pair's chart
+    if (!candles.length) {
+      priceSeries.setData([])
+      volumeSeriesRef.current.setData([])
+      legendCandlesRef.current = new Map()
+      return
+    }
 
-    // Set candlestick data
-    candleSeriesRef.current.setData(candles)
+    const displayCandles = toDisplayCandles(candles, chartType)
+    const seriesData = toSeriesData(displayCandles, chartType)
+
+    // Live kline tick: same history with the last candle changed or one
+    // appended. series.update() keeps the user's zoom/scroll position,
+    // setData() + fitContent() would reset it every second.
+    const isLiveUpdate = isSameDataset &&
+      candles[0].time === previous[0].time &&
+      (candles.length === previous.length || candles.length === previous.length + 1)
+
+    if (isLiveUpdate) {
+      // On rollover also push the final state of the candle that just closed
+      const count = candles.length > previous.length ? 2 : 1
+      for (let i = candles.length - count; i < candles.length; i++) {
+        priceSeries.update(seriesData[i])
+        volumeSeriesRef.current.update(toVolumeBar(candles[i]))
+        legendCandlesRef.current.set(displayCandles[i].time, displayCandles[i])
+      }
+      return
+    }
+
+    // Set price data in the active chart type's format
+    priceSeries.setData(seriesData)
+    legendCandlesRef.current = new Map(displayCandles.map(c => [c.time, c]))
 
     // Set volume data with colors based on candle direction
-    const volumeData = candles.map(candle => ({
-      time: candle.time,
-      value: candle.volume,
-      color: candle.close >= candle.open 
-        ? CHART_COLORS.volumeUp 
-        : CHART_COLORS.volumeDown,
-    }))
-    volumeSeriesRef.current.setData(volumeData)
-
-    // Fit content to view
-    if (chartRef.current) {
-      chartRef.current.timeScale().fitContent()
+    volumeSeriesRef.current.setData(candles.map(toVolumeBar))
+
+    // Fit content to view (or show the view's range, e.g. from a shared
+    // link) - only for a fresh pair/timeframe. When older history was
+    // prepended the time scale stays anchored to the latest candle, so
+    // the user's view doesn't jump.
+    if (chartRef.current && !isSameDataset) {
+      userScrolledRef.current = false
+      visibleRangeRef.current = range
+      applyVisibleRange(chartRef.current, range)
+    }
+  }, [candles, dataKey])
+
+  // Range changed from outside (back/forward) - move the chart to it
+  useEffect(() => {
+    const current = visibleRangeRef.current
+    if (current?.from === range?.from && current?.to === range?.to) return
+    visibleRangeRef.current = range
+    if (!chartRef.current || !renderedCandlesRef.current.length) return
+
+    userScrolledRef.current = false
+    applyVisibleRange(chartRef.current, range)
+  }, [range?.from, range?.to])
+
+  // Line series for indicators drawn on the price chart (SMA, EMA, VWAP, BB)
+  // Recreated whenever the indicator list or any parameter changes
+  useEffect(() => {
+    if (!chart) return
+
+    const overlays = indicators
+      .filter(indicator => !INDICATORS[indicator.type].pane)
+      .map(indicator => ({
+        indicator,
+        series: INDICATORS[indicator.type].outputs.map(output => ({
+          key: output.key,
+          api: chart.addLineSeries({
+            color: output.color || indicator.color,
+            lineWidth: 1,
+            priceFormat: priceFormatRef.current,
+            priceLineVisible: false,
+            lastValueVisible: false,
+            crosshairMarkerVisible: false,
+          }),
+        })),
+      }))
+    overlaySeriesRef.current = overlays
+
+    return () => {
+      overlaySeriesRef.current = []
+      if (chartRef.current) {
+        overlays.forEach(({ series }) => series.forEach(s => chart.removeSeries(s.api)))
+      }
     }
-  }, [candles])
+  }, [chart, indicators, decimals])
 
-  // Update last candle in real-time when currentPrice changes
+  const locale = getIntlLocale()
   useEffect(() => {
-    if (!candleSeriesRef.current || !candles.length || !currentPrice) return
-
-    const lastCandle = candles[candles.length - 1]
-    if (!lastCandle) return
-
-    // Update the last candle with current price
-    candleSeriesRef.current.update({
-      time: lastCandle.time,
-      open: lastCandle.open,
-      high: Math.max(lastCandle.high, currentPrice),
-      low: Math.min(lastCandle.low, currentPrice),
-      close: currentPrice,
+    chart?.applyOptions({ localization: { locale } })
+  }, [chart, locale])
+
+  // A new display currency (or rate refresh) only relabels the price axis
+  useEffect(() => {
+    priceSeriesRef.current?.applyOptions({ priceFormat })
+    overlaySeriesRef.current.forEach(({ series }) => {
+      series.forEach(s => s.api.applyOptions({ priceFormat }))
+    })
+  }, [priceFormat])
+
+  // Recompute overlay values on every candle change, live ticks included
+  useEffect(() => {
+    overlaySeriesRef.current.forEach(({ indicator, series }) => {
+      const points = computeIndicator(indicator, candles)
+      series.forEach(s => s.api.setData(points[s.key] || []))
     })
-  }, [currentPrice, candles])
+  }, [chart, candles, indicators, decimals])
+
+  // P&L curve on its own scale in the lower part of the chart, green above
+  // break-even and red below
+  useEffect(() => {
+    if (!chart || !pnlVisible) return
+
+    const series = chart.addBaselineSeries({
+      priceScaleId: 'pnl',
+      baseValue: { type: 'price', price: 0 },
+      topLineColor: CHART_COLORS.upColor,
+      topFillColor1: CHART_COLORS.pnlUpFill,
+      topFillColor2: CHART_COLORS.pnlUpFill,
+      bottomLineColor: CHART_COLORS.downColor,
+      bottomFillColor1: CHART_COLORS.pnlDownFill,
+      bottomFillColor2: CHART_COLORS.pnlDownFill,
+      lineWidth: 1,
+      priceLineVisible: false,
+      lastValueVisible: false,
+      crosshairMarkerVisible: false,
+    })
+    chart.priceScale('pnl').applyOptions({
+      scaleMargins: { top: 0.6, bottom: 0.15 },
+    })
+    pnlSeriesRef.current = series
+
+    return () => {
+      pnlSeriesRef.current = null
+      pnlPointsRef.current = new Map()
+      if (chartRef.current) {
+        chart.removeSeries(series)
+      }
+    }
+  }, [chart, pnlVisible])
+
+  // Recompute the curve on every candle change, like the overlays
+  useEffect(() => {
+    if (!pnlSeriesRef.current) return
+    const points = pnlCurve(lots, candles)
+    pnlSeriesRef.current.setData(points)
+    pnlPointsRef.current = new Map(points.map(point => [point.time, point.value]))
+  }, [chart, candles, lots, pnlVisible])
+
+  const paneIndicators = indicators.filter(indicator => INDICATORS[indicator.type].pane)
+  // Adding/removing is a history step, dragging a parameter isn't
+  const changeIndicators = (list) => {
+    const sameSet = list.length === indicators.length &&
+      list.every((indicator, i) => indicator.id === indicators[i].id)
+    updateView({ indicators: list }, { replace: sameSet })
+  }
+
+  const removeIndicator = (id) => {
+    updateView({ indicators: indicators.filter(indicator => indicator.id !== id) })
+  }
+
+  const removeComparison = (compared) => {
+    updateView({ comparisons: comparisons.filter(comparison => comparison.symbol !== compared) })
+  }
+
+  const deleteSelectedDrawing = () => {
+    removeDrawing(selectedDrawing)
+    setSelectedDrawing(null)
+  }
+
+  const exportCandles = (format) => {
+    const filename = exportFileName(`${symbol}-${timeframe}`, format)
+    if (format === 'csv') {
+      downloadBlob(new Blob([candlesToCsv(candles, indicators)], { type: 'text/csv' }), filename)
+    } else {
+      const meta = { symbol, exchange: getAdapter(exchange).id, timeframe }
+      downloadBlob(new Blob([candlesToJson(meta, candles, indicators)], { type: 'application/json' }), filename)
+    }
+  }
+
+  // The price chart with its drawings - oscillator panes are charts of
+  // their own and aren't included
+  const exportImage = async () => {
+    const blob = await chartSnapshot({
+      screenshot: chart.takeScreenshot(),
+      overlay: drawingSvgRef.current,
+      cssWidth: containerRef.current.clientWidth,
+      title: `EthTicker · ${pairLabel(symbol)} · ${getAdapter(exchange).name} · ${timeframe}`,
+      timestamp: new Date().toLocaleString(getIntlLocale()),
+    })
+    downloadBlob(blob, exportFileName(`${symbol}-${timeframe}`, 'png'))
+  }
 
   return (
-    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden">
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
       {/* Chart header */}
       <div className="flex items-center justify-between px-4 py-3 border-b border-ticker-border">
-        <div className="flex items-center gap-4">
-          <TimeframeSelector selected={timeframe} onChange={setTimeframe} />
+        <div className="flex items-center gap-4 flex-wrap">
+          <TimeframeSelector
+            selected={timeframe}
+            onChange={tf => updateView({ timeframe: tf, range: null })}
+          />
+          <IndicatorMenu
+            indicators={indicators}
+            onChange={changeIndicators}
+          />
+          <CompareMenu
+            symbol={symbol}
+            comparisons={comparisons}
+            onChange={list => updateView({ comparisons: list })}
+          />
           
           {/* Chart type toggle */}
           <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+            {CHART_TYPES.map(type => (
+              <button
+                key={type.id}
+                onClick={() => {
+                  // Only a pick here becomes the default - not a shared link's type
+                  saveChartType(type.id)
+                  updateView({ chartType: type.id })
+                }}
+                className={`px-2 py-1 text-xs rounded transition-all ${
+                  chartType === type.id 
+                    ? 'bg-ticker-card text-white' 
+                    : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+              >
+                {t(`chart.${type.id}`)}
+              </button>
+            ))}
+          </div>
+
+          {hasPnl && (
             <button
-              onClick={() => setChartType('candle')}
-              className={`px-2 py-1 text-xs rounded transition-all ${
-                chartType === 'candle' 
-                  ? 'bg-ticker-card text-white' 
-                  : 'text-ticker-muted hover:text-ticker-text'
-              }`}
-            >
-              Candles
-            </button>
-            <button
-              onClick={() => setChartType('line')}
-              className={`px-2 py-1 text-xs rounded transition-all ${
-                chartType === 'line' 
-                  ? 'bg-ticker-card text-white' 
-                  : 'text-ticker-muted hover:text-ticker-text'
+              onClick={() => setShowPnl(!showPnl)}
+              className={`px-2 py-1 text-xs rounded border border-ticker-border transition-all ${
+                showPnl ? 'text-white' : 'text-ticker-muted hover:text-ticker-text'
               }`}
+              title={t('chart.pnlTitle')}
             >
-              Line
+              P&L
             </button>
-          </div>
+          )}
+
+          <DrawingToolbar
+            tool={drawingTool}
+            onToolChange={setDrawingTool}
+            canDelete={drawings.some(drawing => drawing.id === selectedDrawing)}
+            onDelete={deleteSelectedDrawing}
+          />
+
+          <ExportMenu
+            symbol={symbol}
+            orderBookRef={orderBookRef}
+            canExportCandles={candles.length > 0 && Boolean(chart)}
+            onExportCandles={exportCandles}
+            onExportImage={exportImage}
+          />
         </div>
 
         {/* Crosshair data display */}
         {crosshairData && (
           <div className="hidden md:flex items-center gap-4 text-xs font-mono">
             <span className="text-ticker-muted">
-              O: <span className="text-white">${formatPrice(crosshairData.open)}</span>
+              O: <span className="text-white">{sign}{formatPrice(crosshairData.open * rate, shownDecimals)}</span>
             </span>
             <span className="text-ticker-muted">
-              H: <span className="text-ticker-green">${formatPrice(crosshairData.high)}</span>
+              H: <span className="text-ticker-green">{sign}{formatPrice(crosshairData.high * rate, shownDecimals)}</span>
             </span>
             <span className="text-ticker-muted">
-              L: <span className="text-ticker-red">${formatPrice(crosshairData.low)}</span>
+              L: <span className="text-ticker-red">{sign}{formatPrice(crosshairData.low * rate, shownDecimals)}</span>
             </span>
             <span className="text-ticker-muted">
-              C: <span className="text-white">${formatPrice(crosshairData.close)}</span>
+              C: <span className="text-white">{sign}{formatPrice(crosshairData.close * rate, shownDecimals)}</span>
             </span>
             {crosshairData.volume && (
               <span className="text-ticker-muted">
                 Vol: <span className="text-white">{formatVolume(crosshairData.volume)}</span>
               </span>
             )}
+            {pnlVisible && crosshairData.pnl !== null && (
+              <span className="text-ticker-muted">
+                P&L:{' '}
+                <span className={crosshairData.pnl >= 0 ? 'text-ticker-green' : 'text-ticker-red'}>
+                  {formatSignedPrice(crosshairData.pnl * rate, sign, shownDecimals)}
+                </span>
+              </span>
+            )}
           </div>
         )}
       </div>
 
       {/* Chart container */}
-      <div className="relative">
+      <div className={`relative ${height ? '' : 'flex-1 min-h-[200px]'}`}>
         {/* Loading overlay */}
         {loading && (
           <div className="absolute inset-0 bg-ticker-card/80 flex items-center justify-center z-10">
@@ -260,17 +676,24 @@ export function Chart({ currentPrice }) {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
               </svg>
-              Loading chart...
+              {t('chart.loading')}
             </div>
           </div>
         )}
 
+        {/* Scroll-back indicator */}
+        {loadingOlder && (
+          <div className="absolute top-2 left-2 z-10 px-2 py-1 rounded bg-ticker-bg/80 text-xs text-ticker-muted">
+            {t('chart.loadingHistory')}
+          </div>
+        )}
+
         {/* Error overlay */}
         {error && (
           <div className="absolute inset-0 bg-ticker-card/80 flex items-center justify-center z-10">
             <div className="text-center text-ticker-red">
               <div className="text-2xl mb-2">⚠️</div>
-              <div>Failed to load chart data</div>
+              <div>{t('chart.error')}</div>
               <div className="text-xs text-ticker-muted mt-1">{error}</div>
             </div>
           </div>
@@ -279,9 +702,47 @@ export function Chart({ currentPrice }) {
         {/* Actual chart */}
         <div 
           ref={containerRef} 
-          className="w-full h-[400px]"
+          className="w-full h-full"
+          style={height ? { height } : undefined}
+        />
+
+        <DrawingLayer
+          chart={chart}
+          series={priceSeries}
+          candles={candles}
+          drawings={drawings}
+          tool={drawingTool}
+          selectedId={selectedDrawing}
+          onSelect={setSelectedDrawing}
+          onAdd={addDrawing}
+          onUpdate={updateDrawing}
+          onRemove={removeDrawing}
+          onToolDone={() => setDrawingTool(null)}
+          display={{ sign, decimals: shownDecimals, rate }}
+          svgRef={drawingSvgRef}
+        />
+
+        <ComparisonLegend
+          chart={chart}
+          chartRef={chartRef}
+          symbol={symbol}
+          candles={candles}
+          timeframe={timeframe}
+          comparisons={comparisons}
+          onRemove={removeComparison}
         />
       </div>
+
+      {/* Oscillator panes, stacked below the volume histogram */}
+      {paneIndicators.map(indicator => (
+        <IndicatorPane
+          key={indicator.id}
+          mainChart={chart}
+          candles={candles}
+          indicator={indicator}
+          onRemove={() => removeIndicator(indicator.id)}
+        />
+      ))}
     </div>
   )
 }
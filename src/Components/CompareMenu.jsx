@@ -0,0 +1,92 @@
+import { useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { MAX_COMPARISONS, SUGGESTED_SYMBOLS, createComparison, normalizeSymbol } from '../utils/comparison'
+import { t } from '../utils/i18n'
+
+/**
+ * CompareMenu - Add other symbols to the chart as comparison lines
+ *
+ * Design: A "Compare" pill in the chart header (same style as the
+ * indicators menu) opening a small panel with a symbol field and
+ * one-click suggestions. Any Binance symbol can be typed in; one that
+ * doesn't exist shows its error in the chart legend, where comparisons
+ * are also removed (see ComparisonLegend).
+ */
+
+export function CompareMenu({ symbol, comparisons, onChange }) {
+  const [open, setOpen] = useState(false)
+  const [text, setText] = useState('')
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere outside the menu
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  const shown = new Set([symbol, ...comparisons.map(comparison => comparison.symbol)])
+  const full = comparisons.length >= MAX_COMPARISONS
+
+  const add = (input) => {
+    const next = normalizeSymbol(input)
+    if (!next || shown.has(next) || full) return
+    onChange([...comparisons, createComparison(next, comparisons)])
+    setText('')
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    add(text)
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        <button
+          onClick={() => setOpen(o => !o)}
+          className={`px-2 py-1 text-xs rounded transition-all ${
+            open ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {t('compare.button')}{comparisons.length > 0 && ` (${comparisons.length})`}
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-60 bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 text-xs p-2 space-y-2">
+          <form onSubmit={handleSubmit} className="flex gap-1">
+            <input
+              type="text"
+              value={text}
+              onChange={event => setText(event.target.value)}
+              placeholder={t('compare.placeholder')}
+              disabled={full}
+              className="flex-1 min-w-0 bg-ticker-bg border border-ticker-border rounded px-2 py-1 text-ticker-text uppercase placeholder:normal-case placeholder:text-ticker-muted disabled:opacity-40"
+            />
+            <button
+              type="submit"
+              disabled={full || !normalizeSymbol(text)}
+              className="px-2 py-1 rounded border border-ticker-border text-ticker-muted hover:text-ticker-text transition-all disabled:opacity-40 disabled:hover:text-ticker-muted"
+            >
+              {t('compare.add')}
+            </button>
+          </form>
+
+          <div className="flex flex-wrap gap-1">
+            {SUGGESTED_SYMBOLS.filter(suggestion => !shown.has(suggestion)).map(suggestion => (
+              <button
+                key={suggestion}
+                onClick={() => add(suggestion)}
+                disabled={full}
+                className="px-2 py-0.5 rounded bg-ticker-bg text-ticker-muted hover:text-ticker-text transition-all disabled:opacity-40 disabled:hover:text-ticker-muted"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+
+          <div className="text-ticker-muted">
+            {full ? t('compare.full', { max: MAX_COMPARISONS }) : t('compare.hint')}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useState } from 'react'
+import { LineStyle } from 'lightweight-charts'
+import { useCandlesticks } from '../hooks/useCandlesticks'
+import { COMPARE_EXCHANGE, percentChange } from '../utils/comparison'
+import { formatPercent } from '../utils/formatters'
+import { CHART_COLORS } from '../utils/chartTheme'
+import { pairLabel } from '../utils/pairs'
+import { t } from '../utils/i18n'
+
+/**
+ * ComparisonLegend - Other symbols as percent-change lines on the main chart
+ *
+ * Design decisions:
+ * - One row per comparison, and each row owns its line: it loads the
+ *   symbol with useCandlesticks (same REST load, live klines and paging
+ *   as the chart's own candles) and draws it on the chart
+ * - All lines share one overlay price scale, 'compare', in percent - the
+ *   normalized scale - with the chart's own pair as a dashed reference
+ *   line on it, so every line starts from the same 0%
+ * - Lines only use candles at the chart's candle times (see
+ *   utils/comparison.js), and a comparison pages in older history until
+ *   it reaches back as far as the chart does
+ * - Rows show the change at the crosshair, or the latest one, and an ✕
+ *   to remove the comparison
+ *
+ * `chartRef` is Chart's ref to its chart instance: when Chart unmounts
+ * the chart is removed before these rows clean up, and then there are no
+ * series left to remove.
+ */
+
+const COMPARE_SCALE = 'compare'
+
+const PERCENT_FORMAT = {
+  type: 'custom',
+  minMove: 0.01,
+  formatter: formatPercent,
+}
+
+// Same margins as the price series, so 0% sits among the candles
+const COMPARE_MARGINS = { top: 0.1, bottom: 0.2 }
+
+export function ComparisonLegend({ chart, chartRef, symbol, candles, timeframe, comparisons, onRemove }) {
+  const times = useMemo(() => new Set(candles.map(candle => candle.time)), [candles])
+  const start = candles[0]?.time
+
+  if (!chart || !comparisons.length) return null
+
+  return (
+    <div className="absolute top-2 left-2 z-[5] flex flex-col gap-0.5 px-2 py-1 rounded bg-ticker-bg/80 text-xs font-mono">
+      <LegendLine
+        chart={chart}
+        chartRef={chartRef}
+        label={pairLabel(symbol)}
+        color={CHART_COLORS.compareReference}
+        candles={candles}
+        times={times}
+        dashed
+      />
+      {comparisons.map(comparison => (
+        <ComparisonRow
+          key={comparison.symbol}
+          chart={chart}
+          chartRef={chartRef}
+          comparison={comparison}
+          timeframe={timeframe}
+          times={times}
+          start={start}
+          onRemove={() => onRemove(comparison.symbol)}
+        />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * A compared symbol: loads its candles and keeps them reaching back to
+ * the start of the chart's
+ */
+function ComparisonRow({ chart, chartRef, comparison, timeframe, times, start, onRemove }) {
+  const { candles, loading, error, loadOlder, loadingOlder, hasMore } =
+    useCandlesticks(comparison.symbol, timeframe, COMPARE_EXCHANGE)
+
+  const first = candles[0]?.time
+  useEffect(() => {
+    if (first && start && first > start && hasMore && !loadingOlder) {
+      loadOlder()
+    }
+  }, [first, start, hasMore, loadingOlder, loadOlder])
+
+  let status = null
+  if (error) status = t('compare.error')
+  else if (loading && !candles.length) status = t('compare.loading')
+
+  return (
+    <LegendLine
+      chart={chart}
+      chartRef={chartRef}
+      label={comparison.symbol}
+      color={comparison.color}
+      candles={candles}
+      times={times}
+      status={status}
+      title={error || undefined}
+      onRemove={onRemove}
+    />
+  )
+}
+
+/**
+ * One line on the compare scale plus its legend row
+ */
+function LegendLine({ chart, chartRef, label, color, candles, times, dashed = false, status, title, onRemove }) {
+  const [series, setSeries] = useState(null)
+  const [hovered, setHovered] = useState(null)
+
+  useEffect(() => {
+    const line = chart.addLineSeries({
+      priceScaleId: COMPARE_SCALE,
+      color,
+      lineWidth: dashed ? 1 : 2,
+      lineStyle: dashed ? LineStyle.Dashed : LineStyle.Solid,
+      priceFormat: PERCENT_FORMAT,
+      priceLineVisible: false,
+      lastValueVisible: false,
+    })
+    chart.priceScale(COMPARE_SCALE).applyOptions({ scaleMargins: COMPARE_MARGINS })
+    setSeries(line)
+
+    const handleCrosshair = (param) => {
+      setHovered(param.seriesData.get(line)?.value ?? null)
+    }
+    chart.subscribeCrosshairMove(handleCrosshair)
+
+    return () => {
+      chart.unsubscribeCrosshairMove(handleCrosshair)
+      if (chartRef.current) {
+        chart.removeSeries(line)
+      }
+    }
+  }, [chart, chartRef, color, dashed])
+
+  const points = useMemo(() => percentChange(candles, times), [candles, times])
+
+  useEffect(() => {
+    series?.setData(points)
+  }, [series, points])
+
+  const latest = points.length ? points[points.length - 1].value : null
+  const value = hovered ?? latest
+
+  return (
+    <div className="flex items-center gap-2" title={title}>
+      <span className="inline-block w-3 h-0.5" style={{ backgroundColor: color }} />
+      <span className="text-ticker-text">{label}</span>
+      {status ? (
+        <span className="text-ticker-muted">{status}</span>
+      ) : (
+        <span className={value === null ? 'text-ticker-muted' : value >= 0 ? 'text-ticker-green' : 'text-ticker-red'}>
+          {formatPercent(value)}
+        </span>
+      )}
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="text-ticker-muted hover:text-ticker-red transition-colors"
+          title={t('compare.remove')}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from 'react'
+import { GRID_COLUMNS, ROW_HEIGHT, GRID_GAP, placePanel, removePanel } from '../utils/layouts'
+import { t } from '../utils/i18n'
+
+/**
+ * DashboardGrid - Panels placed on a snapping grid, movable and resizable
+ *
+ * Design decisions:
+ * - CSS grid with one track per cell, so the browser does the placement
+ *   and panels line up without any absolute positioning
+ * - In edit mode each panel gets a title bar to drag it by, a resize grip
+ *   and a close button; the panel itself stops taking clicks so a drag
+ *   can't turn into a chart pan or a link click
+ * - Dragging previews the new layout live (others shuffle out of the way)
+ *   and only commits on release, so half-finished drags aren't saved
+ * - Pointer events with capture rather than HTML5 drag and drop: works
+ *   with touch, and there's no ghost image to fight
+ * - Below the lg breakpoint the panels simply stack in reading order at
+ *   their layout height - 12 columns don't fit a phone
+ */
+
+const WIDE_QUERY = '(min-width: 1024px)'
+
+// Panel height in px for a row span
+function spanHeight(rows) {
+  return rows * ROW_HEIGHT + (rows - 1) * GRID_GAP
+}
+
+function useIsWide() {
+  const [isWide, setIsWide] = useState(() => window.matchMedia(WIDE_QUERY).matches)
+
+  useEffect(() => {
+    const media = window.matchMedia(WIDE_QUERY)
+    const handleChange = () => setIsWide(media.matches)
+    media.addEventListener('change', handleChange)
+    return () => media.removeEventListener('change', handleChange)
+  }, [])
+
+  return isWide
+}
+
+export function DashboardGrid({ panels, editing, onChange, renderPanel }) {
+  const gridRef = useRef(null)
+  const dragRef = useRef(null)       // { id, mode, startX, startY, origin }
+  const [preview, setPreview] = useState(null)
+  const isWide = useIsWide()
+
+  const shown = preview || panels
+
+  if (!isWide) {
+    const ordered = [...panels].sort((a, b) => a.y - b.y || a.x - b.x)
+    return (
+      <div className="flex flex-col gap-4">
+        {ordered.map(panel => (
+          <div key={panel.id} style={{ height: spanHeight(panel.h) }}>
+            {renderPanel(panel.id)}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  const startDrag = (event, panel, mode) => {
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragRef.current = { id: panel.id, mode, startX: event.clientX, startY: event.clientY, origin: panel }
+  }
+
+  // Pointer offset -> whole cells, from the grid's current width
+  const handleDragMove = (event) => {
+    const drag = dragRef.current
+    if (!drag || !gridRef.current) return
+
+    const columnStep = (gridRef.current.clientWidth + GRID_GAP) / GRID_COLUMNS
+    const rowStep = ROW_HEIGHT + GRID_GAP
+    const dx = Math.round((event.clientX - drag.startX) / columnStep)
+    const dy = Math.round((event.clientY - drag.startY) / rowStep)
+    const { origin } = drag
+
+    const changes = drag.mode === 'move'
+      ? { x: origin.x + dx, y: origin.y + dy }
+      : { w: origin.w + dx, h: origin.h + dy }
+    setPreview(placePanel(panels, drag.id, changes))
+  }
+
+  const endDrag = () => {
+    if (!dragRef.current) return
+    dragRef.current = null
+    if (preview) onChange(preview)
+    setPreview(null)
+  }
+
+  const dragHandlers = {
+    onPointerMove: handleDragMove,
+    onPointerUp: endDrag,
+    onPointerCancel: endDrag,
+  }
+
+  return (
+    <div
+      ref={gridRef}
+      className="grid"
+      style={{
+        gridTemplateColumns: `repeat(${GRID_COLUMNS}, minmax(0, 1fr))`,
+        gridAutoRows: ROW_HEIGHT,
+        gap: GRID_GAP,
+      }}
+    >
+      {shown.map(panel => (
+        <div
+          key={panel.id}
+          className="relative min-w-0 min-h-0"
+          style={{
+            gridColumn: `${panel.x + 1} / span ${panel.w}`,
+            gridRow: `${panel.y + 1} / span ${panel.h}`,
+          }}
+        >
+          <div className={`h-full ${editing ? 'pointer-events-none select-none opacity-60' : ''}`}>
+            {renderPanel(panel.id)}
+          </div>
+
+          {editing && (
+            <div className="absolute inset-0 rounded-lg border-2 border-dashed border-ticker-muted">
+              {/* Title bar - drag handle */}
+              <div
+                {...dragHandlers}
+                onPointerDown={event => startDrag(event, panel, 'move')}
+                className="flex items-center justify-between px-3 py-1.5 bg-ticker-border/90 cursor-move touch-none select-none"
+              >
+                <span className="text-xs font-medium text-ticker-text">
+                  ⠿ {t(`panel.${panel.id}`)}
+                </span>
+                <button
+                  onPointerDown={event => event.stopPropagation()}
+                  onClick={() => onChange(removePanel(panels, panel.id))}
+                  className="text-ticker-muted hover:text-ticker-red text-sm leading-none"
+                  title={t('layout.hidePanel')}
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* Resize grip */}
+              <div
+                {...dragHandlers}
+                onPointerDown={event => startDrag(event, panel, 'resize')}
+                className="absolute right-0 bottom-0 w-4 h-4 cursor-se-resize touch-none border-r-2 border-b-2 border-ticker-text rounded-br-lg"
+                title={t('layout.resize')}
+              />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+import { useState } from 'react'
+import { formatPrice, formatQuantity, formatNumber } from '../utils/formatters'
+import { t } from '../utils/i18n'
+
+/**
+ * DepthChart - Cumulative bid/ask depth around the mid price
+ *
+ * Design decisions:
+ * - Classic two-sided step area: bids (green) climb to the left of mid,
+ *   asks (red) climb to the right, height = size you'd eat to get there
+ * - Plain SVG scaled to the container (no chart library needed for two paths)
+ * - X axis is a ±% window around mid so both sides stay comparable
+ * - Hover shows price, cumulative size and distance from mid
+ *
+ * Expects the cumulative rows from useOrderBook (best price first).
+ * Prices are multiplied by `rate` for display (see utils/fx.js).
+ */
+
+const RANGES = [0.5, 1, 2, 5, 10] // ± percent around mid
+
+export function DepthChart({ bids, asks, decimals = 2, sign = '$', base = 'ETH', rate = 1 }) {
+  const [range, setRange] = useState(1)
+  const [hover, setHover] = useState(null) // { x: 0-100, price }
+
+  if (!bids.length || !asks.length) {
+    return (
+      <div className="flex-1 flex items-center justify-center text-xs text-ticker-muted">
+        {t('depth.waiting')}
+      </div>
+    )
+  }
+
+  const mid = (bids[0].price + asks[0].price) / 2
+  const minPrice = mid * (1 - range / 100)
+  const maxPrice = mid * (1 + range / 100)
+
+  // Only levels inside the window count toward the vertical scale
+  const visibleBids = bids.filter(b => b.price >= minPrice)
+  const visibleAsks = asks.filter(a => a.price <= maxPrice)
+  const maxCumulative = Math.max(
+    visibleBids[visibleBids.length - 1]?.cumulative || 0,
+    visibleAsks[visibleAsks.length - 1]?.cumulative || 0
+  ) || 1
+
+  // SVG coordinates, 0-100 on both axes (y grows downward)
+  const toX = (price) => ((price - minPrice) / (maxPrice - minPrice)) * 100
+  const toY = (cumulative) => 100 - (cumulative / maxCumulative) * 95
+
+  const bidPath = stepArea(visibleBids, toX, toY, 0)
+  const askPath = stepArea(visibleAsks, toX, toY, 100)
+
+  // Cumulative size resting between mid and `price`
+  const cumulativeAt = (price) => {
+    const side = price < mid ? bids : asks
+    const reached = side.filter(level => (price < mid ? level.price >= price : level.price <= price))
+    return reached.length ? reached[reached.length - 1].cumulative : 0
+  }
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    const x = ((event.clientX - rect.left) / rect.width) * 100
+    setHover({ x, price: minPrice + (x / 100) * (maxPrice - minPrice) })
+  }
+
+  const hoverCumulative = hover ? cumulativeAt(hover.price) : null
+  const hoverDistance = hover ? ((hover.price - mid) / mid) * 100 : null
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Range selector */}
+      <div className="flex items-center justify-between px-3 py-1.5 border-b border-ticker-border text-xs">
+        <span className="text-ticker-muted">{t('depth.range')}</span>
+        <div className="flex gap-1 bg-ticker-bg p-0.5 rounded">
+          {RANGES.map(r => (
+            <button
+              key={r}
+              onClick={() => setRange(r)}
+              className={`px-1.5 py-0.5 rounded font-mono transition-all ${
+                range === r ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+              }`}
+            >
+              ±{r}%
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div
+        className="relative flex-1 min-h-[160px]"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+          <path d={bidPath} fill="rgba(0, 200, 83, 0.2)" stroke="#00c853" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+          <path d={askPath} fill="rgba(255, 23, 68, 0.2)" stroke="#ff1744" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+          <line x1="50" y1="0" x2="50" y2="100" stroke="#4a4a52" strokeDasharray="2 2" vectorEffect="non-scaling-stroke" />
+          {hover && (
+            <line x1={hover.x} y1="0" x2={hover.x} y2="100" stroke="#6b6b6b" vectorEffect="non-scaling-stroke" />
+          )}
+        </svg>
+
+        {/* Max size on the vertical scale */}
+        <div className="absolute top-1 left-2 text-[10px] font-mono text-ticker-muted">
+          {formatQuantity(maxCumulative, 2)} {base}
+        </div>
+
+        {/* Hover readout */}
+        {hover && (
+          <div
+            className="absolute top-6 px-2 py-1 rounded bg-ticker-bg/90 border border-ticker-border text-[11px] font-mono pointer-events-none whitespace-nowrap"
+            style={hover.x > 50 ? { right: `${100 - hover.x + 1}%` } : { left: `${hover.x + 1}%` }}
+          >
+            <div className="text-white">{sign}{formatPrice(hover.price * rate, decimals)}</div>
+            <div className={hover.price < mid ? 'text-ticker-green' : 'text-ticker-red'}>
+              {formatQuantity(hoverCumulative, 4)} {base}
+            </div>
+            <div className="text-ticker-muted">
+              {t('depth.fromMid', { distance: `${hoverDistance >= 0 ? '+' : ''}${formatNumber(hoverDistance, 2)}` })}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Price axis */}
+      <div className="flex justify-between px-2 py-1 border-t border-ticker-border text-[10px] font-mono text-ticker-muted">
+        <span>{formatPrice(minPrice * rate, decimals)}</span>
+        <span className="text-ticker-text">{formatPrice(mid * rate, decimals)}</span>
+        <span>{formatPrice(maxPrice * rate, decimals)}</span>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Closed step-area path for one side, walking outward from the best price
+ * to the window edge (`edgeX` is 0 for bids, 100 for asks)
+ */
+function stepArea(levels, toX, toY, edgeX) {
+  if (!levels.length) return ''
+
+  let path = `M ${toX(levels[0].price)} 100`
+  let prevY = 100
+
+  levels.forEach(level => {
+    const x = toX(level.price)
+    const y = toY(level.cumulative)
+    path += ` L ${x} ${prevY} L ${x} ${y}`
+    prevY = y
+  })
+
+  return `${path} L ${edgeX} ${prevY} L ${edgeX} 100 Z`
+}
@@ -0,0 +1,351 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createDrawing, fibLevels, logicalToTime, timeToLogical } from '../utils/drawings'
+import { formatPrice } from '../utils/formatters'
+import { CHART_COLORS } from '../utils/chartTheme'
+import { t } from '../utils/i18n'
+
+/**
+ * DrawingLayer - SVG annotations on top of the main chart's price pane
+ *
+ * Design decisions:
+ * - SVG over the chart canvas rather than extra chart series: lines,
+ *   boxes and text can be hit-tested, dragged and styled like any DOM
+ *   element, and Lightweight Charts has no drawing API to build on
+ * - Positions are recomputed from (time, price) anchors on every render
+ *   (utils/drawings.js), which runs whenever the chart scrolls, zooms,
+ *   resizes or the crosshair moves - price-axis drags have no event of
+ *   their own, but they move the crosshair
+ * - The layer only takes pointer events while a tool is active (it then
+ *   covers the pane, so placing a drawing can't pan the chart); otherwise
+ *   just the shapes do, and the chart underneath works as usual
+ * - Two-point tools are placed by dragging from the first point to the
+ *   second, one-point tools with a click; anchors snap to the nearest bar
+ * - Dragging a shape moves it, dragging a handle of the selected one
+ *   moves that point - both preview live and commit on release, so a
+ *   drag is one storage write
+ * - Delete/Backspace removes the selected drawing, Escape drops the
+ *   selection and the active tool; double-click edits a note's text
+ * - The <svg> goes to the parent's `svgRef` so image exports can paint
+ *   the drawings over the chart screenshot
+ */
+
+// Within this many px a two-point drag counts as a stray click
+const MIN_DRAG = 3
+
+const HIT_WIDTH = 10
+
+export function DrawingLayer({
+  chart,
+  series,
+  candles,
+  drawings,
+  tool,
+  selectedId,
+  onSelect,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onToolDone,
+  display,
+  svgRef,
+}) {
+  const dragRef = useRef(null)     // { mode, index, startX, startY, origin, moved }
+  const callbacksRef = useRef(null)
+  const [draft, setDraft] = useState(null)
+  const [, setRedraw] = useState(0)
+
+  // Chart and window listeners are set up once and read the latest props here
+  callbacksRef.current = { selectedId, onSelect, onRemove, onToolDone }
+
+  const times = useMemo(() => candles.map(candle => candle.time), [candles])
+
+  // Repaint on anything that moves the pane's coordinates
+  useEffect(() => {
+    if (!chart) return
+
+    const redraw = () => setRedraw(n => n + 1)
+    const deselect = () => callbacksRef.current.onSelect(null)
+    chart.timeScale().subscribeVisibleLogicalRangeChange(redraw)
+    chart.timeScale().subscribeSizeChange(redraw)
+    chart.subscribeCrosshairMove(redraw)
+    chart.subscribeClick(deselect)
+
+    return () => {
+      chart.timeScale().unsubscribeVisibleLogicalRangeChange(redraw)
+      chart.timeScale().unsubscribeSizeChange(redraw)
+      chart.unsubscribeCrosshairMove(redraw)
+      chart.unsubscribeClick(deselect)
+    }
+  }, [chart])
+
+  // New candles can rescale the price axis after this render - repaint
+  // once the chart has drawn them
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => setRedraw(n => n + 1))
+    return () => cancelAnimationFrame(frame)
+  }, [candles, series])
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return
+      const { selectedId, onSelect, onRemove, onToolDone } = callbacksRef.current
+      if (event.key === 'Escape') {
+        onSelect(null)
+        onToolDone()
+      } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedId) {
+        onRemove(selectedId)
+        onSelect(null)
+      }
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [])
+
+  if (!chart || !series || !times.length) return null
+
+  const timeScale = chart.timeScale()
+  const { width, height } = chart.paneSize()
+
+  const toPixel = ({ time, price }) => ({
+    x: timeScale.logicalToCoordinate(timeToLogical(times, time)),
+    y: series.priceToCoordinate(price),
+  })
+
+  // Snapped to the nearest bar; null off the price scale
+  const fromPixel = (x, y) => {
+    const x0 = timeScale.logicalToCoordinate(0)
+    const x1 = timeScale.logicalToCoordinate(1)
+    const price = series.coordinateToPrice(y)
+    if (x0 === null || x1 === null || price === null) return null
+    return { time: logicalToTime(times, Math.round((x - x0) / (x1 - x0))), price }
+  }
+
+  const localPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top }
+  }
+
+  const { sign, decimals, rate } = display
+  const priceLabel = price => `${sign}${formatPrice(price * rate, decimals)}`
+
+  const startCreate = (event) => {
+    if (!tool) return
+    const { x, y } = localPoint(event)
+    const point = fromPixel(x, y)
+    if (!point) return
+
+    if (tool === 'hline' || tool === 'text') {
+      const text = tool === 'text' ? window.prompt(t('drawings.textPrompt')) : null
+      if (tool === 'hline' || text?.trim()) {
+        const drawing = createDrawing(tool, [point], text?.trim())
+        onAdd(drawing)
+        onSelect(drawing.id)
+      }
+      onToolDone()
+      return
+    }
+
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragRef.current = { mode: 'create', startX: x, startY: y }
+    setDraft(createDrawing(tool, [point, point]))
+  }
+
+  const startDrag = (event, drawing, index = null) => {
+    if (tool) return   // Placing a new drawing on top of this one
+    event.stopPropagation()
+    event.currentTarget.setPointerCapture(event.pointerId)
+
+    const { x, y } = localPoint(event)
+    dragRef.current = {
+      mode: index === null ? 'move' : 'point',
+      index,
+      startX: x,
+      startY: y,
+      origin: drawing.points.map(toPixel),
+    }
+    onSelect(drawing.id)
+    setDraft(drawing)
+  }
+
+  const handleMove = (event) => {
+    const drag = dragRef.current
+    if (!drag || !draft) return
+
+    const { x, y } = localPoint(event)
+    let points
+    if (drag.mode === 'move') {
+      points = drag.origin.map(p => fromPixel(p.x + x - drag.startX, p.y + y - drag.startY))
+    } else {
+      const index = drag.mode === 'create' ? 1 : drag.index
+      points = draft.points.map((p, i) => (i === index ? fromPixel(x, y) : p))
+    }
+    if (points.every(Boolean)) {
+      drag.moved = true
+      setDraft({ ...draft, points })
+    }
+  }
+
+  const endDrag = (event) => {
+    const drag = dragRef.current
+    dragRef.current = null
+    setDraft(null)
+    if (!drag || !draft) return
+
+    if (drag.mode === 'create') {
+      const { x, y } = localPoint(event)
+      if (Math.hypot(x - drag.startX, y - drag.startY) >= MIN_DRAG) {
+        onAdd(draft)
+        onSelect(draft.id)
+      }
+      onToolDone()
+    } else if (drag.moved) {
+      onUpdate(draft.id, { points: draft.points })
+    }
+  }
+
+  const editText = (drawing) => {
+    const text = window.prompt(t('drawings.textPrompt'), drawing.text)
+    if (text?.trim()) {
+      onUpdate(drawing.id, { text: text.trim() })
+    }
+  }
+
+  // The one being dragged or placed shows as its preview
+  const shown = drawings.map(drawing => (drawing.id === draft?.id ? draft : drawing))
+  if (draft && dragRef.current?.mode === 'create') shown.push(draft)
+
+  return (
+    <svg
+      ref={svgRef}
+      width={width}
+      height={height}
+      className="absolute top-0 left-0"
+      style={{ pointerEvents: tool ? 'all' : 'none', cursor: tool ? 'crosshair' : undefined }}
+      onPointerDown={startCreate}
+      onPointerMove={handleMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      {shown.map(drawing => {
+        const points = drawing.points.map(toPixel)
+        if (points.some(p => p.x === null || p.y === null)) return null
+        const selected = drawing.id === selectedId
+
+        return (
+          <g
+            key={drawing.id}
+            onPointerDown={event => startDrag(event, drawing)}
+            onDoubleClick={() => drawing.type === 'text' && editText(drawing)}
+            style={{ cursor: tool ? undefined : 'move' }}
+          >
+            <Shape drawing={drawing} points={points} width={width} priceLabel={priceLabel} />
+            {selected && !tool && points.map((p, i) => (
+              <circle
+                key={i}
+                cx={drawing.type === 'hline' ? width - 40 : p.x}
+                cy={p.y}
+                r={4}
+                fill={CHART_COLORS.background}
+                stroke={CHART_COLORS.drawing}
+                strokeWidth={2}
+                style={{ pointerEvents: 'all', cursor: 'pointer' }}
+                onPointerDown={event => startDrag(event, drawing, i)}
+              />
+            ))}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+/**
+ * One drawing in pixel space, with a wider invisible stroke to grab lines by
+ */
+function Shape({ drawing, points, width, priceLabel }) {
+  const color = CHART_COLORS.drawing
+  const [a, b] = points
+
+  switch (drawing.type) {
+    case 'hline':
+      return (
+        <>
+          <HitLine x1={0} y1={a.y} x2={width} y2={a.y} />
+          <line x1={0} y1={a.y} x2={width} y2={a.y} stroke={color} strokeWidth={1} />
+          <text x={width - 4} y={a.y - 4} textAnchor="end" fontSize={11} fill={color}>
+            {priceLabel(drawing.points[0].price)}
+          </text>
+        </>
+      )
+
+    case 'trendline':
+    case 'ray': {
+      const end = drawing.type === 'ray' ? extendToEdge(a, b, width) : b
+      return (
+        <>
+          <HitLine x1={a.x} y1={a.y} x2={end.x} y2={end.y} />
+          <line x1={a.x} y1={a.y} x2={end.x} y2={end.y} stroke={color} strokeWidth={1.5} />
+        </>
+      )
+    }
+
+    case 'rectangle':
+      return (
+        <rect
+          x={Math.min(a.x, b.x)}
+          y={Math.min(a.y, b.y)}
+          width={Math.abs(b.x - a.x)}
+          height={Math.abs(b.y - a.y)}
+          fill={CHART_COLORS.drawingFill}
+          stroke={color}
+          strokeWidth={1}
+          style={{ pointerEvents: 'all' }}
+        />
+      )
+
+    case 'fib': {
+      const left = Math.min(a.x, b.x)
+      const right = Math.max(a.x, b.x)
+      return (
+        <>
+          <HitLine x1={a.x} y1={a.y} x2={b.x} y2={b.y} />
+          <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={1} strokeDasharray="4 3" />
+          {fibLevels(drawing.points).map(({ level, price }) => {
+            const y = b.y + (a.y - b.y) * level
+            return (
+              <g key={level}>
+                <HitLine x1={left} y1={y} x2={right} y2={y} />
+                <line x1={left} y1={y} x2={right} y2={y} stroke={color} strokeWidth={1} opacity={level === 0 || level === 1 ? 1 : 0.6} />
+                <text x={left + 4} y={y - 3} fontSize={10} fill={color}>
+                  {level} ({priceLabel(price)})
+                </text>
+              </g>
+            )
+          })}
+        </>
+      )
+    }
+
+    case 'text':
+      return (
+        <text x={a.x} y={a.y} fontSize={12} fill={color} style={{ pointerEvents: 'all', userSelect: 'none' }}>
+          {drawing.text}
+        </text>
+      )
+
+    default:
+      return null
+  }
+}
+
+function HitLine(props) {
+  return <line {...props} stroke="transparent" strokeWidth={HIT_WIDTH} style={{ pointerEvents: 'stroke' }} />
+}
+
+// Where the line from a through b leaves the pane (vertical rays stop at b)
+function extendToEdge(a, b, width) {
+  if (b.x === a.x) return b
+  const edge = b.x > a.x ? width : 0
+  const scale = (edge - a.x) / (b.x - a.x)
+  return { x: edge, y: a.y + (b.y - a.y) * scale }
+}
@@ -0,0 +1,48 @@
+import { DRAWING_TOOLS } from '../utils/drawings'
+import { t } from '../utils/i18n'
+
+/**
+ * DrawingToolbar - Pick a drawing tool, or delete the selected drawing
+ *
+ * Design: Same pill group as the chart type toggle, one glyph per tool
+ * with its name as a tooltip. A tool is one-shot: it switches off once
+ * its drawing is placed, and clicking the active tool cancels it.
+ */
+
+const TOOL_ICONS = {
+  hline: '―',
+  trendline: '╱',
+  ray: '↗',
+  rectangle: '▭',
+  fib: 'Fib',
+  text: 'T',
+}
+
+export function DrawingToolbar({ tool, onToolChange, canDelete, onDelete }) {
+  return (
+    <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+      {Object.keys(DRAWING_TOOLS).map(id => (
+        <button
+          key={id}
+          onClick={() => onToolChange(tool === id ? null : id)}
+          className={`min-w-[1.75rem] px-1.5 py-1 text-xs rounded transition-all ${
+            tool === id
+              ? 'bg-ticker-card text-white'
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+          title={t(`drawings.${id}`)}
+        >
+          {TOOL_ICONS[id]}
+        </button>
+      ))}
+      <button
+        onClick={onDelete}
+        disabled={!canDelete}
+        className="px-1.5 py-1 text-xs rounded text-ticker-muted hover:text-ticker-red transition-all disabled:opacity-40 disabled:hover:text-ticker-muted"
+        title={t('drawings.delete')}
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import { useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { downloadBlob, exportFileName, orderBookToCsv } from '../utils/exports'
+import { t } from '../utils/i18n'
+
+/**
+ * ExportMenu - Download the chart's data or a picture of it
+ *
+ * Design: An "Export" pill in the chart header (same style as the
+ * indicators menu) opening a short list:
+ * - Candles as CSV or JSON, with the active indicators' columns
+ * - The current order book as CSV
+ * - A PNG of the chart with a title/timestamp band, for reports
+ *
+ * Chart owns the candles and the chart canvas, so those exports are
+ * callbacks - the image one is async, and if it fails the menu stays
+ * open with the error instead of closing.
+ *
+ * The order book comes from the order book panel (`orderBookRef`, see
+ * OrderBook) rather than a depth stream of its own: the export is the
+ * levels the panel holds, at its grouping and depth. Without the panel
+ * on the dashboard the item is disabled; embeds don't pass the ref and
+ * don't show it.
+ */
+
+export function ExportMenu({ symbol, canExportCandles, onExportCandles, onExportImage, orderBookRef }) {
+  const [open, setOpen] = useState(false)
+  const [error, setError] = useState(null)
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere outside the menu
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  const run = async (action) => {
+    try {
+      await action()
+      setError(null)
+      setOpen(false)
+    } catch (err) {
+      console.error('Export failed:', err)
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        <button
+          onClick={() => {
+            setOpen(o => !o)
+            setError(null)
+          }}
+          className={`px-2 py-1 text-xs rounded transition-all ${
+            open ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {t('export.button')}
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-48 bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 text-xs py-1">
+          <MenuItem disabled={!canExportCandles} onClick={() => run(() => onExportCandles('csv'))}>
+            {t('export.candlesCsv')}
+          </MenuItem>
+          <MenuItem disabled={!canExportCandles} onClick={() => run(() => onExportCandles('json'))}>
+            {t('export.candlesJson')}
+          </MenuItem>
+          {orderBookRef && (
+            <OrderBookItem symbol={symbol} orderBookRef={orderBookRef} onDone={() => setOpen(false)} />
+          )}
+          <MenuItem disabled={!canExportCandles} onClick={() => run(onExportImage)}>
+            {t('export.image')}
+          </MenuItem>
+          {error && (
+            <div className="px-3 py-1.5 text-ticker-red" title={error}>
+              {t('export.failed')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Order book export from the panel's latest levels, read at click time
+ */
+function OrderBookItem({ symbol, orderBookRef, onDone }) {
+  const currentBook = () => {
+    const book = orderBookRef.current
+    return book?.symbol === symbol && (book.bids.length || book.asks.length) ? book : null
+  }
+
+  const download = () => {
+    const book = currentBook()
+    if (!book) return
+    const blob = new Blob([orderBookToCsv(book.bids, book.asks)], { type: 'text/csv' })
+    downloadBlob(blob, exportFileName(`${symbol}-orderbook`, 'csv'))
+    onDone()
+  }
+
+  const ready = Boolean(currentBook())
+  return (
+    <MenuItem disabled={!ready} onClick={download}>
+      {ready ? t('export.orderBookCsv') : t('export.orderBookUnavailable')}
+    </MenuItem>
+  )
+}
+
+function MenuItem({ disabled, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="block w-full text-left px-3 py-1.5 text-ticker-text hover:bg-ticker-bg transition-colors disabled:text-ticker-muted disabled:hover:bg-transparent"
+    >
+      {children}
+    </button>
+  )
+}
@@ -0,0 +1,90 @@
+import { useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { useFeedHealth } from '../hooks/useFeedHealth'
+import { STALE_AFTER } from '../services/feedHealth'
+import { pairLabel } from '../utils/pairs'
+import { t } from '../utils/i18n'
+
+/**
+ * FeedHealthPanel - Diagnostics for every live feed
+ *
+ * Design decisions:
+ * - A one-line summary in the footer ("5/5 feeds live") that turns yellow
+ *   as soon as any feed isn't live; clicking opens the full table
+ * - One row per feed: exchange, channel, pair, state, time since the last
+ *   message, messages/sec, event latency and the exchange's reconnect count
+ * - Opens upwards since it sits at the bottom of the page
+ */
+
+const STATE_CLASSES = {
+  live: 'text-ticker-green',
+  stale: 'text-yellow-500',
+  connecting: 'text-yellow-500',
+  error: 'text-ticker-red',
+}
+
+function formatAge(ms) {
+  if (ms === null) return '—'
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`
+}
+
+export function FeedHealthPanel() {
+  const feeds = useFeedHealth()
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere outside the panel
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  const live = feeds.filter(feed => feed.state === 'live').length
+  const healthy = live === feeds.length
+
+  return (
+    <div ref={containerRef} className="relative inline-block">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className={`text-xs transition-colors ${healthy ? 'text-ticker-muted hover:text-ticker-text' : 'text-yellow-500'}`}
+      >
+        {t('feeds.summary', { live, total: feeds.length })} ▴
+      </button>
+
+      {open && (
+        <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-[32rem] max-w-[95vw] bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 text-xs text-left">
+          <div className="grid grid-cols-7 gap-2 px-3 py-2 border-b border-ticker-border text-ticker-muted">
+            <span className="col-span-2">{t('feeds.feed')}</span>
+            <span>{t('feeds.state')}</span>
+            <span className="text-right">{t('feeds.lastMessage')}</span>
+            <span className="text-right">{t('feeds.rate')}</span>
+            <span className="text-right">{t('feeds.latency')}</span>
+            <span className="text-right">{t('feeds.reconnects')}</span>
+          </div>
+          {feeds.length === 0 && (
+            <div className="px-3 py-2 text-ticker-muted">{t('feeds.none')}</div>
+          )}
+          {feeds.map(feed => (
+            <div key={feed.id} className="grid grid-cols-7 gap-2 px-3 py-1.5 font-mono">
+              <span className="col-span-2 text-ticker-text font-sans truncate" title={feed.id}>
+                {feed.exchange} {feed.channel}
+                <span className="text-ticker-muted ml-1">
+                  {pairLabel(feed.symbol)}{feed.interval ? ` ${feed.interval}` : ''}
+                </span>
+              </span>
+              <span className={STATE_CLASSES[feed.state] || 'text-ticker-muted'}>{t(`feeds.${feed.state}`)}</span>
+              <span className="text-right text-ticker-text">{formatAge(feed.age)}</span>
+              <span className="text-right text-ticker-text">{feed.rate.toFixed(1)}</span>
+              <span className="text-right text-ticker-text">{feed.latency === null ? '—' : `${feed.latency}ms`}</span>
+              <span className="text-right text-ticker-text">{feed.reconnects}</span>
+            </div>
+          ))}
+          <div className="px-3 py-2 border-t border-ticker-border text-ticker-muted">
+            {t('feeds.note', {
+              ticker: STALE_AFTER.ticker / 1000,
+              trades: STALE_AFTER.trades / 1000,
+              klines: STALE_AFTER.klines / 1000,
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
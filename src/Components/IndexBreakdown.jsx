@@ -0,0 +1,78 @@
+import { useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { formatPrice, formatNumber } from '../utils/formatters'
+import { t } from '../utils/i18n'
+import { STALE_AFTER, OUTLIER_PERCENT } from '../utils/compositeIndex'
+
+/**
+ * IndexBreakdown - Per-venue popover for the composite index price
+ *
+ * Design: A small "N/M venues" label beside the Index toggle; clicking opens a
+ * table of every venue with its price, deviation from the index, share of
+ * the index and how long ago it last ticked. Excluded venues stay listed,
+ * dimmed, with the reason - so a missing exchange is never a mystery.
+ */
+
+// `rate` converts venue prices to the display currency (see utils/fx.js)
+export function IndexBreakdown({ venues, sign, decimals, rate = 1 }) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere outside the popover
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  const included = venues.filter(v => !v.excluded).length
+  const now = Date.now()
+
+  return (
+    <div ref={containerRef} className="relative inline-block">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="text-xs text-ticker-muted hover:text-ticker-text transition-colors"
+      >
+        {t('index.venues', { included, total: venues.length })} ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-80 bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 text-xs text-left">
+          <div className="grid grid-cols-5 gap-2 px-3 py-2 border-b border-ticker-border text-ticker-muted">
+            <span>{t('index.venue')}</span>
+            <span className="col-span-2 text-right">{t('index.price')}</span>
+            <span className="text-right">{t('index.deviation')}</span>
+            <span className="text-right">{t('index.age')}</span>
+          </div>
+          {venues.map(venue => (
+            <div
+              key={venue.id}
+              className={`grid grid-cols-5 gap-2 px-3 py-1.5 font-mono ${venue.excluded ? 'opacity-50' : ''}`}
+            >
+              <span className="text-ticker-text font-sans truncate">
+                {venue.name}
+                {!venue.excluded && (
+                  <span className="text-ticker-muted ml-1">{Math.round(venue.weight * 100)}%</span>
+                )}
+              </span>
+              <span className="col-span-2 text-right text-white">
+                {venue.price ? `${sign}${formatPrice(venue.price * rate, decimals)}` : '—'}
+              </span>
+              <span className={`text-right ${
+                venue.deviation === null ? 'text-ticker-muted'
+                  : venue.deviation >= 0 ? 'text-ticker-green' : 'text-ticker-red'
+              }`}>
+                {venue.deviation === null ? '—' : `${venue.deviation >= 0 ? '+' : ''}${formatNumber(venue.deviation, 2)}%`}
+              </span>
+              <span className={`text-right ${venue.excluded ? 'text-yellow-500' : 'text-ticker-muted'}`}>
+                {venue.excluded
+                  ? t(`index.${venue.excluded}`)
+                  : `${Math.max(0, Math.round((now - venue.updatedAt) / 1000))}s`}
+              </span>
+            </div>
+          ))}
+          <div className="px-3 py-2 border-t border-ticker-border text-ticker-muted">
+            {t('index.note', { seconds: STALE_AFTER / 1000, percent: OUTLIER_PERCENT })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
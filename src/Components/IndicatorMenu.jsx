@@ -0,0 +1,156 @@
+import { useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { INDICATORS, INDICATOR_PALETTE, defaultParams, indicatorLabel } from '../utils/indicators'
+import { t } from '../utils/i18n'
+
+/**
+ * IndicatorMenu - Add, tune and remove chart indicators
+ *
+ * Design: A single "Indicators" pill in the chart header (same style as
+ * the chart type toggle) opening a panel with two sections:
+ * - Active: one row per instance with its parameter inputs
+ * - Add: every available indicator, overlays first then oscillators
+ *
+ * Instances are plain objects ({ id, type, params, color }) owned by Chart,
+ * so the same indicator can be added twice with different settings.
+ */
+
+let nextId = 0
+
+export function IndicatorMenu({ indicators, onChange }) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere outside the menu
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  const add = (type) => {
+    onChange([
+      ...indicators,
+      {
+        id: `${type}-${Date.now().toString(36)}-${nextId++}`,
+        type,
+        params: defaultParams(type),
+        color: INDICATOR_PALETTE[indicators.length % INDICATOR_PALETTE.length],
+      },
+    ])
+  }
+
+  const remove = (id) => {
+    onChange(indicators.filter(indicator => indicator.id !== id))
+  }
+
+  const updateParam = (id, key, value) => {
+    onChange(indicators.map(indicator =>
+      indicator.id === id
+        ? { ...indicator, params: { ...indicator.params, [key]: value } }
+        : indicator
+    ))
+  }
+
+  const types = Object.keys(INDICATORS)
+  const overlayTypes = types.filter(type => !INDICATORS[type].pane)
+  const paneTypes = types.filter(type => INDICATORS[type].pane)
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        <button
+          onClick={() => setOpen(o => !o)}
+          className={`px-2 py-1 text-xs rounded transition-all ${
+            open ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {t('indicators.button')}{indicators.length > 0 && ` (${indicators.length})`}
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-72 bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 text-xs">
+          {indicators.length > 0 && (
+            <div className="p-2 border-b border-ticker-border space-y-2">
+              <div className="text-ticker-muted uppercase tracking-wider">{t('indicators.active')}</div>
+              {indicators.map(indicator => (
+                <IndicatorRow
+                  key={indicator.id}
+                  indicator={indicator}
+                  onParamChange={(key, value) => updateParam(indicator.id, key, value)}
+                  onRemove={() => remove(indicator.id)}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="p-2 space-y-1">
+            <div className="text-ticker-muted uppercase tracking-wider">{t('indicators.overlays')}</div>
+            {overlayTypes.map(type => (
+              <AddButton key={type} type={type} onAdd={add} />
+            ))}
+            <div className="text-ticker-muted uppercase tracking-wider pt-2">{t('indicators.oscillators')}</div>
+            {paneTypes.map(type => (
+              <AddButton key={type} type={type} onAdd={add} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Menu entry that adds a new instance with default parameters
+ */
+function AddButton({ type, onAdd }) {
+  const { label, name } = INDICATORS[type]
+
+  return (
+    <button
+      onClick={() => onAdd(type)}
+      className="w-full flex items-center justify-between px-2 py-1 rounded text-ticker-text hover:bg-ticker-border/50 transition-colors"
+    >
+      <span>{name}</span>
+      <span className="text-ticker-muted font-mono">+ {label}</span>
+    </button>
+  )
+}
+
+/**
+ * Active indicator with inline parameter inputs
+ */
+function IndicatorRow({ indicator, onParamChange, onRemove }) {
+  const { params } = INDICATORS[indicator.type]
+
+  // Ignore blanks/out-of-range while typing, the chart keeps the last valid value
+  const handleChange = (param, raw) => {
+    const value = parseFloat(raw)
+    if (isNaN(value) || value < param.min || value > param.max) return
+    onParamChange(param.key, param.step ? value : Math.round(value))
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: indicator.color }} />
+      <span className="text-ticker-text font-mono truncate flex-1">{indicatorLabel(indicator)}</span>
+      {params.map(param => (
+        <input
+          key={param.key}
+          type="number"
+          title={param.label}
+          min={param.min}
+          max={param.max}
+          step={param.step || 1}
+          defaultValue={indicator.params[param.key]}
+          onChange={e => handleChange(param, e.target.value)}
+          className="w-12 px-1 py-0.5 bg-ticker-bg border border-ticker-border rounded text-ticker-text font-mono"
+        />
+      ))}
+      <button
+        onClick={onRemove}
+        className="text-ticker-muted hover:text-ticker-red transition-colors"
+        title={t('common.remove')}
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
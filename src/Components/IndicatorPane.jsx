@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState } from 'react'
+import { createChart, LineStyle } from 'lightweight-charts'
+import { INDICATORS, computeIndicator, indicatorLabel } from '../utils/indicators'
+import { CHART_COLORS, CHART_OPTIONS } from '../utils/chartTheme'
+import { t } from '../utils/i18n'
+
+/**
+ * IndicatorPane - Oscillator (RSI, MACD, Stochastic) in its own strip below the chart
+ *
+ * Why a separate chart per pane?
+ * - Lightweight Charts v4 has a single pane per chart
+ * - Oscillators need their own price axis (0-100, or centered on 0)
+ *
+ * The pane follows the main chart's visible logical range, so scrolling
+ * or zooming the main chart moves every pane with it. For the logical
+ * indices to line up, the pane carries an invisible series with every
+ * candle's time - indicator lines start later (warmup) and would
+ * otherwise shift the bars.
+ */
+
+const PANE_HEIGHT = 120
+
+export function IndicatorPane({ mainChart, candles, indicator, onRemove }) {
+  const containerRef = useRef(null)
+  const paneRef = useRef(null)     // { chart, timeSeries, series: [{ key, style, api }] }
+  const [latest, setLatest] = useState({})
+
+  const definition = INDICATORS[indicator.type]
+
+  // Create the pane chart and keep it in sync with the main chart
+  useEffect(() => {
+    if (!containerRef.current || !mainChart) return
+
+    const chart = createChart(containerRef.current, {
+      ...CHART_OPTIONS,
+      height: PANE_HEIGHT,
+      timeScale: {
+        ...CHART_OPTIONS.timeScale,
+        visible: false,
+      },
+      // Navigation happens on the main chart
+      handleScroll: false,
+      handleScale: false,
+    })
+
+    const timeSeries = chart.addLineSeries({ visible: false })
+
+    const series = definition.outputs.map(output => {
+      const color = output.color || indicator.color
+      const options = {
+        color,
+        priceLineVisible: false,
+        lastValueVisible: false,
+      }
+      return {
+        key: output.key,
+        style: output.style,
+        api: output.style === 'histogram'
+          ? chart.addHistogramSeries(options)
+          : chart.addLineSeries({ ...options, lineWidth: 1 }),
+      }
+    })
+
+    // Guide lines (e.g. RSI 30/70) on the first series
+    ;(definition.levels || []).forEach(level => {
+      series[0].api.createPriceLine({
+        price: level,
+        color: CHART_COLORS.crosshair,
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: false,
+      })
+    })
+
+    paneRef.current = { chart, timeSeries, series }
+
+    const syncRange = (range) => {
+      if (range) {
+        chart.timeScale().setVisibleLogicalRange(range)
+      }
+    }
+    mainChart.timeScale().subscribeVisibleLogicalRangeChange(syncRange)
+
+    const handleResize = () => {
+      if (containerRef.current) {
+        chart.applyOptions({ width: containerRef.current.clientWidth })
+      }
+    }
+
+    const resizeObserver = new ResizeObserver(handleResize)
+    resizeObserver.observe(containerRef.current)
+    handleResize()
+
+    return () => {
+      resizeObserver.disconnect()
+      mainChart.timeScale().unsubscribeVisibleLogicalRangeChange(syncRange)
+      paneRef.current = null
+      chart.remove()
+    }
+  }, [mainChart, definition, indicator.color])
+
+  // Recompute on every candle change (live ticks included) or parameter edit
+  useEffect(() => {
+    const pane = paneRef.current
+    if (!pane) return
+
+    const points = computeIndicator(indicator, candles)
+
+    pane.timeSeries.setData(candles.map(candle => ({ time: candle.time })))
+    pane.series.forEach(({ key, style, api }) => {
+      const data = points[key] || []
+      api.setData(style === 'histogram'
+        ? data.map(p => ({ ...p, color: p.value >= 0 ? CHART_COLORS.volumeUp : CHART_COLORS.volumeDown }))
+        : data
+      )
+    })
+
+    // setData can move the pane's range - snap back to the main chart's
+    const range = mainChart?.timeScale().getVisibleLogicalRange()
+    if (range) {
+      pane.chart.timeScale().setVisibleLogicalRange(range)
+    }
+
+    setLatest(Object.fromEntries(
+      Object.entries(points).map(([key, data]) => [key, data[data.length - 1]?.value])
+    ))
+  }, [mainChart, candles, indicator])
+
+  return (
+    <div className="relative border-t border-ticker-border shrink-0">
+      {/* Legend with latest values */}
+      <div className="absolute top-1 left-2 z-10 flex items-center gap-3 text-xs font-mono">
+        <span className="text-ticker-text">{indicatorLabel(indicator)}</span>
+        {definition.outputs.map(output => (
+          <span key={output.key} style={{ color: output.color || indicator.color }}>
+            {latest[output.key] !== undefined ? latest[output.key].toFixed(2) : '—'}
+          </span>
+        ))}
+        <button
+          onClick={onRemove}
+          className="text-ticker-muted hover:text-ticker-red transition-colors"
+          title={t('indicators.remove')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div ref={containerRef} className="w-full" style={{ height: PANE_HEIGHT }} />
+    </div>
+  )
+}
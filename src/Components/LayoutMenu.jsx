@@ -0,0 +1,130 @@
+import { useRef, useState } from 'react'
+import { PANELS, addPanel } from '../utils/layouts'
+import { t } from '../utils/i18n'
+
+/**
+ * LayoutMenu - Pick, edit and share dashboard layouts
+ *
+ * Design decisions:
+ * - The layout picker is always there; everything that changes a layout
+ *   sits behind Edit, so the toolbar stays one quiet row while trading
+ * - "Add panel" only lists the panels the layout doesn't show yet
+ * - Export downloads every layout as one JSON file; Import merges a file
+ *   back in (same-name layouts are replaced) and switches to it
+ * - Editing is desktop-only - the grid stacks panels on small screens
+ */
+
+export function LayoutMenu({ layouts, editing, onEditingChange }) {
+  const { names, active, panels, setPanels, selectLayout, saveLayoutAs, deleteLayout, resetLayout, exportLayouts, importLayouts } = layouts
+  const [newName, setNewName] = useState(null)   // null = not naming
+  const [error, setError] = useState(null)
+  const fileRef = useRef(null)
+
+  const hidden = Object.keys(PANELS).filter(id => !panels.some(panel => panel.id === id))
+
+  const handleSaveAs = (event) => {
+    event.preventDefault()
+    saveLayoutAs(newName)
+    setNewName(null)
+  }
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      importLayouts(await file.text())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const buttonClass = 'px-2 py-0.5 rounded border border-ticker-border hover:text-ticker-text transition-colors'
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-xs text-ticker-muted">
+      <label className="flex items-center gap-2">
+        {t('layout.label')}
+        <select
+          value={active}
+          onChange={e => selectLayout(e.target.value)}
+          className="bg-ticker-bg border border-ticker-border rounded px-2 py-0.5 text-ticker-text"
+        >
+          {names.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        onClick={() => onEditingChange(!editing)}
+        className={`${buttonClass} hidden lg:block ${editing ? 'text-ticker-text bg-ticker-border' : ''}`}
+      >
+        {editing ? t('layout.done') : t('layout.edit')}
+      </button>
+
+      {editing && (
+        <div className="hidden lg:flex flex-wrap items-center gap-2">
+          {hidden.length > 0 && (
+            <select
+              value=""
+              onChange={e => setPanels(addPanel(panels, e.target.value))}
+              className="bg-ticker-bg border border-ticker-border rounded px-2 py-0.5 text-ticker-text"
+            >
+              <option value="">{t('layout.addPanel')}</option>
+              {hidden.map(id => (
+                <option key={id} value={id}>{t(`panel.${id}`)}</option>
+              ))}
+            </select>
+          )}
+
+          {newName === null ? (
+            <button onClick={() => setNewName('')} className={buttonClass}>
+              {t('layout.saveAs')}
+            </button>
+          ) : (
+            <form onSubmit={handleSaveAs} className="flex items-center gap-1">
+              <input
+                autoFocus
+                value={newName}
+                onChange={e => setNewName(e.target.value)}
+                placeholder={t('layout.namePlaceholder')}
+                className="w-32 bg-ticker-bg border border-ticker-border rounded px-2 py-0.5 text-ticker-text"
+              />
+              <button type="submit" disabled={!newName.trim()} className={`${buttonClass} disabled:opacity-40`}>
+                {t('layout.save')}
+              </button>
+              <button type="button" onClick={() => setNewName(null)} className={buttonClass}>
+                {t('layout.cancel')}
+              </button>
+            </form>
+          )}
+
+          <button onClick={resetLayout} className={buttonClass}>
+            {t('layout.reset')}
+          </button>
+          <button onClick={() => deleteLayout(active)} className={`${buttonClass} hover:text-ticker-red`}>
+            {t('layout.delete')}
+          </button>
+          <button onClick={exportLayouts} className={buttonClass}>
+            {t('layout.export')}
+          </button>
+          <button onClick={() => fileRef.current?.click()} className={buttonClass}>
+            {t('layout.import')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {error && <span className="text-ticker-red">{error}</span>}
+    </div>
+  )
+}
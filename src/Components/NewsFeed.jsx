@@ -1,4 +1,5 @@
 import { useNews, formatRelativeTime } from '../hooks/useNews'
+import { t } from '../utils/i18n'
 
 /**
  * NewsFeed Component - ETH news headlines
@@ -19,19 +20,19 @@ export function NewsFeed() {
       {/* Header */}
       <div className="px-4 py-3 border-b border-ticker-border flex items-center justify-between">
         <div className="flex items-center gap-2">
-          <h3 className="text-sm font-medium text-ticker-text">Latest News</h3>
+          <h3 className="text-sm font-medium text-ticker-text">{t('news.title')}</h3>
           <span className="text-xs text-ticker-muted">• ETH</span>
         </div>
         <div className="flex items-center gap-3">
           {lastUpdate && (
             <span className="text-xs text-ticker-muted">
-              Updated {formatRelativeTime(new Date(lastUpdate))}
+              {t('news.updated', { time: formatRelativeTime(new Date(lastUpdate)) })}
             </span>
           )}
           <button 
             onClick={refetch}
             className="text-ticker-muted hover:text-ticker-text transition-colors"
-            title="Refresh news"
+            title={t('news.refresh')}
           >
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
@@ -50,17 +51,17 @@ export function NewsFeed() {
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
               <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
             </svg>
-            Loading news...
+            {t('news.loading')}
           </div>
         ) : error && news.length === 0 ? (
           <div className="text-center py-8 text-ticker-muted">
             <div className="text-2xl mb-2">📰</div>
-            <div>Unable to load news</div>
+            <div>{t('news.error')}</div>
             <button 
               onClick={refetch}
               className="mt-2 text-xs text-ticker-green hover:underline"
             >
-              Try again
+              {t('news.retry')}
             </button>
           </div>
         ) : (
@@ -107,7 +108,7 @@ export function NewsTickerCompact() {
   if (loading && news.length === 0) {
     return (
       <div className="bg-ticker-card border border-ticker-border rounded-lg p-3 text-center text-ticker-muted text-sm">
-        Loading news...
+        {t('news.loading')}
       </div>
     )
   }
@@ -116,7 +117,7 @@ export function NewsTickerCompact() {
     <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden">
       <div className="flex items-center gap-4 px-4 py-3 overflow-x-auto scrollbar-hide">
         <span className="text-xs font-medium text-ticker-muted uppercase tracking-wider shrink-0">
-          News
+          {t('news.compact')}
         </span>
         {news.slice(0, 5).map((item, i) => (
           <a
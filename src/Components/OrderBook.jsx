@@ -1,5 +1,10 @@
-import { useBinanceOrderBook } from '../hooks/useBinanceOrderBook'
-import { formatPrice, formatQuantity } from '../utils/formatters'
+import { useEffect, useState } from 'react'
+import { useOrderBook } from '../hooks/useOrderBook'
+import { DepthChart } from './DepthChart'
+import { formatPrice, formatQuantity, formatNumber } from '../utils/formatters'
+import { t } from '../utils/i18n'
+import { getDisplay } from '../utils/fx'
+import { getPair, groupingSteps } from '../utils/pairs'
 
 /**
  * OrderBook Component - Real-time bid/ask depth visualization
@@ -12,77 +17,173 @@ import { formatPrice, formatQuantity } from '../utils/formatters'
  * - Color intensity increases with depth
  * 
  * This matches the standard exchange order book layout
+ * `levels` can go as deep as the local book (1000+ per side)
+ * 
+ * Grouping: the header selector buckets levels by a price step so
+ * the rows span dollars instead of cents. Coarse steps can leave
+ * fewer complete buckets than `levels`, so the row count shrinks to match.
+ * 
+ * Depth view: swaps the table for a cumulative depth chart fed from the
+ * same hook, asking it for the whole local book (ungrouped) instead.
+ * 
+ * Prices and totals show in the display currency (`display`, see utils/fx.js);
+ * grouping steps stay in the pair's own quote, as the exchange prices it.
+ * 
+ * The parent can control grouping (`grouping`/`onGroupingChange`, the
+ * dashboard keeps it in the URL); without those it's local state.
+ * 
+ * A stale feed (socket open, no updates) greys the levels out - a frozen
+ * book looks exactly like a live one otherwise.
+ * 
+ * `bookRef` (optional) always holds { symbol, bids, asks } as on screen,
+ * so the chart's export menu can save the book without subscribing to
+ * the depth stream a second time.
  */
 
-export function OrderBook() {
-  const { bids, asks, spread, status } = useBinanceOrderBook(10)
+// Levels per side the depth chart draws from - the full local snapshot
+const DEPTH_LEVELS = 1000
+
+export function OrderBook({ symbol, exchange, levels = 10, grouping, onGroupingChange, display, bookRef }) {
+  // Index into the pair's steps, so "1 step up from finest" survives pair switches
+  const [localGrouping, setLocalGrouping] = useState(0)
+  const [view, setView] = useState('book') // 'book' or 'depth'
+  const steps = groupingSteps(symbol)
+  const groupingIndex = Math.min(grouping ?? localGrouping, steps.length - 1)
+  const setGroupingIndex = onGroupingChange || setLocalGrouping
+  const step = steps[groupingIndex]
+
+  // Finest step is the raw book, no aggregation needed
+  const { bids, asks, spread, status } = useOrderBook(
+    symbol,
+    view === 'depth' ? DEPTH_LEVELS : levels,
+    view === 'book' && groupingIndex > 0 ? step : null,
+    exchange
+  )
+  if (bookRef) bookRef.current = { symbol, bids, asks }
+
+  useEffect(() => {
+    if (!bookRef) return
+    return () => {
+      bookRef.current = null
+    }
+  }, [bookRef])
+
+  const { base } = getPair(symbol)
+  const { currency, sign, decimals, rate } = display || getDisplay(symbol)
+
+  // 10 and 50 buckets don't need cents
+  const rowDecimals = Math.min(decimals, Math.max(0, -Math.floor(Math.log10(step * rate))))
 
   // Reverse asks so lowest (best) ask appears at bottom, closest to spread
   const reversedAsks = [...asks].reverse()
+  const staleClass = status === 'stale' ? 'opacity-40 grayscale' : ''
 
   return (
     <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
       {/* Header */}
       <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
-        <h3 className="text-sm font-medium text-ticker-text">Order Book</h3>
-        <span className={`text-xs ${status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'}`}>
-          {status === 'connected' ? '● Live' : '○ ...'}
-        </span>
-      </div>
-
-      {/* Column headers */}
-      <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-xs text-ticker-muted border-b border-ticker-border">
-        <span>Price (USD)</span>
-        <span className="text-right">Amount (ETH)</span>
-        <span className="text-right">Total</span>
+        <h3 className="text-sm font-medium text-ticker-text">{t('orderbook.title')}</h3>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-0.5 bg-ticker-bg p-0.5 rounded text-xs">
+            {['book', 'depth'].map(v => (
+              <button
+                key={v}
+                onClick={() => setView(v)}
+                className={`px-1.5 py-0.5 rounded transition-all ${
+                  view === v ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+              >
+                {t(`orderbook.${v}`)}
+              </button>
+            ))}
+          </div>
+          {view === 'book' && (
+            <select
+              value={groupingIndex}
+              onChange={e => setGroupingIndex(Number(e.target.value))}
+              className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-xs font-mono text-ticker-text outline-none"
+              title={t('orderbook.grouping')}
+            >
+              {steps.map((s, i) => (
+                <option key={s} value={i}>{s}</option>
+              ))}
+            </select>
+          )}
+          <span className={`text-xs ${status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'}`}>
+            {status === 'connected' ? t('status.live')
+              : status === 'syncing' ? t('status.syncing')
+                : status === 'stale' ? t('status.stale') : '○ ...'}
+          </span>
+        </div>
       </div>
 
-      {/* Asks (sells) - reversed so best ask is at bottom */}
-      <div className="flex-1 overflow-hidden flex flex-col">
-        <div className="flex-1 overflow-y-auto">
-          {reversedAsks.map((ask, i) => (
-            <OrderRow 
-              key={`ask-${i}`}
-              price={ask.price}
-              quantity={ask.quantity}
-              total={ask.total}
-              depthPercent={ask.depthPercent}
-              type="ask"
-            />
-          ))}
+      {view === 'depth' ? (
+        <div className={`flex-1 flex flex-col min-h-0 ${staleClass}`}>
+          <DepthChart bids={bids} asks={asks} decimals={decimals} sign={sign} base={base} rate={rate} />
         </div>
-
-        {/* Spread indicator */}
-        <div className="px-3 py-2 bg-ticker-bg border-y border-ticker-border">
-          <div className="flex items-center justify-between text-xs">
-            <span className="text-ticker-muted">Spread</span>
-            {spread ? (
-              <span className="font-mono text-ticker-text">
-                ${formatPrice(spread.value, 2)} 
-                <span className="text-ticker-muted ml-1">
-                  ({spread.percent.toFixed(3)}%)
-                </span>
-              </span>
-            ) : (
-              <span className="text-ticker-muted">—</span>
-            )}
+      ) : (
+        <>
+          {/* Column headers */}
+          <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-xs text-ticker-muted border-b border-ticker-border">
+            <span>{t('orderbook.price', { currency })}</span>
+            <span className="text-right">{t('orderbook.amount', { base })}</span>
+            <span className="text-right">{t('orderbook.total')}</span>
           </div>
-        </div>
 
-        {/* Bids (buys) */}
-        <div className="flex-1 overflow-y-auto">
-          {bids.map((bid, i) => (
-            <OrderRow 
-              key={`bid-${i}`}
-              price={bid.price}
-              quantity={bid.quantity}
-              total={bid.total}
-              depthPercent={bid.depthPercent}
-              type="bid"
-            />
-          ))}
-        </div>
-      </div>
+          {/* Asks (sells) - reversed so best ask is at bottom */}
+          <div className={`flex-1 overflow-hidden flex flex-col ${staleClass}`}>
+            <div className="flex-1 overflow-y-auto">
+              {reversedAsks.map((ask, i) => (
+                <OrderRow 
+                  key={`ask-${i}`}
+                  price={ask.price * rate}
+                  quantity={ask.quantity}
+                  total={ask.total * rate}
+                  depthPercent={ask.depthPercent}
+                  decimals={rowDecimals}
+                  sign={sign}
+                  totalDecimals={decimals}
+                  type="ask"
+                />
+              ))}
+            </div>
+
+            {/* Spread indicator */}
+            <div className="px-3 py-2 bg-ticker-bg border-y border-ticker-border">
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-ticker-muted">{t('orderbook.spread')}</span>
+                {spread ? (
+                  <span className="font-mono text-ticker-text">
+                    {sign}{formatPrice(spread.value * rate, decimals)} 
+                    <span className="text-ticker-muted ml-1">
+                      ({formatNumber(spread.percent, 3)}%)
+                    </span>
+                  </span>
+                ) : (
+                  <span className="text-ticker-muted">—</span>
+                )}
+              </div>
+            </div>
+
+            {/* Bids (buys) */}
+            <div className="flex-1 overflow-y-auto">
+              {bids.map((bid, i) => (
+                <OrderRow 
+                  key={`bid-${i}`}
+                  price={bid.price * rate}
+                  quantity={bid.quantity}
+                  total={bid.total * rate}
+                  depthPercent={bid.depthPercent}
+                  decimals={rowDecimals}
+                  sign={sign}
+                  totalDecimals={decimals}
+                  type="bid"
+                />
+              ))}
+            </div>
+          </div>
+        </>
+      )}
     </div>
   )
 }
@@ -90,7 +191,7 @@ export function OrderBook() {
 /**
  * Individual order row with depth bar
  */
-function OrderRow({ price, quantity, total, depthPercent, type }) {
+function OrderRow({ price, quantity, total, depthPercent, decimals, sign, totalDecimals, type }) {
   const isBid = type === 'bid'
   const textColor = isBid ? 'text-ticker-green' : 'text-ticker-red'
   const bgColor = isBid 
@@ -108,13 +209,13 @@ function OrderRow({ price, quantity, total, depthPercent, type }) {
       {/* Content */}
       <div className="relative grid grid-cols-3 gap-2 text-xs font-mono">
         <span className={textColor}>
-          {formatPrice(price, 2)}
+          {formatPrice(price, decimals)}
         </span>
         <span className="text-right text-ticker-text">
           {formatQuantity(quantity, 4)}
         </span>
         <span className="text-right text-ticker-muted">
-          {formatQuantity(total, 2)}
+          {sign}{formatQuantity(total, totalDecimals)}
         </span>
       </div>
     </div>
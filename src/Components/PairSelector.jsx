@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react'
+import { useOutsideClick } from '../hooks/useOutsideClick'
+import { PAIRS, pairLabel } from '../utils/pairs'
+import { t } from '../utils/i18n'
+
+/**
+ * PairSelector - Searchable dropdown for the active trading pair
+ *
+ * Design: Looks like the plain "ETH/USDT" label until clicked,
+ * then opens a filterable list (type "btc", "eur", "usd"...)
+ * Behavior: Closes on selection, Escape or click outside
+ * `pairs` narrows the list to what the selected exchange trades
+ */
+
+export function PairSelector({ selected, onChange, pairs = PAIRS }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const containerRef = useRef(null)
+  const inputRef = useRef(null)
+
+  // Close when clicking anywhere outside the dropdown
+  useOutsideClick(containerRef, () => setOpen(false), open)
+
+  useEffect(() => {
+    if (open) inputRef.current?.focus()
+  }, [open])
+
+  const normalizedQuery = query.trim().toUpperCase().replace('/', '')
+  const filtered = pairs.filter(p => p.symbol.includes(normalizedQuery))
+
+  const select = (symbol) => {
+    onChange(symbol)
+    setOpen(false)
+    setQuery('')
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setOpen(false)
+    } else if (event.key === 'Enter' && filtered.length > 0) {
+      select(filtered[0].symbol)
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1 text-ticker-muted text-sm hover:text-ticker-text transition-colors"
+      >
+        {pairLabel(selected)}
+        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-48 bg-ticker-card border border-ticker-border rounded-lg shadow-lg z-20 overflow-hidden">
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={t('header.searchPair')}
+            className="w-full px-3 py-2 bg-ticker-bg text-sm text-ticker-text placeholder-ticker-muted border-b border-ticker-border outline-none"
+          />
+          <div className="max-h-60 overflow-y-auto">
+            {filtered.map(pair => (
+              <button
+                key={pair.symbol}
+                onClick={() => select(pair.symbol)}
+                className={`
+                  w-full flex items-center justify-between px-3 py-2 text-sm transition-colors
+                  ${selected === pair.symbol
+                    ? 'bg-ticker-border/50 text-white'
+                    : 'text-ticker-text hover:bg-ticker-border/30'
+                  }
+                `}
+              >
+                <span className="font-mono">{pairLabel(pair.symbol)}</span>
+                <span className="text-xs text-ticker-muted">{pair.quote}</span>
+              </button>
+            ))}
+            {filtered.length === 0 && (
+              <div className="px-3 py-2 text-sm text-ticker-muted">{t('header.noPairs')}</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,205 @@
+import { useRef, useState } from 'react'
+import { usePrice } from '../hooks/usePrice'
+import { summarizeLots } from '../utils/portfolio'
+import { formatPrice, formatPercent, formatQuantity, formatSignedPrice } from '../utils/formatters'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+import { getDisplay } from '../utils/fx'
+import { t } from '../utils/i18n'
+
+/**
+ * PortfolioPanel - ETH holdings as lots, valued live
+ *
+ * Design decisions:
+ * - Valued in USD off the selected exchange's ETH/USDT ticker, whatever
+ *   pair the rest of the dashboard shows - cost basis is entered in USD,
+ *   amounts are shown converted with `display` (USD -> display currency)
+ * - Summary on top (position, value, average cost, unrealized P&L),
+ *   the lots below with their own P&L, newest first
+ * - Cost basis is what the lot cost in total, fees included
+ * - CSV import/export for backups and spreadsheets
+ */
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const pnlClass = (pnl) => (pnl == null ? 'text-ticker-muted' : pnl >= 0 ? 'text-ticker-green' : 'text-ticker-red')
+
+export function PortfolioPanel({ exchange, portfolio, display }) {
+  const { lots, addLot, removeLot, exportCsv, importCsv } = portfolio
+  const { sign, decimals, rate } = display || getDisplay(DEFAULT_SYMBOL)
+  const money = {
+    format: value => (value == null ? '—' : `${sign}${formatPrice(value * rate, decimals)}`),
+    formatSigned: value => (value == null ? '—' : formatSignedPrice(value * rate, sign, decimals)),
+  }
+  const { price } = usePrice(DEFAULT_SYMBOL, exchange)
+  const [amount, setAmount] = useState('')
+  const [cost, setCost] = useState('')
+  const [date, setDate] = useState(today)
+  const [message, setMessage] = useState(null)   // { text, error }
+  const fileRef = useRef(null)
+
+  const summary = summarizeLots(lots, price)
+  const sortedLots = [...lots].sort((a, b) => b.date.localeCompare(a.date))
+
+  const handleAdd = (event) => {
+    event.preventDefault()
+    const parsedAmount = parseFloat(amount)
+    const parsedCost = parseFloat(cost)
+    if (!(parsedAmount > 0) || !(parsedCost >= 0) || !date) return
+
+    addLot({ date, amount: parsedAmount, cost: parsedCost })
+    setAmount('')
+    setCost('')
+  }
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const added = importCsv(await file.text())
+      setMessage({ text: added === 1 ? t('portfolio.importedOne') : t('portfolio.imported', { count: added }), error: false })
+    } catch (err) {
+      setMessage({ text: err.message, error: true })
+    }
+  }
+
+  const inputClass = 'px-1 py-1 bg-ticker-bg border border-ticker-border rounded text-ticker-text font-mono'
+  const buttonClass = 'text-ticker-muted hover:text-ticker-text transition-colors'
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-4 py-3 border-b border-ticker-border flex items-center justify-between">
+        <h3 className="text-sm font-medium text-ticker-text">{t('portfolio.title')}</h3>
+        <div className="flex items-center gap-3 text-xs">
+          <button onClick={() => fileRef.current?.click()} className={buttonClass}>
+            {t('portfolio.import')}
+          </button>
+          <button onClick={exportCsv} disabled={!lots.length} className={`${buttonClass} disabled:opacity-40`}>
+            {t('portfolio.export')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="text/csv,.csv"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 px-4 py-3 border-b border-ticker-border text-xs">
+        <SummaryItem label={t('portfolio.position')} value={`${formatQuantity(summary.amount)} ETH`} />
+        <SummaryItem label={t('portfolio.value')} value={money.format(summary.value)} />
+        <SummaryItem label={t('portfolio.avgCost')} value={money.format(summary.averageCost)} />
+        <SummaryItem
+          label={t('portfolio.unrealized')}
+          value={`${money.formatSigned(summary.pnl)} (${formatPercent(summary.pnlPercent)})`}
+          className={pnlClass(summary.pnl)}
+        />
+      </div>
+
+      {/* New lot form */}
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 px-3 py-2 border-b border-ticker-border text-xs">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={amount}
+          placeholder="ETH"
+          onChange={e => setAmount(e.target.value)}
+          className={`w-24 ${inputClass}`}
+        />
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={cost}
+          placeholder={t('portfolio.costPlaceholder')}
+          onChange={e => setCost(e.target.value)}
+          className={`w-36 ${inputClass}`}
+        />
+        <input
+          type="date"
+          value={date}
+          max={today()}
+          onChange={e => setDate(e.target.value)}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1 rounded bg-ticker-green/20 text-ticker-green hover:bg-ticker-green/30 transition-colors"
+        >
+          {t('portfolio.add')}
+        </button>
+        {message && (
+          <span className={`self-center ${message.error ? 'text-ticker-red' : 'text-ticker-muted'}`}>
+            {message.text}
+          </span>
+        )}
+      </form>
+
+      {/* Lots */}
+      <div className="flex-1 overflow-y-auto text-xs">
+        <table className="w-full font-mono">
+          <thead className="text-ticker-muted">
+            <tr>
+              <th className="px-3 py-1.5 text-left font-normal">{t('portfolio.date')}</th>
+              <th className="px-3 py-1.5 text-right font-normal">ETH</th>
+              <th className="px-3 py-1.5 text-right font-normal">{t('portfolio.cost')}</th>
+              <th className="px-3 py-1.5 text-right font-normal">{t('portfolio.price')}</th>
+              <th className="px-3 py-1.5 text-right font-normal">{t('portfolio.pnl')}</th>
+              <th className="w-6" />
+            </tr>
+          </thead>
+          <tbody>
+            {sortedLots.map(lot => (
+              <LotRow key={lot.id} lot={lot} price={price} money={money} onRemove={() => removeLot(lot.id)} />
+            ))}
+          </tbody>
+        </table>
+        {lots.length === 0 && (
+          <div className="text-center py-6 text-ticker-muted">
+            {t('portfolio.empty')}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function SummaryItem({ label, value, className = 'text-ticker-text' }) {
+  return (
+    <div>
+      <div className="text-ticker-muted">{label}</div>
+      <div className={`font-mono text-sm ${className}`}>{value}</div>
+    </div>
+  )
+}
+
+function LotRow({ lot, price, money, onRemove }) {
+  const { pnl, pnlPercent, averageCost } = summarizeLots([lot], price)
+
+  return (
+    <tr className="border-t border-ticker-border/50 hover:bg-ticker-bg/50">
+      <td className="px-3 py-1.5 text-ticker-muted">{lot.date}</td>
+      <td className="px-3 py-1.5 text-right text-ticker-text">{formatQuantity(lot.amount)}</td>
+      <td className="px-3 py-1.5 text-right text-ticker-text">{money.format(lot.cost)}</td>
+      <td className="px-3 py-1.5 text-right text-ticker-muted">{money.format(averageCost)}</td>
+      <td className={`px-3 py-1.5 text-right ${pnlClass(pnl)}`}>
+        {money.formatSigned(pnl)} <span className="opacity-70">{formatPercent(pnlPercent)}</span>
+      </td>
+      <td className="pr-2 text-right">
+        <button
+          onClick={onRemove}
+          className="text-ticker-muted hover:text-ticker-red transition-colors"
+          title={t('portfolio.remove')}
+        >
+          ×
+        </button>
+      </td>
+    </tr>
+  )
+}
@@ -1,5 +1,10 @@
 import { useEffect, useRef, useState } from 'react'
 import { formatPrice, formatPercent, formatVolume } from '../utils/formatters'
+import { getDisplay } from '../utils/fx'
+import { t, LANGUAGES } from '../utils/i18n'
+import { EXCHANGES, exchangePairs } from '../adapters'
+import { PairSelector } from './PairSelector'
+import { IndexBreakdown } from './IndexBreakdown'
 
 /**
  * PriceHeader - The hero component showing live ETH price
@@ -9,8 +14,22 @@ import { formatPrice, formatPercent, formatVolume } from '../utils/formatters'
  * - Green/red flash on price change for visual feedback
  * - Secondary stats (24h change, volume, high/low) in a row below
  * - Monospace font for numbers to prevent layout shift
+ * - Pair picker under the name drives the whole dashboard's symbol,
+ *   with the exchange picker next to it choosing where the data comes from
+ *   and the currency picker (when `onCurrencyChange` is passed) what
+ *   prices are shown in - values are converted with `display` (utils/fx.js)
+ * - The language picker (when `onLanguageChange` is passed) sits with them;
+ *   its labels are each language's own name so anyone can find theirs
+ * - "Index" swaps the big number for a composite price across exchanges
+ *   (see useCompositePrice); 24h stats stay those of the selected exchange
+ * - When the ticker feed goes stale (socket open, no messages) the numbers
+ *   are greyed out so nobody trades off a frozen price
  */
 export function PriceHeader({ 
+  symbol,
+  onSymbolChange,
+  exchange,
+  onExchangeChange,
   price, 
   prevPrice, 
   priceChange, 
@@ -18,24 +37,40 @@ export function PriceHeader({
   high24h, 
   low24h, 
   quoteVolume24h,
-  status 
+  status,
+  composite,
+  showIndex = false,
+  onShowIndexChange,
+  display,
+  currency,
+  currencies = [],
+  onCurrencyChange,
+  language,
+  onLanguageChange,
 }) {
   const priceRef = useRef(null)
   const [flashClass, setFlashClass] = useState('')
   
+  const shownPrice = showIndex ? composite?.price : price
+  const shownPrevPrice = showIndex ? composite?.prevPrice : prevPrice
+  
   // Flash effect when price changes
   useEffect(() => {
-    if (price && prevPrice && price !== prevPrice) {
-      const newClass = price > prevPrice ? 'flash-green' : 'flash-red'
+    if (shownPrice && shownPrevPrice && shownPrice !== shownPrevPrice) {
+      const newClass = shownPrice > shownPrevPrice ? 'flash-green' : 'flash-red'
       setFlashClass(newClass)
       
       const timer = setTimeout(() => setFlashClass(''), 500)
       return () => clearTimeout(timer)
     }
-  }, [price, prevPrice])
+  }, [shownPrice, shownPrevPrice])
   
+  const { sign, decimals, rate } = display || getDisplay(symbol)
+  const convert = value => (value == null ? value : value * rate)
   const isPositive = priceChangePercent >= 0
   const changeColor = isPositive ? 'text-ticker-green' : 'text-ticker-red'
+  const isStale = status === 'stale'
+  const staleClass = isStale ? 'opacity-40 grayscale' : ''
   
   return (
     <header className="bg-ticker-card border-b border-ticker-border">
@@ -58,7 +93,43 @@ export function PriceHeader({
             </div>
             <div>
               <h1 className="text-xl font-semibold text-white">Ethereum</h1>
-              <span className="text-ticker-muted text-sm">ETH/USDT</span>
+              <div className="flex items-center gap-2">
+                <PairSelector selected={symbol} onChange={onSymbolChange} pairs={exchangePairs(exchange)} />
+                <select
+                  value={exchange}
+                  onChange={e => onExchangeChange(e.target.value)}
+                  className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-xs text-ticker-muted outline-none hover:text-ticker-text"
+                  title={t('header.exchange')}
+                >
+                  {EXCHANGES.map(({ id, name }) => (
+                    <option key={id} value={id}>{name}</option>
+                  ))}
+                </select>
+                {onCurrencyChange && (
+                  <select
+                    value={currency}
+                    onChange={e => onCurrencyChange(e.target.value)}
+                    className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-xs text-ticker-muted outline-none hover:text-ticker-text"
+                    title={t('header.currency')}
+                  >
+                    {currencies.map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                )}
+                {onLanguageChange && (
+                  <select
+                    value={language}
+                    onChange={e => onLanguageChange(e.target.value)}
+                    className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-xs text-ticker-muted outline-none hover:text-ticker-text"
+                    title={t('header.language')}
+                  >
+                    {Object.entries(LANGUAGES).map(([id, { name }]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
             </div>
           </div>
           
@@ -67,11 +138,28 @@ export function PriceHeader({
             ref={priceRef}
             className={`text-right ${flashClass} rounded px-3 py-1 transition-colors`}
           >
-            <div className="price-display text-4xl md:text-5xl font-bold text-white">
-              ${price ? formatPrice(price) : '—'}
+            <div className="flex items-center justify-end gap-2 mb-1">
+              {showIndex && composite && (
+                <IndexBreakdown venues={composite.venues} sign={sign} decimals={decimals} rate={rate} />
+              )}
+              <button
+                onClick={() => onShowIndexChange(!showIndex)}
+                className={`px-1.5 py-0.5 rounded text-xs transition-all ${
+                  showIndex ? 'bg-ticker-border text-white' : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+                title={t('header.indexTitle')}
+              >
+                {t('header.index')}
+              </button>
+            </div>
+            <div
+              className={`price-display text-4xl md:text-5xl font-bold text-white ${staleClass}`}
+              title={isStale ? t('header.staleTitle') : undefined}
+            >
+              {sign}{shownPrice ? formatPrice(convert(shownPrice), decimals) : '—'}
             </div>
-            <div className={`price-display text-lg ${changeColor} mt-1`}>
-              {formatPercent(priceChangePercent)} ({priceChange >= 0 ? '+' : ''}${formatPrice(priceChange)})
+            <div className={`price-display text-lg ${changeColor} mt-1 ${staleClass}`}>
+              {formatPercent(priceChangePercent)} ({priceChange >= 0 ? '+' : ''}{sign}{formatPrice(convert(priceChange), decimals)})
             </div>
           </div>
         </div>
@@ -79,22 +167,25 @@ export function PriceHeader({
         {/* Stats row */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 pt-4 border-t border-ticker-border">
           <StatItem 
-            label="24h Volume" 
-            value={formatVolume(quoteVolume24h)} 
+            label={t('header.volume')}
+            value={formatVolume(convert(quoteVolume24h), sign)} 
+            stale={isStale}
           />
           <StatItem 
-            label="24h High" 
-            value={`$${formatPrice(high24h)}`}
+            label={t('header.high')} 
+            value={`${sign}${formatPrice(convert(high24h), decimals)}`}
             valueClass="text-ticker-green" 
+            stale={isStale}
           />
           <StatItem 
-            label="24h Low" 
-            value={`$${formatPrice(low24h)}`}
+            label={t('header.low')} 
+            value={`${sign}${formatPrice(convert(low24h), decimals)}`}
             valueClass="text-ticker-red" 
+            stale={isStale}
           />
           <StatItem 
-            label="Status" 
-            value={status === 'connected' ? '● Live' : '○ Connecting...'}
+            label={t('header.status')}
+            value={status === 'connected' ? t('status.live') : isStale ? t('status.stale') : t('status.connecting')}
             valueClass={status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'} 
           />
         </div>
@@ -103,13 +194,13 @@ export function PriceHeader({
   )
 }
 
-function StatItem({ label, value, valueClass = 'text-white' }) {
+function StatItem({ label, value, valueClass = 'text-white', stale = false }) {
   return (
     <div className="text-center md:text-left">
       <div className="text-ticker-muted text-xs uppercase tracking-wider mb-1">
         {label}
       </div>
-      <div className={`price-display text-sm md:text-base font-medium ${valueClass}`}>
+      <div className={`price-display text-sm md:text-base font-medium ${valueClass} ${stale ? 'opacity-40 grayscale' : ''}`}>
         {value}
       </div>
     </div>
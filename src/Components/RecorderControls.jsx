@@ -0,0 +1,115 @@
+import { useRef, useState } from 'react'
+import {
+  REPLAY_SPEEDS,
+  startRecording,
+  stopRecording,
+  downloadRecording,
+  parseRecording,
+  startReplay,
+  setReplaySpeed,
+  stopReplay,
+} from '../services/transport'
+import { formatNumber } from '../utils/formatters'
+import { t } from '../utils/i18n'
+
+/**
+ * RecorderControls - Record live market data, replay a recording offline
+ *
+ * Design decisions:
+ * - Lives in the footer: it's a debugging/demo tool, not something traders
+ *   need in view
+ * - Record captures every socket message and REST response until Stop;
+ *   the recording is kept in memory until Download (or the next Record)
+ * - "Replay file" loads a downloaded recording and plays it straight away
+ *   at the chosen speed; Exit returns to live data
+ * - A yellow REPLAY badge makes it obvious the numbers on screen aren't live
+ */
+
+const speedLabel = (speed) => (speed === 'max' ? t('recorder.max') : `${speed}x`)
+
+export function RecorderControls({ transport }) {
+  const { mode, recordedCount, replaySpeed, replayPosition, replayTotal } = transport
+  const [hasRecording, setHasRecording] = useState(false)
+  const [error, setError] = useState(null)
+  const fileRef = useRef(null)
+
+  const handleStop = () => {
+    const recording = stopRecording()
+    setHasRecording(recording.entries.length > 0)
+  }
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      startReplay(parseRecording(await file.text()), replaySpeed)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const buttonClass = 'px-2 py-0.5 rounded border border-ticker-border hover:text-ticker-text transition-colors'
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 text-xs text-ticker-muted">
+      {mode === 'replay' ? (
+        <>
+          <span className="px-1.5 py-0.5 rounded bg-yellow-500/20 text-yellow-500 font-semibold">
+            {t('recorder.replay')}
+          </span>
+          <span className="font-mono">
+            {formatNumber(replayPosition, 0)}/{formatNumber(replayTotal, 0)}
+          </span>
+          {REPLAY_SPEEDS.map(speed => (
+            <button
+              key={speed}
+              onClick={() => setReplaySpeed(speed)}
+              className={`${buttonClass} ${speed === replaySpeed ? 'text-ticker-text bg-ticker-border' : ''}`}
+            >
+              {speedLabel(speed)}
+            </button>
+          ))}
+          <button onClick={stopReplay} className={buttonClass}>
+            {t('recorder.exit')}
+          </button>
+        </>
+      ) : mode === 'recording' ? (
+        <>
+          <span className="flex items-center gap-1 text-ticker-red">
+            <span className="w-2 h-2 rounded-full bg-ticker-red animate-pulse" />
+            {t('recorder.recording')}
+          </span>
+          <span className="font-mono">{t('recorder.messages', { count: formatNumber(recordedCount, 0) })}</span>
+          <button onClick={handleStop} className={buttonClass}>
+            {t('recorder.stop')}
+          </button>
+        </>
+      ) : (
+        <>
+          <button onClick={startRecording} className={buttonClass}>
+            {t('recorder.record')}
+          </button>
+          {hasRecording && (
+            <button onClick={downloadRecording} className={buttonClass}>
+              {t('recorder.download', { count: formatNumber(recordedCount, 0) })}
+            </button>
+          )}
+          <button onClick={() => fileRef.current?.click()} className={buttonClass}>
+            {t('recorder.replayFile')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </>
+      )}
+      {error && <span className="text-ticker-red">{error}</span>}
+    </div>
+  )
+}
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react'
+import { useTrades } from '../hooks/useTrades'
+import { formatPrice, formatQuantity, formatTime, formatNumber } from '../utils/formatters'
+import { t } from '../utils/i18n'
+import { getPair } from '../utils/pairs'
+import { getDisplay } from '../utils/fx'
+
+/**
+ * TradesFeed - Live trade tape with whale highlighting
+ *
+ * Design decisions:
+ * - Newest trade on top, colored by taker side (green buy / red sell)
+ * - Two size thresholds in base units (ETH): "large" gets a tinted row,
+ *   "whale" gets a stronger tint and a marker - both editable and remembered
+ * - Buy/sell bar shows taker volume split over a selectable rolling window
+ * - Prices show in the display currency (`display`, see utils/fx.js)
+ */
+
+const WINDOWS = [1, 5, 15, 60] // minutes
+
+const THRESHOLDS_STORAGE_KEY = 'ethticker:tradeThresholds'
+const DEFAULT_THRESHOLDS = { large: 10, whale: 100 }
+
+function loadThresholds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THRESHOLDS_STORAGE_KEY))
+    return saved && saved.large > 0 && saved.whale > 0 ? saved : DEFAULT_THRESHOLDS
+  } catch {
+    return DEFAULT_THRESHOLDS
+  }
+}
+
+export function TradesFeed({ symbol, exchange, display }) {
+  const [windowMinutes, setWindowMinutes] = useState(5)
+  const [thresholds, setThresholds] = useState(loadThresholds)
+  const { trades, buyVolume, sellVolume, buyRatio, status } = useTrades(symbol, { windowMinutes }, exchange)
+  const { base } = getPair(symbol)
+  const { currency, decimals, rate } = display || getDisplay(symbol)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(THRESHOLDS_STORAGE_KEY, JSON.stringify(thresholds))
+    } catch {
+      // Storage unavailable - thresholds just won't persist
+    }
+  }, [thresholds])
+
+  const updateThreshold = (key, raw) => {
+    const value = parseFloat(raw)
+    if (value > 0) {
+      setThresholds(prev => ({ ...prev, [key]: value }))
+    }
+  }
+
+  const buyPercent = buyRatio !== null ? buyRatio * 100 : 50
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
+        <h3 className="text-sm font-medium text-ticker-text">{t('trades.title')}</h3>
+        <span className={`text-xs ${status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'}`}>
+          {status === 'connected' ? t('status.live') : status === 'stale' ? t('status.stale') : '○ ...'}
+        </span>
+      </div>
+
+      {/* Thresholds */}
+      <div className="flex items-center gap-3 px-3 py-1.5 border-b border-ticker-border text-xs text-ticker-muted">
+        <ThresholdInput label={t('trades.large')} value={thresholds.large} unit={base} onChange={v => updateThreshold('large', v)} />
+        <ThresholdInput label="🐋 ≥" value={thresholds.whale} unit={base} onChange={v => updateThreshold('whale', v)} />
+      </div>
+
+      {/* Buy/sell ratio */}
+      <div className="px-3 py-2 border-b border-ticker-border">
+        <div className="flex items-center justify-between text-xs mb-1">
+          <div className="flex gap-1 bg-ticker-bg p-0.5 rounded">
+            {WINDOWS.map(w => (
+              <button
+                key={w}
+                onClick={() => setWindowMinutes(w)}
+                className={`px-1.5 py-0.5 rounded font-mono transition-all ${
+                  windowMinutes === w ? 'bg-ticker-card text-white' : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+              >
+                {w}m
+              </button>
+            ))}
+          </div>
+          <span className="font-mono text-ticker-muted">
+            <span className="text-ticker-green">{formatQuantity(buyVolume, 2)}</span>
+            {' / '}
+            <span className="text-ticker-red">{formatQuantity(sellVolume, 2)}</span>
+          </span>
+        </div>
+        <div className="flex h-1.5 rounded overflow-hidden bg-ticker-bg">
+          <div className="bg-ticker-green transition-all duration-300" style={{ width: `${buyPercent}%` }} />
+          <div className="bg-ticker-red flex-1" />
+        </div>
+        <div className="flex justify-between text-[10px] font-mono mt-0.5">
+          <span className="text-ticker-green">{buyRatio !== null ? t('trades.buy', { percent: formatNumber(buyPercent, 1) }) : '—'}</span>
+          <span className="text-ticker-red">{buyRatio !== null ? t('trades.sell', { percent: formatNumber(100 - buyPercent, 1) }) : ''}</span>
+        </div>
+      </div>
+
+      {/* Column headers */}
+      <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-xs text-ticker-muted border-b border-ticker-border">
+        <span>{t('trades.time')}</span>
+        <span className="text-right">{t('trades.price', { currency })}</span>
+        <span className="text-right">{t('trades.size', { base })}</span>
+      </div>
+
+      {/* Tape */}
+      <div className="flex-1 overflow-y-auto">
+        {trades.map(trade => (
+          <TradeRow key={trade.id} trade={trade} thresholds={thresholds} decimals={decimals} rate={rate} />
+        ))}
+        {trades.length === 0 && (
+          <div className="text-center py-6 text-xs text-ticker-muted">{t('trades.waiting')}</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ThresholdInput({ label, value, unit, onChange }) {
+  return (
+    <label className="flex items-center gap-1">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        defaultValue={value}
+        onChange={e => onChange(e.target.value)}
+        className="w-14 px-1 py-0.5 bg-ticker-bg border border-ticker-border rounded text-ticker-text font-mono"
+      />
+      <span>{unit}</span>
+    </label>
+  )
+}
+
+/**
+ * Single trade, tinted by size tier
+ */
+function TradeRow({ trade, thresholds, decimals, rate }) {
+  const isWhale = trade.quantity >= thresholds.whale
+  const isLarge = !isWhale && trade.quantity >= thresholds.large
+  const textColor = trade.isBuy ? 'text-ticker-green' : 'text-ticker-red'
+
+  // Full class names so Tailwind picks them up
+  let tint = ''
+  if (isWhale) {
+    tint = trade.isBuy ? 'bg-ticker-green/25 font-semibold' : 'bg-ticker-red/25 font-semibold'
+  } else if (isLarge) {
+    tint = trade.isBuy ? 'bg-ticker-green/10' : 'bg-ticker-red/10'
+  }
+
+  return (
+    <div className={`grid grid-cols-3 gap-2 px-3 py-0.5 text-xs font-mono ${tint}`}>
+      <span className="text-ticker-muted">{formatTime(trade.time)}</span>
+      <span className={`text-right ${textColor}`}>{formatPrice(trade.price * rate, decimals)}</span>
+      <span className="text-right text-ticker-text">
+        {isWhale && '🐋 '}{formatQuantity(trade.quantity, 4)}
+      </span>
+    </div>
+  )
+}
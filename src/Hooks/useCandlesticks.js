@@ -1,14 +1,26 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useExchangeStream } from './useExchangeStream'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+import { DEFAULT_EXCHANGE, getAdapter } from '../adapters'
 
 /**
- * Hook for fetching OHLCV candlestick data from Binance
+ * Hook for fetching OHLCV candlestick data from the selected exchange
  * 
  * Why REST instead of WebSocket for historical data?
  * - WebSocket only gives us real-time updates
  * - We need historical candles to draw the chart initially
  * - REST is perfect for "give me the last N candles"
  * 
- * Timeframe mapping:
+ * Scrolling back: `loadOlder()` pages further history in with `endTime`
+ * (Chart calls it when the user pans near the left edge). Pages are merged
+ * in front of the loaded candles without duplicates, up to MAX_CANDLES.
+ * How far back you can go depends on the exchange (Kraken stops at 720).
+ * 
+ * After the initial load, the adapter's klines channel keeps the forming
+ * candle (OHLC + volume) current and appends a new one when the interval
+ * rolls over, so the chart never needs a refetch to stay live.
+ * 
+ * Timeframe mapping (initial window, older candles load on demand):
  * - 1H = 60 candles of 1m each (last hour)
  * - 4H = 48 candles of 5m each  
  * - 1D = 96 candles of 15m each
@@ -16,7 +28,7 @@ import { useState, useEffect, useCallback } from 'react'
  * - 1M = 30 candles of 1d each
  */
 
-// Map our UI timeframes to Binance intervals
+// Map our UI timeframes to candle intervals (adapters translate the names)
 const TIMEFRAME_CONFIG = {
   '1H': { interval: '1m', limit: 60 },
   '4H': { interval: '5m', limit: 48 },
@@ -25,12 +37,33 @@ const TIMEFRAME_CONFIG = {
   '1M': { interval: '1d', limit: 30 },
 }
 
-export function useCandlesticks(timeframe = '1D') {
+// Candles per scroll-back request, capped by the adapter's maxKlines
+const PAGE_SIZE = 500
+
+// Stop paging history past this many candles - about a week of 1m candles
+// or 27 years of daily ones, and still cheap for indicators to recompute
+const MAX_CANDLES = 10000
+
+export function useCandlesticks(symbol = DEFAULT_SYMBOL, timeframe = '1D', exchange = DEFAULT_EXCHANGE) {
   const [candles, setCandles] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const [hasMore, setHasMore] = useState(true)
 
-  const fetchCandles = useCallback(async () => {
+  // Which exchange:symbol:interval the candles in state belong to - stream messages
+  // for a new timeframe can arrive before its REST load replaces the old data.
+  // Also returned as `dataKey` so Chart can tell a new dataset from an update.
+  const loadedKeyRef = useRef(null)
+  const [dataKey, setDataKey] = useState(null)
+  const adapter = getAdapter(exchange)
+  const candlesRef = useRef(candles)
+  candlesRef.current = candles
+  const loadingOlderRef = useRef(false)
+
+  // `isCurrent` lets a superseded request (user switched pair/timeframe
+  // mid-flight) bail out instead of overwriting newer candles
+  const fetchCandles = useCallback(async (isCurrent = () => true) => {
     const config = TIMEFRAME_CONFIG[timeframe]
     if (!config) {
       setError(`Invalid timeframe: ${timeframe}`)
@@ -41,46 +74,99 @@ export function useCandlesticks(timeframe = '1D') {
     setError(null)
 
     try {
-      const url = `https://api.binance.com/api/v3/klines?symbol=ETHUSDT&interval=${config.interval}&limit=${config.limit}`
-      const response = await fetch(url)
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`)
-      }
-
-      const data = await response.json()
-
-      // Transform Binance data to chart format
-      // Binance returns: [openTime, open, high, low, close, volume, closeTime, ...]
-      const formatted = data.map(candle => ({
-        time: Math.floor(candle[0] / 1000), // Convert ms to seconds for lightweight-charts
-        open: parseFloat(candle[1]),
-        high: parseFloat(candle[2]),
-        low: parseFloat(candle[3]),
-        close: parseFloat(candle[4]),
-        volume: parseFloat(candle[5]),
-      }))
+      const formatted = await adapter.fetchKlines(symbol, config.interval, config.limit)
 
+      if (!isCurrent()) return
+      const key = `${exchange}:${symbol}:${config.interval}`
+      loadedKeyRef.current = key
+      setDataKey(key)
       setCandles(formatted)
+      setHasMore(formatted.length === config.limit)
     } catch (err) {
+      if (!isCurrent()) return
       console.error('Failed to fetch candles:', err)
       setError(err.message)
     } finally {
-      setLoading(false)
+      if (isCurrent()) setLoading(false)
     }
-  }, [timeframe])
+  }, [adapter, exchange, symbol, timeframe])
 
-  // Fetch on mount and when timeframe changes
+  // A different pair's (or exchange's) candles are meaningless under the
+  // new live price, so drop them instead of showing them while loading
   useEffect(() => {
-    fetchCandles()
+    loadedKeyRef.current = null
+    setDataKey(null)
+    setCandles([])
+  }, [symbol, exchange])
+
+  // Fetch on mount and when symbol or timeframe changes
+  useEffect(() => {
+    let current = true
+    fetchCandles(() => current)
+    return () => {
+      current = false
+    }
   }, [fetchCandles])
 
+  const interval = TIMEFRAME_CONFIG[timeframe]?.interval
+  const streamKey = `${exchange}:${symbol}:${interval}`
+
+  // Live updates for the forming candle (volume is cumulative, not a delta)
+  const handleKline = useCallback((candle) => {
+    if (loadedKeyRef.current !== streamKey) return
+
+    setCandles(prev => {
+      const last = prev[prev.length - 1]
+      if (!last || candle.time < last.time) return prev
+
+      // Same open time = still forming, otherwise the interval rolled over
+      if (candle.time === last.time) {
+        return [...prev.slice(0, -1), candle]
+      }
+      return [...prev, candle]
+    })
+  }, [streamKey])
+
+  // Page in older history before the first loaded candle
+  const loadOlder = useCallback(async () => {
+    const key = loadedKeyRef.current
+    const first = candlesRef.current[0]
+    if (!key || !first || !hasMore || loadingOlderRef.current) return
+
+    loadingOlderRef.current = true
+    setLoadingOlder(true)
+
+    try {
+      const [, keySymbol, keyInterval] = key.split(':')
+      const pageSize = Math.min(PAGE_SIZE, adapter.maxKlines)
+      const older = await adapter.fetchKlines(keySymbol, keyInterval, pageSize, first.time * 1000 - 1)
+
+      // Pair/timeframe switched while we were waiting
+      if (loadedKeyRef.current !== key) return
+
+      setCandles(prev => {
+        if (!prev.length) return prev
+        const merged = [...older.filter(c => c.time < prev[0].time), ...prev]
+        return merged.length > MAX_CANDLES ? merged.slice(-MAX_CANDLES) : merged
+      })
+      setHasMore(older.length === pageSize && candlesRef.current.length + older.length < MAX_CANDLES)
+    } catch (err) {
+      // Leave what we have on screen, the next scroll retries
+      console.error('Failed to fetch older candles:', err)
+    } finally {
+      loadingOlderRef.current = false
+      setLoadingOlder(false)
+    }
+  }, [adapter, hasMore])
+
+  useExchangeStream(exchange, 'klines', interval ? { symbol, interval } : null, handleKline)
+
   // Refetch function for manual refresh
   const refetch = useCallback(() => {
     fetchCandles()
   }, [fetchCandles])
 
-  return { candles, loading, error, refetch }
+  return { candles, dataKey, loading, error, refetch, loadOlder, loadingOlder, hasMore }
 }
 
 export { TIMEFRAME_CONFIG }
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react'
+import { EXCHANGES } from '../adapters'
+import { computeIndex } from '../utils/compositeIndex'
+import { trackFeed } from '../services/feedHealth'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+
+/**
+ * Hook for a composite price of one pair across every exchange that trades it
+ *
+ * Why not just average the venues?
+ * - One venue's last price can spike on thin liquidity; weighting by 24h
+ *   volume and dropping outliers keeps the index where the market is
+ * - Rules live in utils/compositeIndex.js
+ *
+ * Only venues quoting the same pair are combined (ETH/USDT with ETH/USDT),
+ * so no currency conversion sneaks into the number.
+ *
+ * Tickers are collected in a ref and the index recomputed every
+ * RECOMPUTE_INTERVAL - that also ages venues into 'stale' when their feed
+ * goes quiet, which a per-message recompute would never notice.
+ *
+ * Pass enabled = false to drop every subscription while the index is hidden.
+ * A new transport `session` starts the venues over, like a new symbol.
+ *
+ * Returns:
+ * - price / prevPrice: the index (null until a venue qualifies)
+ * - venues: [{ id, name, price, volume24h, updatedAt, excluded, deviation, weight }]
+ */
+
+const RECOMPUTE_INTERVAL = 1000
+
+const EMPTY_INDEX = {
+  price: null,
+  prevPrice: null,
+  venues: [],
+}
+
+export function useCompositePrice(symbol = DEFAULT_SYMBOL, enabled = true, session = 0) {
+  const [index, setIndex] = useState(EMPTY_INDEX)
+
+  useEffect(() => {
+    setIndex(EMPTY_INDEX)
+    if (!enabled) return
+
+    const venues = new Map()   // exchange id -> latest venue snapshot
+
+    const unsubscribes = EXCHANGES
+      .filter(adapter => adapter.markets[symbol])
+      .map(adapter => {
+        venues.set(adapter.id, { id: adapter.id, name: adapter.name, price: null, volume24h: null, updatedAt: null })
+
+        const feed = trackFeed(adapter, 'ticker', { symbol })
+        const unsubscribe = adapter.subscribe('ticker', { symbol }, ticker => {
+          feed.record(ticker)
+          venues.set(adapter.id, {
+            id: adapter.id,
+            name: adapter.name,
+            price: ticker.price,
+            volume24h: ticker.volume24h,
+            updatedAt: Date.now(),
+          })
+        })
+
+        return () => {
+          unsubscribe()
+          feed.release()
+        }
+      })
+
+    const recompute = () => {
+      const { price, venues: computed } = computeIndex([...venues.values()])
+      setIndex(prev => ({ price, prevPrice: prev.price, venues: computed }))
+    }
+
+    const interval = setInterval(recompute, RECOMPUTE_INTERVAL)
+
+    return () => {
+      clearInterval(interval)
+      unsubscribes.forEach(unsubscribe => unsubscribe())
+    }
+  }, [symbol, enabled, session])
+
+  return index
+}
@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react'
+import { isValidDrawing } from '../utils/drawings'
+
+/**
+ * Hook for the chart drawings of one symbol
+ *
+ * Every symbol's drawings are kept together in localStorage
+ * ({ ETHUSDT: [...], ETHBTC: [...] }), so switching pairs brings each
+ * one's own levels back. They don't depend on the exchange or timeframe -
+ * drawings are anchored in time and price (see utils/drawings.js).
+ *
+ * Returns { drawings, addDrawing, updateDrawing, removeDrawing }
+ */
+
+const STORAGE_KEY = 'ethticker:drawings'
+
+function loadDrawings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (!saved || typeof saved !== 'object') return {}
+    return Object.fromEntries(
+      Object.entries(saved)
+        .filter(([, list]) => Array.isArray(list))
+        .map(([symbol, list]) => [symbol, list.filter(isValidDrawing)])
+    )
+  } catch {
+    return {}
+  }
+}
+
+export function useDrawings(symbol) {
+  const [bySymbol, setBySymbol] = useState(loadDrawings)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(bySymbol))
+    } catch {
+      // Storage unavailable - drawings just won't persist
+    }
+  }, [bySymbol])
+
+  const updateList = (change) => {
+    setBySymbol(current => {
+      const next = { ...current, [symbol]: change(current[symbol] || []) }
+      if (!next[symbol].length) delete next[symbol]
+      return next
+    })
+  }
+
+  const addDrawing = (drawing) => {
+    updateList(list => [...list, drawing])
+  }
+
+  // `changes` is merged in, e.g. { points } after a drag or { text }
+  const updateDrawing = (id, changes) => {
+    updateList(list => list.map(drawing => (drawing.id === id ? { ...drawing, ...changes } : drawing)))
+  }
+
+  const removeDrawing = (id) => {
+    updateList(list => list.filter(drawing => drawing.id !== id))
+  }
+
+  return { drawings: bySymbol[symbol] || [], addDrawing, updateDrawing, removeDrawing }
+}
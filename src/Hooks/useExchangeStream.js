@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from 'react'
+import { getAdapter } from '../adapters'
+import { trackFeed } from '../services/feedHealth'
+
+/**
+ * Hook for subscribing to one live channel of the selected exchange
+ *
+ * Why a hook around the adapter?
+ * - Subscribes on mount / when exchange, channel or params change and
+ *   unsubscribes on cleanup
+ * - Keeps the latest handler in a ref so callers can pass inline
+ *   functions without resubscribing on every render
+ * - Reports every message to services/feedHealth.js, so a feed that goes
+ *   silent on an open socket shows as 'stale' rather than connected
+ *
+ * Channels and message shapes are documented in adapters/index.js.
+ * Pass `null` as params to stay unsubscribed (e.g. until a symbol is known).
+ * Returns the feed status: connecting, connected, stale, error
+ */
+
+const STALE_CHECK_INTERVAL = 1000
+
+export function useExchangeStream(exchange, channel, params, onMessage) {
+  const [status, setStatus] = useState('connecting')
+  const [stale, setStale] = useState(false)
+  const handlerRef = useRef(onMessage)
+  handlerRef.current = onMessage
+
+  const adapter = getAdapter(exchange)
+
+  useEffect(() => adapter.onStatusChange(setStatus), [adapter])
+
+  // Compare params by value so callers can pass object literals
+  const paramsKey = params ? JSON.stringify(params) : null
+
+  useEffect(() => {
+    if (!paramsKey) return
+
+    const subscription = JSON.parse(paramsKey)
+    const feed = trackFeed(adapter, channel, subscription)
+    const unsubscribe = adapter.subscribe(channel, subscription, data => {
+      feed.record(data)
+      handlerRef.current(data)
+    })
+    const interval = setInterval(() => setStale(feed.isStale()), STALE_CHECK_INTERVAL)
+
+    return () => {
+      clearInterval(interval)
+      unsubscribe()
+      feed.release()
+      setStale(false)
+    }
+  }, [adapter, channel, paramsKey])
+
+  return status === 'connected' && stale ? 'stale' : status
+}
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react'
+import { getFeedHealth } from '../services/feedHealth'
+
+/**
+ * Hook for the state of every tracked feed (see services/feedHealth.js)
+ *
+ * Ages and rates change continuously rather than on events, so the
+ * snapshot is simply re-read every REFRESH_INTERVAL.
+ *
+ * Returns [{ id, exchange, channel, symbol, interval, state, age, rate, latency, reconnects }]
+ */
+
+const REFRESH_INTERVAL = 1000
+
+export function useFeedHealth() {
+  const [feeds, setFeeds] = useState(() => getFeedHealth())
+
+  useEffect(() => {
+    const interval = setInterval(() => setFeeds(getFeedHealth()), REFRESH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [])
+
+  return feeds
+}
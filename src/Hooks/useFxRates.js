@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react'
+import { transportFetch } from '../services/transport'
+import { deriveRates } from '../utils/fx'
+import { SIMULATED, SIM_FX_RATES } from '../adapters/simulated'
+
+/**
+ * Hook for display-currency rates (units per USD, see utils/fx.js)
+ *
+ * Why Binance's all-symbols price list?
+ * - One request covers every currency, directly or via a cross rate
+ * - Same public API as the market data, no key - and going through
+ *   transportFetch it's recorded and replayed with everything else
+ *
+ * Refreshed every REFRESH_INTERVAL; a failed refresh keeps the last rates.
+ * Until the first response only USD is known, so values show unconverted.
+ * The simulated market uses fixed rates and never touches the network.
+ */
+
+const PRICES_URL = 'https://api.binance.com/api/v3/ticker/price'
+const REFRESH_INTERVAL = 60000
+
+export function useFxRates() {
+  const [rates, setRates] = useState(() => (SIMULATED ? SIM_FX_RATES : { USD: 1 }))
+
+  useEffect(() => {
+    if (SIMULATED) return
+
+    let cancelled = false
+
+    const fetchRates = async () => {
+      try {
+        const response = await transportFetch(PRICES_URL)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+
+        const list = await response.json()
+        const prices = Object.fromEntries(list.map(({ symbol, price }) => [symbol, parseFloat(price)]))
+        if (!cancelled) setRates(deriveRates(prices))
+      } catch (err) {
+        console.error('Failed to fetch conversion rates:', err)
+      }
+    }
+
+    fetchRates()
+    const interval = setInterval(fetchRates, REFRESH_INTERVAL)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [])
+
+  return rates
+}
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react'
+import { getLanguage, setLanguage, onLanguageChange } from '../utils/i18n'
+
+/**
+ * Hook for the UI language in utils/i18n.js
+ *
+ * Used once, at the top of the app: the re-render on a switch reaches
+ * every panel, and t() and the formatters read the new language from there.
+ *
+ * Returns [language, setLanguage]
+ */
+export function useLanguage() {
+  const [language, setState] = useState(getLanguage)
+
+  useEffect(() => onLanguageChange(setState), [])
+
+  return [language, setLanguage]
+}
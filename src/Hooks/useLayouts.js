@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react'
+import {
+  DEFAULT_LAYOUT_NAME,
+  DEFAULT_PANELS,
+  normalizePanels,
+  serializeLayouts,
+  parseLayouts,
+} from '../utils/layouts'
+import { downloadBlob } from '../utils/exports'
+
+/**
+ * Hook for the dashboard's named layouts (see utils/layouts.js)
+ *
+ * - Every layout and the active one are remembered in localStorage
+ * - Edits go straight into the active layout; "save as" copies it under
+ *   a new name first, so a layout can be tried out without losing the old
+ * - There's always at least one layout: deleting the last one, or a
+ *   broken store, brings back the default
+ *
+ * Returns { names, active, panels, setPanels, selectLayout, saveLayoutAs,
+ *           deleteLayout, resetLayout, exportLayouts, importLayouts }
+ */
+
+const STORAGE_KEY = 'ethticker:layouts'
+
+const DEFAULT_STATE = {
+  active: DEFAULT_LAYOUT_NAME,
+  layouts: { [DEFAULT_LAYOUT_NAME]: DEFAULT_PANELS },
+}
+
+function loadLayouts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    const layouts = {}
+    Object.entries(saved?.layouts || {}).forEach(([name, panels]) => {
+      const normalized = normalizePanels(panels)
+      if (normalized) layouts[name] = normalized
+    })
+
+    const names = Object.keys(layouts)
+    if (!names.length) return DEFAULT_STATE
+    return { active: layouts[saved.active] ? saved.active : names[0], layouts }
+  } catch {
+    return DEFAULT_STATE
+  }
+}
+
+export function useLayouts() {
+  const [state, setState] = useState(loadLayouts)
+  const { active, layouts } = state
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+    } catch {
+      // Storage unavailable - layouts just won't persist
+    }
+  }, [state])
+
+  const setPanels = (panels) => {
+    setState(current => ({
+      ...current,
+      layouts: { ...current.layouts, [current.active]: panels },
+    }))
+  }
+
+  const selectLayout = (name) => {
+    setState(current => (current.layouts[name] ? { ...current, active: name } : current))
+  }
+
+  const saveLayoutAs = (name) => {
+    const trimmed = name.trim()
+    if (!trimmed) return
+    setState(current => ({
+      active: trimmed,
+      layouts: { ...current.layouts, [trimmed]: current.layouts[current.active] },
+    }))
+  }
+
+  const deleteLayout = (name) => {
+    setState(current => {
+      const { [name]: _removed, ...rest } = current.layouts
+      const names = Object.keys(rest)
+      if (!names.length) return DEFAULT_STATE
+      return { active: current.active === name ? names[0] : current.active, layouts: rest }
+    })
+  }
+
+  // Back to the original dashboard, keeping the layout's name
+  const resetLayout = () => {
+    setPanels(DEFAULT_PANELS)
+  }
+
+  const exportLayouts = () => {
+    const blob = new Blob([serializeLayouts(layouts)], { type: 'application/json' })
+    downloadBlob(blob, 'ethticker-layouts.json')
+  }
+
+  // Imported layouts replace any with the same name; the first becomes active
+  // Throws on a file that isn't a layout export
+  const importLayouts = (text) => {
+    const imported = parseLayouts(text)
+    setState(current => ({
+      active: Object.keys(imported)[0],
+      layouts: { ...current.layouts, ...imported },
+    }))
+  }
+
+  return {
+    names: Object.keys(layouts),
+    active,
+    panels: layouts[active],
+    setPanels,
+    selectLayout,
+    saveLayoutAs,
+    deleteLayout,
+    resetLayout,
+    exportLayouts,
+    importLayouts,
+  }
+}
@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react'
+import { t, getIntlLocale } from '../utils/i18n'
 
 /**
  * Hook for fetching ETH-related news from CryptoPanic
@@ -87,7 +88,7 @@ export function useNews(refreshInterval = 60000) {
 }
 
 /**
- * Format relative time (e.g., "5m ago", "2h ago")
+ * Format relative time (e.g., "5m ago", "2h ago") in the UI language
  */
 export function formatRelativeTime(date) {
   const now = new Date()
@@ -97,10 +98,12 @@ export function formatRelativeTime(date) {
   const hours = Math.floor(diff / 3600000)
   const days = Math.floor(diff / 86400000)
   
-  if (minutes < 1) return 'just now'
-  if (minutes < 60) return `${minutes}m ago`
-  if (hours < 24) return `${hours}h ago`
-  if (days < 7) return `${days}d ago`
+  const relative = new Intl.RelativeTimeFormat(getIntlLocale(), { style: 'narrow' })
   
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  if (minutes < 1) return t('time.justNow')
+  if (minutes < 60) return relative.format(-minutes, 'minute')
+  if (hours < 24) return relative.format(-hours, 'hour')
+  if (days < 7) return relative.format(-days, 'day')
+  
+  return date.toLocaleDateString(getIntlLocale(), { month: 'short', day: 'numeric' })
 }
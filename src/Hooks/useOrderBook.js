@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useExchangeStream } from './useExchangeStream'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+import { DEFAULT_EXCHANGE } from '../adapters'
+import { createLocalBook, applyLevels, bestLevels, trimBook, groupLevels } from '../utils/localOrderBook'
+
+/**
+ * Hook for a real-time local order book from the selected exchange
+ *
+ * Why a local book instead of Binance's partial @depth20 stream?
+ * - Partial streams cap out at 20 levels
+ * - They carry no sequence numbers, so a missed message goes unnoticed
+ * - Full-depth feeds (a diff stream + REST snapshot on Binance, a snapshot
+ *   followed by updates elsewhere) give up to MAX_BOOK_LEVELS each side
+ *
+ * The adapter takes care of sequencing (adapters/binance.js resyncs on
+ * update ID gaps) and hands us snapshot / update / reset events; here we
+ * keep the book from those and slice it for display.
+ *
+ * Data structure:
+ * - bids: [{ price, quantity, total, cumulative, depthPercent }, ...] high to low (best bid first)
+ * - asks: same shape, low to high (best ask first)
+ * - `levels` controls how many are returned, anything up to the full local book
+ * - `grouping` (a price step like 1 or 10) aggregates levels into buckets first;
+ *   totals, cumulative and depthPercent are then per bucket. Pass null for raw levels.
+ */
+
+// Far levels from update events get trimmed past this
+const MAX_BOOK_LEVELS = 2000
+
+const EMPTY_BOOK = {
+  bids: [],
+  asks: [],
+  lastUpdate: null,
+}
+
+/**
+ * Best `count` rows of one side, bucketed when grouping is set
+ */
+function sideLevels(side, count, isBid, grouping) {
+  if (!grouping) {
+    return bestLevels(side, count, isBid)
+  }
+  return groupLevels(bestLevels(side, Infinity, isBid), grouping, isBid).slice(0, count)
+}
+
+/**
+ * Turn the best levels of each side into display rows
+ * Levels are [price, quantity] or, when grouped, [price, quantity, total]
+ */
+function buildOrderBook(bidLevels, askLevels) {
+  // Transform to our format with totals
+  const bids = bidLevels.map(([price, quantity, total]) => ({
+    price,
+    quantity,
+    total: total ?? price * quantity,
+  }))
+
+  const asks = askLevels.map(([price, quantity, total]) => ({
+    price,
+    quantity,
+    total: total ?? price * quantity,
+  }))
+
+  // Calculate cumulative quantities for depth visualization
+  let bidCumulative = 0
+  const bidsWithCumulative = bids.map(bid => {
+    bidCumulative += bid.quantity
+    return { ...bid, cumulative: bidCumulative }
+  })
+
+  let askCumulative = 0
+  const asksWithCumulative = asks.map(ask => {
+    askCumulative += ask.quantity
+    return { ...ask, cumulative: askCumulative }
+  })
+
+  // Find max cumulative for percentage bars
+  const maxCumulative = Math.max(
+    bidCumulative,
+    askCumulative
+  )
+
+  return {
+    bids: bidsWithCumulative.map(b => ({
+      ...b,
+      depthPercent: (b.cumulative / maxCumulative) * 100
+    })),
+    asks: asksWithCumulative.map(a => ({
+      ...a,
+      depthPercent: (a.cumulative / maxCumulative) * 100
+    })),
+    maxCumulative,
+    lastUpdate: Date.now(),
+  }
+}
+
+export function useOrderBook(symbol = DEFAULT_SYMBOL, levels = 10, grouping = null, exchange = DEFAULT_EXCHANGE) {
+  const [orderBook, setOrderBook] = useState(EMPTY_BOOK)
+  const [synced, setSynced] = useState(false)
+
+  const bookRef = useRef(null)          // Local book once a snapshot is in
+  const maxLevelsRef = useRef(MAX_BOOK_LEVELS)
+  const levelsRef = useRef(levels)
+  levelsRef.current = levels
+  const groupingRef = useRef(grouping)
+  groupingRef.current = grouping
+
+  const publish = useCallback(() => {
+    const book = bookRef.current
+    if (!book) return
+
+    trimBook(book, maxLevelsRef.current)
+    setOrderBook(buildOrderBook(
+      sideLevels(book.bids, levelsRef.current, true, groupingRef.current),
+      sideLevels(book.asks, levelsRef.current, false, groupingRef.current)
+    ))
+  }, [])
+
+  // Fresh state for each symbol and exchange
+  useEffect(() => {
+    setOrderBook(EMPTY_BOOK)
+    setSynced(false)
+    bookRef.current = null
+  }, [symbol, exchange])
+
+  // Re-slice the existing book when the requested depth or grouping changes
+  useEffect(() => {
+    publish()
+  }, [levels, grouping, publish])
+
+  const handleDepth = useCallback((event) => {
+    try {
+      if (event.type === 'reset') {
+        bookRef.current = null
+        setSynced(false)
+        return
+      }
+
+      if (event.type === 'snapshot') {
+        bookRef.current = createLocalBook(event.bids, event.asks)
+        maxLevelsRef.current = Math.min(event.maxLevels || Infinity, MAX_BOOK_LEVELS)
+        setSynced(true)
+      } else if (bookRef.current) {
+        applyLevels(bookRef.current, event.bids, event.asks)
+      } else {
+        return
+      }
+      publish()
+    } catch (err) {
+      console.error('Failed to apply order book update:', err)
+    }
+  }, [publish])
+
+  const streamStatus = useExchangeStream(exchange, 'depth', { symbol }, handleDepth)
+
+  // Connected but still waiting for a consistent book reads as 'syncing'
+  const status = streamStatus === 'connected' && !synced ? 'syncing' : streamStatus
+
+  // Calculate spread
+  const spread = orderBook.bids[0] && orderBook.asks[0]
+    ? {
+        value: orderBook.asks[0].price - orderBook.bids[0].price,
+        percent: ((orderBook.asks[0].price - orderBook.bids[0].price) / orderBook.asks[0].price) * 100,
+      }
+    : null
+
+  return {
+    bids: orderBook.bids,
+    asks: orderBook.asks,
+    spread,
+    status,
+    lastUpdate: orderBook.lastUpdate,
+  }
+}
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * Hook that calls `onClose` on a mousedown anywhere outside `ref`'s
+ * element - for dropdowns and popovers, listening only while `active`
+ *
+ * Why composedPath() instead of contains()?
+ * - In an embed widget the element lives in a shadow root, and document
+ *   listeners see the event retargeted to the host element; the composed
+ *   path still goes through the element itself
+ */
+export function useOutsideClick(ref, onClose, active = true) {
+  // Latest callback without re-subscribing on every render
+  const onCloseRef = useRef(onClose)
+  onCloseRef.current = onClose
+
+  useEffect(() => {
+    if (!active) return
+
+    const handleClick = (event) => {
+      if (ref.current && !event.composedPath().includes(ref.current)) {
+        onCloseRef.current()
+      }
+    }
+
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [ref, active])
+}
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react'
+import { createLot, lotsToCsv, lotsFromCsv } from '../utils/portfolio'
+import { downloadBlob } from '../utils/exports'
+
+/**
+ * Hook for the ETH holdings the portfolio panel and chart P&L curve use
+ *
+ * Lots are kept in localStorage - no account or backend, and the CSV
+ * export doubles as a backup (lot format in utils/portfolio.js).
+ *
+ * Importing adds the file's lots to the current ones, skipping any that
+ * are already there, so re-importing an export doesn't double up.
+ *
+ * Returns { lots, addLot, removeLot, exportCsv, importCsv }
+ */
+
+const STORAGE_KEY = 'ethticker:portfolio'
+
+function loadLots() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved)
+      ? saved.filter(lot => lot && typeof lot.date === 'string' && lot.amount > 0 && lot.cost >= 0)
+      : []
+  } catch {
+    return []
+  }
+}
+
+const sameLot = (a, b) => a.date === b.date && a.amount === b.amount && a.cost === b.cost
+
+export function usePortfolio() {
+  const [lots, setLots] = useState(loadLots)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(lots))
+    } catch {
+      // Storage unavailable - lots just won't persist
+    }
+  }, [lots])
+
+  const addLot = (lot) => {
+    setLots(current => [...current, createLot(lot)])
+  }
+
+  const removeLot = (id) => {
+    setLots(current => current.filter(lot => lot.id !== id))
+  }
+
+  const exportCsv = () => {
+    const blob = new Blob([lotsToCsv(lots)], { type: 'text/csv' })
+    downloadBlob(blob, 'ethticker-portfolio.csv')
+  }
+
+  // Throws on an unreadable file, before anything is changed
+  // Returns how many lots were added
+  const importCsv = (text) => {
+    const imported = lotsFromCsv(text)
+    const added = imported.filter(lot => !lots.some(existing => sameLot(existing, lot)))
+    setLots(current => [...current, ...added])
+    return added.length
+  }
+
+  return { lots, addLot, removeLot, exportCsv, importCsv }
+}
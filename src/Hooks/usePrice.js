@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useExchangeStream } from './useExchangeStream'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+import { DEFAULT_EXCHANGE } from '../adapters'
+
+/**
+ * Hook for real-time ETH price via the selected exchange's ticker channel
+ * 
+ * Why Binance by default? 
+ * - No API key needed for public WebSocket
+ * - ~100ms update frequency
+ * - Reliable, high uptime
+ * 
+ * Returns live ticker data including price, 24h change, volume, etc.
+ * Pass a pair symbol (ETHUSDT, ETHBTC, ...) to follow another pair -
+ * switching unsubscribes the old stream before the new one starts.
+ * Exchange formats are normalized by the adapter, see adapters/index.js
+ * A new transport `session` (recording or replay) clears the ticker too,
+ * so a replay doesn't open on the live price.
+ */
+
+const EMPTY_TICKER = {
+  price: null,
+  priceChange: null,
+  priceChangePercent: null,
+  high24h: null,
+  low24h: null,
+  volume24h: null,        // Base asset volume (ETH)
+  quoteVolume24h: null,   // Quote asset volume (USDT, BTC, ...)
+  eventTime: null,        // Exchange timestamp of the tick, when it sends one
+  lastUpdate: null,
+  prevPrice: null,        // For flash animation
+}
+
+export function usePrice(symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE, session = 0) {
+  const [data, setData] = useState(EMPTY_TICKER)
+  
+  // Don't show the previous pair's numbers while the new one loads
+  useEffect(() => {
+    setData(EMPTY_TICKER)
+  }, [symbol, exchange, session])
+  
+  // 24hr ticker for the selected pair
+  // This gives us everything: price, 24h change, volume, high/low
+  const handleTicker = useCallback((ticker) => {
+    setData(prev => ({
+      ...ticker,
+      lastUpdate: Date.now(),
+      prevPrice: prev.price,                    // Store previous for animation
+    }))
+  }, [])
+  
+  const status = useExchangeStream(exchange, 'ticker', { symbol }, handleTicker)
+  
+  return { ...data, status }
+}
@@ -0,0 +1,182 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { checkAlert, describeAlert } from '../utils/alerts'
+import { showNotification, playAlertSound } from '../services/notifications'
+
+/**
+ * Hook for price alerts evaluated against the live ticker
+ *
+ * Pass the usePrice result for the selected symbol. Every new tick
+ * is checked against that symbol's armed alerts (rules in utils/alerts.js);
+ * alerts on other pairs wait until their pair is selected again.
+ *
+ * `exchange` and `session` (the transport session) say which feed the
+ * ticks come from. Crosses and moves are only measured within one feed -
+ * another venue's price, or a replay's recorded one, isn't a move.
+ *
+ * Why keep alerts and history in localStorage?
+ * - Alerts survive reloads without an account or backend
+ * - History shows what fired while the tab was in the background
+ *
+ * A firing alert shows a browser notification (if permitted), an in-app
+ * toast and, unless muted, a chime.
+ *
+ * Returns:
+ * - alerts / history and actions to manage them
+ * - toasts: currently visible in-app notifications, newest last
+ */
+
+const ALERTS_STORAGE_KEY = 'ethticker:alerts'
+const HISTORY_STORAGE_KEY = 'ethticker:alertHistory'
+const SOUND_STORAGE_KEY = 'ethticker:alertSound'
+
+const MAX_HISTORY = 100
+const TOAST_DURATION = 8000
+
+// Price points kept for percent-move alerts - enough for the longest window
+const MAX_HISTORY_MINUTES = 60
+
+let nextId = 0
+
+function loadJson(key, fallback) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key))
+    return saved ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+function saveJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // Storage unavailable - alerts just won't persist
+  }
+}
+
+export function usePriceAlerts(symbol, ticker, exchange, session) {
+  const [alerts, setAlerts] = useState(() => loadJson(ALERTS_STORAGE_KEY, []))
+  const [history, setHistory] = useState(() => loadJson(HISTORY_STORAGE_KEY, []))
+  const [soundEnabled, setSoundEnabled] = useState(() => loadJson(SOUND_STORAGE_KEY, true))
+  const [toasts, setToasts] = useState([])
+
+  const alertsRef = useRef(alerts)
+  alertsRef.current = alerts
+  const soundRef = useRef(soundEnabled)
+  soundRef.current = soundEnabled
+
+  const prevTickRef = useRef(null)    // Ticker as of the previous check
+  const pricesRef = useRef([])        // { time, price } oldest first, for percent moves
+  const toastTimersRef = useRef(new Map())
+
+  useEffect(() => saveJson(ALERTS_STORAGE_KEY, alerts), [alerts])
+  useEffect(() => saveJson(HISTORY_STORAGE_KEY, history), [history])
+  useEffect(() => saveJson(SOUND_STORAGE_KEY, soundEnabled), [soundEnabled])
+
+  // Price memory belongs to one pair on one feed
+  useEffect(() => {
+    prevTickRef.current = null
+    pricesRef.current = []
+  }, [symbol, exchange, session])
+
+  // Clear pending toast timers on unmount
+  useEffect(() => {
+    const timers = toastTimersRef.current
+    return () => timers.forEach(timer => clearTimeout(timer))
+  }, [])
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(toastTimersRef.current.get(id))
+    toastTimersRef.current.delete(id)
+    setToasts(prev => prev.filter(toast => toast.id !== id))
+  }, [])
+
+  const fire = useCallback((alert, message, price, time) => {
+    const title = describeAlert(alert)
+    const entry = { id: `${alert.id}-${time}`, alertId: alert.id, symbol: alert.symbol, title, message, price, time }
+
+    setHistory(prev => [entry, ...prev].slice(0, MAX_HISTORY))
+    setToasts(prev => [...prev, entry])
+    toastTimersRef.current.set(entry.id, setTimeout(() => dismissToast(entry.id), TOAST_DURATION))
+
+    showNotification(title, message, alert.id)
+    if (soundRef.current) {
+      playAlertSound()
+    }
+  }, [dismissToast])
+
+  // Check armed alerts on every tick - keyed on lastUpdate alone,
+  // the rest of `ticker` is read as of that tick
+  const { price, lastUpdate } = ticker
+  useEffect(() => {
+    if (!price || !lastUpdate) return
+
+    const now = lastUpdate
+    const prices = pricesRef.current
+    prices.push({ time: now, price })
+    const keepFrom = now - MAX_HISTORY_MINUTES * 60000
+    const expired = prices.findIndex(point => point.time >= keepFrom)
+    prices.splice(0, expired === -1 ? prices.length : expired)
+
+    const prevTick = prevTickRef.current
+    prevTickRef.current = ticker
+
+    const fired = []
+    alertsRef.current.forEach(alert => {
+      if (alert.symbol !== symbol) return
+      const message = checkAlert(alert, ticker, prevTick, prices, now)
+      if (message) fired.push({ alert, message })
+    })
+
+    if (!fired.length) return
+
+    const firedIds = new Set(fired.map(({ alert }) => alert.id))
+    setAlerts(prev => prev.map(alert =>
+      firedIds.has(alert.id)
+        ? { ...alert, lastTriggered: now, active: alert.mode === 'repeat' }
+        : alert
+    ))
+    fired.forEach(({ alert, message }) => fire(alert, message, price, now))
+  }, [lastUpdate])
+
+  const addAlert = useCallback((alert) => {
+    setAlerts(prev => [
+      ...prev,
+      {
+        id: `alert-${Date.now().toString(36)}-${nextId++}`,
+        symbol,
+        mode: 'once',
+        ...alert,
+        active: true,
+        createdAt: Date.now(),
+        lastTriggered: null,
+      },
+    ])
+  }, [symbol])
+
+  const removeAlert = useCallback((id) => {
+    setAlerts(prev => prev.filter(alert => alert.id !== id))
+  }, [])
+
+  // Pause an armed alert, or re-arm a paused/fired one
+  const toggleAlert = useCallback((id) => {
+    setAlerts(prev => prev.map(alert =>
+      alert.id === id ? { ...alert, active: !alert.active, lastTriggered: null } : alert
+    ))
+  }, [])
+
+  const clearHistory = useCallback(() => setHistory([]), [])
+
+  return {
+    alerts,
+    history,
+    toasts,
+    soundEnabled,
+    setSoundEnabled,
+    addAlert,
+    removeAlert,
+    toggleAlert,
+    clearHistory,
+    dismissToast,
+  }
+}
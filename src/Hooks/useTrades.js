@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useExchangeStream } from './useExchangeStream'
+import { DEFAULT_SYMBOL } from '../utils/pairs'
+import { DEFAULT_EXCHANGE } from '../adapters'
+
+/**
+ * Hook for the live trade tape via the selected exchange's trades channel
+ *
+ * Each adapter reports the taker side (the one crossing the spread) as
+ * `isBuy`, so green always means someone lifted the offer.
+ *
+ * Trades arrive in bursts of dozens per second, so they're collected in a
+ * ref and flushed to state a few times per second instead of per message.
+ *
+ * Returns:
+ * - trades: newest first, up to `maxTrades`
+ * - buyVolume / sellVolume / buyRatio: taker volume over the last `windowMinutes`
+ *
+ * The window ends at the newest trade's exchange timestamp, not the local
+ * clock: a replayed recording's trades are hours or days old, a skewed
+ * local clock would cut the window short, and a quiet market shouldn't
+ * empty it between trades.
+ */
+
+// Rolling volume is kept for at most this long, whatever window is selected
+const MAX_WINDOW_MINUTES = 60
+
+const FLUSH_INTERVAL = 250
+
+const EMPTY_STATS = {
+  buyVolume: 0,
+  sellVolume: 0,
+  buyRatio: null,
+}
+
+export function useTrades(symbol = DEFAULT_SYMBOL, { maxTrades = 50, windowMinutes = 5 } = {}, exchange = DEFAULT_EXCHANGE) {
+  const [trades, setTrades] = useState([])
+  const [stats, setStats] = useState(EMPTY_STATS)
+
+  const pendingRef = useRef([])    // Received since last flush
+  const historyRef = useRef([])    // { time, quantity, isBuy } for rolling volume, oldest first
+
+  // Start over for each pair
+  useEffect(() => {
+    pendingRef.current = []
+    historyRef.current = []
+    setTrades([])
+    setStats(EMPTY_STATS)
+  }, [symbol, exchange])
+
+  const handleTrade = useCallback((trade) => {
+    pendingRef.current.push({ ...trade, value: trade.price * trade.quantity })
+  }, [])
+
+  const status = useExchangeStream(exchange, 'trades', { symbol }, handleTrade)
+
+  // Flush buffered trades and recompute the rolling window
+  useEffect(() => {
+    const flush = () => {
+      const pending = pendingRef.current
+      pendingRef.current = []
+
+      const history = historyRef.current
+      pending.forEach(trade => history.push({ time: trade.time, quantity: trade.quantity, isBuy: trade.isBuy }))
+
+      if (!history.length) return
+
+      const now = history[history.length - 1].time
+      const keepFrom = now - MAX_WINDOW_MINUTES * 60000
+      const expired = history.findIndex(entry => entry.time >= keepFrom)
+      history.splice(0, expired === -1 ? history.length : expired)
+
+      const windowFrom = now - windowMinutes * 60000
+      let buyVolume = 0
+      let sellVolume = 0
+      for (let i = history.length - 1; i >= 0 && history[i].time >= windowFrom; i--) {
+        if (history[i].isBuy) {
+          buyVolume += history[i].quantity
+        } else {
+          sellVolume += history[i].quantity
+        }
+      }
+
+      const total = buyVolume + sellVolume
+      setStats({
+        buyVolume,
+        sellVolume,
+        buyRatio: total > 0 ? buyVolume / total : null,
+      })
+
+      if (pending.length) {
+        // Reversed out here - StrictMode runs updaters twice
+        const newest = [...pending].reverse()
+        setTrades(prev => [...newest, ...prev].slice(0, maxTrades))
+      }
+    }
+
+    const interval = setInterval(flush, FLUSH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [windowMinutes, maxTrades])
+
+  return { trades, ...stats, status }
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react'
+import { getTransportState, onTransportChange } from '../services/transport'
+
+/**
+ * Hook for the recorder / replay state in services/transport.js
+ *
+ * Mode and session changes arrive as events. The message counters
+ * (recorded so far, replay position) change with every message, so those
+ * are sampled every POLL_INTERVAL while recording or replaying instead of
+ * re-rendering per message.
+ *
+ * Returns { mode, session, recordedCount, replaySpeed, replayPosition, replayTotal }
+ */
+
+const POLL_INTERVAL = 500
+
+export function useTransport() {
+  const [state, setState] = useState(getTransportState)
+
+  useEffect(() => onTransportChange(setState), [])
+
+  useEffect(() => {
+    if (state.mode === 'live') return
+    const interval = setInterval(() => setState(getTransportState()), POLL_INTERVAL)
+    return () => clearInterval(interval)
+  }, [state.mode])
+
+  return state
+}
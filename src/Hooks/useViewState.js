@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { VIEW_DEFAULTS, hasViewState, parseViewState, serializeViewState } from '../utils/viewState'
+
+/**
+ * Hook for the dashboard view state, kept in the URL (see utils/viewState.js)
+ *
+ * - A link with view parameters opens exactly that view; a bare link starts
+ *   from loadPreferences() (the user's remembered exchange, chart type...)
+ * - updateView(changes) pushes a history entry, so back/forward walk
+ *   through view changes; pass { replace: true } for continuous changes
+ *   (scrolling the chart) that shouldn't flood the history
+ * - Back/forward (popstate) restores the view from the URL
+ *
+ * Returns [view, updateView]
+ */
+
+function writeUrl(view, replace) {
+  const { pathname, search, hash } = window.location
+  const nextSearch = serializeViewState(view, search)
+  if (nextSearch === search) return
+
+  const url = `${pathname}${nextSearch}${hash}`
+  if (replace) {
+    window.history.replaceState(null, '', url)
+  } else {
+    window.history.pushState(null, '', url)
+  }
+}
+
+export function useViewState(loadPreferences = () => ({})) {
+  const [view, setView] = useState(() => {
+    const { search } = window.location
+    return hasViewState(search)
+      ? parseViewState(search)
+      : { ...VIEW_DEFAULTS, ...loadPreferences() }
+  })
+  const viewRef = useRef(view)
+
+  // Put preferences into the first entry too, so back always lands on
+  // the view that was on screen and a copied link is exact
+  useEffect(() => {
+    writeUrl(viewRef.current, true)
+  }, [])
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseViewState(window.location.search)
+      viewRef.current = next
+      setView(next)
+    }
+
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  const updateView = useCallback((changes, { replace = false } = {}) => {
+    const next = { ...viewRef.current, ...changes }
+    viewRef.current = next
+    writeUrl(next, replace)
+    setView(next)
+  }, [])
+
+  return [view, updateView]
+}
@@ -0,0 +1,236 @@
+/**
+ * Shared Binance WebSocket connection manager
+ *
+ * Why one socket for everything?
+ * - Binance's combined-stream endpoint (/stream) multiplexes any number of
+ *   streams over a single connection and tags each message with its stream name
+ * - One place owns reconnection/backoff instead of every hook copying it
+ * - Binance limits connections per IP, and each open socket costs a handshake
+ *
+ * Usage:
+ *   const unsubscribe = subscribe('ethusdt@ticker', data => { ... })
+ *
+ * Streams are reference counted: two hooks subscribing to the same stream
+ * share one Binance subscription, and it's only dropped when the last
+ * subscriber leaves. On reconnect every active stream is resubscribed.
+ *
+ * Message format from the combined endpoint:
+ *   { stream: 'ethusdt@ticker', data: { ...raw stream payload } }
+ *
+ * The socket is opened through services/transport.js so it can be recorded
+ * or replayed, and reopened whenever a recording or replay session starts.
+ */
+
+import { openSocket, onSessionChange } from './transport'
+
+const STREAM_URL = 'wss://stream.binance.com:9443/stream'
+
+// Binance drops connections sending more than 5 messages/sec, so
+// subscription changes are batched into a single SUBSCRIBE/UNSUBSCRIBE
+const FLUSH_DELAY = 100
+
+// Keep the socket around briefly after the last unsubscribe - pair and
+// timeframe switches unsubscribe and resubscribe in the same tick
+const IDLE_CLOSE_DELAY = 2000
+
+const handlers = new Map()          // stream name -> Set of message handlers
+const statusListeners = new Set()
+
+let ws = null
+let status = 'connecting'           // connecting, connected, error
+let reconnectAttempts = 0
+let reconnectTimeout = null
+let idleTimeout = null
+let flushTimeout = null
+let requestId = 1
+
+// Streams the server knows about vs. what we've queued to change
+const activeStreams = new Set()
+const pendingSubscribe = new Set()
+const pendingUnsubscribe = new Set()
+
+function setStatus(next) {
+  if (status === next) return
+  status = next
+  statusListeners.forEach(listener => listener(status))
+}
+
+function connect() {
+  clearTimeout(reconnectTimeout)
+  reconnectTimeout = null
+
+  setStatus('connecting')
+
+  // Everything wanted right now goes in the URL, so a reconnect
+  // resubscribes in one step without any SUBSCRIBE messages
+  const streams = [...handlers.keys()]
+  pendingSubscribe.clear()
+  pendingUnsubscribe.clear()
+  activeStreams.clear()
+  streams.forEach(stream => activeStreams.add(stream))
+
+  const socket = openSocket(`${STREAM_URL}?streams=${streams.join('/')}`)
+
+  socket.onopen = () => {
+    setStatus('connected')
+    reconnectAttempts = 0
+    // Anything subscribed while the handshake was in flight
+    flush()
+  }
+
+  socket.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data)
+
+      // Replies to SUBSCRIBE/UNSUBSCRIBE look like { result: null, id: 1 }
+      if (!message.stream) return
+
+      const streamHandlers = handlers.get(message.stream)
+      if (streamHandlers) {
+        streamHandlers.forEach(handler => handler(message.data))
+      }
+    } catch (err) {
+      console.error('Failed to handle stream message:', err)
+    }
+  }
+
+  socket.onerror = (error) => {
+    console.error('Binance stream error:', error)
+    setStatus('error')
+  }
+
+  socket.onclose = () => {
+    ws = null
+    activeStreams.clear()
+
+    // Nobody listening any more - stay closed until the next subscribe
+    if (handlers.size === 0) {
+      setStatus('connecting')
+      return
+    }
+
+    setStatus('connecting')
+
+    // Exponential backoff for reconnection
+    const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000)
+    reconnectAttempts++
+    reconnectTimeout = setTimeout(connect, delay)
+  }
+
+  ws = socket
+}
+
+/**
+ * Send queued subscription changes as (at most) one message each
+ */
+function flush() {
+  clearTimeout(flushTimeout)
+  flushTimeout = null
+
+  if (!ws || ws.readyState !== WebSocket.OPEN) return
+
+  const toSubscribe = [...pendingSubscribe].filter(s => !activeStreams.has(s))
+  const toUnsubscribe = [...pendingUnsubscribe].filter(s => activeStreams.has(s))
+  pendingSubscribe.clear()
+  pendingUnsubscribe.clear()
+
+  if (toUnsubscribe.length) {
+    ws.send(JSON.stringify({ method: 'UNSUBSCRIBE', params: toUnsubscribe, id: requestId++ }))
+    toUnsubscribe.forEach(s => activeStreams.delete(s))
+  }
+  if (toSubscribe.length) {
+    ws.send(JSON.stringify({ method: 'SUBSCRIBE', params: toSubscribe, id: requestId++ }))
+    toSubscribe.forEach(s => activeStreams.add(s))
+  }
+}
+
+function scheduleFlush() {
+  if (!flushTimeout) {
+    flushTimeout = setTimeout(flush, FLUSH_DELAY)
+  }
+}
+
+function closeIfIdle() {
+  idleTimeout = null
+  if (handlers.size > 0) return
+
+  clearTimeout(reconnectTimeout)
+  reconnectTimeout = null
+  if (ws) {
+    ws.close()
+  }
+}
+
+// A new recording or replay session - reconnect now, through the new transport
+onSessionChange(() => {
+  clearTimeout(reconnectTimeout)
+  reconnectTimeout = null
+  reconnectAttempts = 0
+
+  if (ws) {
+    ws.onclose = null
+    ws.onmessage = null
+    ws.close()
+    ws = null
+  }
+  if (handlers.size > 0) {
+    connect()
+  }
+})
+
+/**
+ * Subscribe to a raw Binance stream (e.g. 'ethusdt@ticker').
+ * The handler receives the stream's payload (the `data` field).
+ * Returns an unsubscribe function.
+ */
+export function subscribe(stream, handler) {
+  clearTimeout(idleTimeout)
+  idleTimeout = null
+
+  let streamHandlers = handlers.get(stream)
+  if (!streamHandlers) {
+    streamHandlers = new Set()
+    handlers.set(stream, streamHandlers)
+    pendingUnsubscribe.delete(stream)
+    pendingSubscribe.add(stream)
+  }
+  streamHandlers.add(handler)
+
+  if (!ws && !reconnectTimeout) {
+    connect()
+  } else {
+    scheduleFlush()
+  }
+
+  return () => {
+    const current = handlers.get(stream)
+    if (!current) return
+
+    current.delete(handler)
+    if (current.size > 0) return
+
+    // Last subscriber gone - drop the Binance subscription
+    handlers.delete(stream)
+    pendingSubscribe.delete(stream)
+    pendingUnsubscribe.add(stream)
+    scheduleFlush()
+
+    if (handlers.size === 0 && !idleTimeout) {
+      idleTimeout = setTimeout(closeIfIdle, IDLE_CLOSE_DELAY)
+    }
+  }
+}
+
+/**
+ * Listen for connection status changes. The listener is called
+ * immediately with the current status. Returns an unsubscribe function.
+ */
+export function onStatusChange(listener) {
+  statusListeners.add(listener)
+  listener(status)
+  return () => statusListeners.delete(listener)
+}
+
+export function getStatus() {
+  return status
+}
@@ -0,0 +1,180 @@
+/**
+ * Reconnecting WebSocket with reference-counted channel subscriptions
+ *
+ * The same idea as services/binanceStream.js for exchanges that subscribe
+ * with JSON messages over one plain socket (Coinbase, Kraken):
+ * - One connection per exchange, opened on the first subscribe and closed
+ *   shortly after the last unsubscribe
+ * - Subscriptions are identified by a string key; two hooks asking for the
+ *   same key share one exchange subscription
+ * - On reconnect every active subscription is sent again
+ *
+ * The exchange-specific parts are passed in:
+ *   createExchangeSocket({
+ *     name,                      // for log messages
+ *     url,
+ *     subscribeMessage(params),  // payload to send for a subscription
+ *     unsubscribeMessage(params),
+ *     route(message),            // key a message belongs to, or null
+ *   })
+ *
+ * Usage:
+ *   const unsubscribe = socket.subscribe('ticker:ETH-USD', params, message => { ... })
+ *
+ * Like binanceStream, the socket goes through services/transport.js and is
+ * reopened when a recording or replay session starts.
+ */
+
+import { openSocket, onSessionChange } from './transport'
+
+// Keep the socket around briefly after the last unsubscribe - pair and
+// exchange switches unsubscribe and resubscribe in the same tick
+const IDLE_CLOSE_DELAY = 2000
+
+export function createExchangeSocket({ name, url, subscribeMessage, unsubscribeMessage, route }) {
+  const subscriptions = new Map()   // key -> { params, handlers: Set }
+  const statusListeners = new Set()
+
+  let ws = null
+  let status = 'connecting'         // connecting, connected, error
+  let reconnectAttempts = 0
+  let reconnectTimeout = null
+  let idleTimeout = null
+
+  function setStatus(next) {
+    if (status === next) return
+    status = next
+    statusListeners.forEach(listener => listener(status))
+  }
+
+  function send(payload) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload))
+    }
+  }
+
+  function connect() {
+    clearTimeout(reconnectTimeout)
+    reconnectTimeout = null
+
+    setStatus('connecting')
+    const socket = openSocket(url)
+
+    socket.onopen = () => {
+      setStatus('connected')
+      reconnectAttempts = 0
+      subscriptions.forEach(({ params }) => send(subscribeMessage(params)))
+    }
+
+    socket.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data)
+        const key = route(message)
+        const subscription = key && subscriptions.get(key)
+        if (subscription) {
+          subscription.handlers.forEach(handler => handler(message))
+        }
+      } catch (err) {
+        console.error(`Failed to handle ${name} message:`, err)
+      }
+    }
+
+    socket.onerror = (error) => {
+      console.error(`${name} stream error:`, error)
+      setStatus('error')
+    }
+
+    socket.onclose = () => {
+      ws = null
+      setStatus('connecting')
+
+      // Nobody listening any more - stay closed until the next subscribe
+      if (subscriptions.size === 0) return
+
+      // Exponential backoff for reconnection
+      const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000)
+      reconnectAttempts++
+      reconnectTimeout = setTimeout(connect, delay)
+    }
+
+    ws = socket
+  }
+
+  function closeIfIdle() {
+    idleTimeout = null
+    if (subscriptions.size > 0) return
+
+    clearTimeout(reconnectTimeout)
+    reconnectTimeout = null
+    if (ws) {
+      ws.close()
+    }
+  }
+
+  // A new recording or replay session - reconnect now, through the new transport
+  onSessionChange(() => {
+    clearTimeout(reconnectTimeout)
+    reconnectTimeout = null
+    reconnectAttempts = 0
+
+    if (ws) {
+      ws.onclose = null
+      ws.onmessage = null
+      ws.close()
+      ws = null
+    }
+    if (subscriptions.size > 0) {
+      connect()
+    }
+  })
+
+  /**
+   * Subscribe `handler` to messages routed to `key`.
+   * `params` describes the subscription for subscribeMessage/unsubscribeMessage.
+   * Returns an unsubscribe function.
+   */
+  function subscribe(key, params, handler) {
+    clearTimeout(idleTimeout)
+    idleTimeout = null
+
+    let subscription = subscriptions.get(key)
+    if (!subscription) {
+      subscription = { params, handlers: new Set() }
+      subscriptions.set(key, subscription)
+      send(subscribeMessage(params))
+    }
+    subscription.handlers.add(handler)
+
+    if (!ws && !reconnectTimeout) {
+      connect()
+    }
+
+    return () => {
+      const current = subscriptions.get(key)
+      if (!current) return
+
+      current.handlers.delete(handler)
+      if (current.handlers.size > 0) return
+
+      // Last subscriber gone - drop the exchange subscription
+      subscriptions.delete(key)
+      send(unsubscribeMessage(current.params))
+
+      if (subscriptions.size === 0 && !idleTimeout) {
+        idleTimeout = setTimeout(closeIfIdle, IDLE_CLOSE_DELAY)
+      }
+    }
+  }
+
+  /**
+   * Listen for connection status changes. The listener is called
+   * immediately with the current status. Returns an unsubscribe function.
+   */
+  function onStatusChange(listener) {
+    statusListeners.add(listener)
+    listener(status)
+    return () => statusListeners.delete(listener)
+  }
+
+  return { subscribe, onStatusChange, getStatus: () => status }
+}
@@ -0,0 +1,135 @@
+/**
+ * Health of every live feed the dashboard is subscribed to
+ *
+ * Why not trust the connection status?
+ * - A socket can stay open while the exchange stops sending (a dropped
+ *   subscription, a stuck server) - the status still says connected
+ * - So each feed (exchange + channel + params) tracks when it last got a
+ *   message; one that's silent for longer than STALE_AFTER[channel] while
+ *   its connection is up counts as stale
+ *
+ * Also tracked, for the diagnostics panel:
+ * - message rate over the last RATE_WINDOW
+ * - latency: our clock minus the event's `eventTime` (the exchange's clock,
+ *   e.g. Binance's `E`) - clock skew shifts it, but a climbing number means
+ *   messages are queueing somewhere
+ * - reconnects per exchange
+ *
+ * Feeds are reference counted like the sockets: hooks sharing a feed
+ * share its stats, and it's forgotten when the last one releases it.
+ */
+
+// Silence that counts as stale, per channel - trades and candles can go
+// quiet on thin pairs without anything being wrong
+export const STALE_AFTER = {
+  ticker: 10000,
+  depth: 10000,
+  klines: 30000,
+  trades: 60000,
+}
+
+const RATE_WINDOW = 10000
+
+const feeds = new Map()         // feed id -> feed stats
+const connections = new Map()   // exchange id -> { status, reconnects, connectedAt }
+
+function watchExchange(adapter) {
+  if (connections.has(adapter.id)) return connections.get(adapter.id)
+
+  const connection = { status: 'connecting', reconnects: 0, connectedAt: null }
+  connections.set(adapter.id, connection)
+
+  adapter.onStatusChange(status => {
+    if (status === 'connected' && connection.status !== 'connected') {
+      if (connection.connectedAt) connection.reconnects++
+      connection.connectedAt = Date.now()
+    }
+    connection.status = status
+  })
+  return connection
+}
+
+function feedId(exchange, channel, params) {
+  return [exchange, channel, params.symbol, params.interval].filter(Boolean).join(':')
+}
+
+function isStale(feed, connection, now) {
+  if (connection.status !== 'connected') return false
+  // Silence before a (re)connect doesn't count against the feed
+  const since = Math.max(feed.lastMessage ?? feed.subscribedAt, connection.connectedAt ?? 0)
+  return now - since > (STALE_AFTER[feed.channel] ?? STALE_AFTER.ticker)
+}
+
+/**
+ * Start tracking a feed. Returns handles for the subscriber:
+ * - record(message): call for every message received
+ * - isStale(): whether the feed has gone quiet
+ * - release(): call on unsubscribe
+ */
+export function trackFeed(adapter, channel, params) {
+  const connection = watchExchange(adapter)
+  const id = feedId(adapter.id, channel, params)
+
+  let feed = feeds.get(id)
+  if (!feed) {
+    feed = {
+      id,
+      exchangeId: adapter.id,
+      exchange: adapter.name,
+      channel,
+      symbol: params.symbol,
+      interval: params.interval || null,
+      subscribers: 0,
+      subscribedAt: Date.now(),
+      lastMessage: null,
+      messageTimes: [],   // receive times within RATE_WINDOW
+      latency: null,
+    }
+    feeds.set(id, feed)
+  }
+  feed.subscribers++
+
+  return {
+    record(message) {
+      const now = Date.now()
+      feed.lastMessage = now
+      feed.messageTimes.push(now)
+      while (feed.messageTimes[0] < now - RATE_WINDOW) feed.messageTimes.shift()
+      if (message?.eventTime) feed.latency = now - message.eventTime
+    },
+    isStale: () => isStale(feed, connection, Date.now()),
+    release() {
+      feed.subscribers--
+      if (feed.subscribers === 0) feeds.delete(id)
+    },
+  }
+}
+
+/**
+ * Snapshot of every tracked feed for display:
+ * [{ id, exchange, channel, symbol, interval, state, age, rate, latency, reconnects }]
+ * state is the connection status, or 'live' / 'stale' once connected.
+ * age (ms since the last message) and latency are null until known.
+ */
+export function getFeedHealth(now = Date.now()) {
+  return [...feeds.values()].map(feed => {
+    const connection = connections.get(feed.exchangeId)
+    const recent = feed.messageTimes.filter(time => time >= now - RATE_WINDOW)
+    const elapsed = Math.min(RATE_WINDOW, Math.max(1000, now - feed.subscribedAt))
+
+    return {
+      id: feed.id,
+      exchange: feed.exchange,
+      channel: feed.channel,
+      symbol: feed.symbol,
+      interval: feed.interval,
+      state: connection.status !== 'connected'
+        ? connection.status
+        : isStale(feed, connection, now) ? 'stale' : 'live',
+      age: feed.lastMessage ? now - feed.lastMessage : null,
+      rate: recent.length / (elapsed / 1000),
+      latency: feed.latency,
+      reconnects: connection.reconnects,
+    }
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Browser-side alert delivery: system notifications and a short chime
+ *
+ * Why Web Audio instead of an <audio> file?
+ * - No asset to ship or preload
+ * - Two short sine tones are enough to be noticed without being obnoxious
+ *
+ * Both are best effort: browsers without the API, a denied permission or
+ * an audio context blocked by autoplay rules just stay silent.
+ */
+
+let audioContext = null
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported'
+}
+
+/**
+ * Ask for permission - call from a click handler, browsers ignore it otherwise
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported() || Notification.permission !== 'default') {
+    return notificationPermission()
+  }
+
+  try {
+    return await Notification.requestPermission()
+  } catch {
+    return notificationPermission()
+  }
+}
+
+export function showNotification(title, body, tag) {
+  if (notificationPermission() !== 'granted') return
+
+  try {
+    const notification = new Notification(title, { body, tag })
+    notification.onclick = () => {
+      window.focus()
+      notification.close()
+    }
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Notification failed:', err)
+  }
+}
+
+export function playAlertSound() {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext
+    if (!AudioCtx) return
+
+    audioContext = audioContext || new AudioCtx()
+    if (audioContext.state === 'suspended') {
+      // Rejected under autoplay rules until the user has interacted with the page
+      audioContext.resume().catch(err => console.warn('Alert sound blocked:', err))
+    }
+
+    // Two rising tones, 150ms each
+    const start = audioContext.currentTime
+    const tones = [880, 1320]
+    tones.forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      const toneStart = start + i * 0.18
+
+      oscillator.type = 'sine'
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.0001, toneStart)
+      gain.gain.exponentialRampToValueAtTime(0.2, toneStart + 0.02)
+      gain.gain.exponentialRampToValueAtTime(0.0001, toneStart + 0.15)
+
+      oscillator.connect(gain)
+      gain.connect(audioContext.destination)
+      oscillator.start(toneStart)
+      oscillator.stop(toneStart + 0.16)
+    })
+  } catch (err) {
+    console.warn('Alert sound failed:', err)
+  }
+}
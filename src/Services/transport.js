@@ -0,0 +1,309 @@
+import { downloadBlob } from '../utils/exports'
+
+/**
+ * Network transport for market data - live, recording or replaying
+ *
+ * Every WebSocket and REST request for market data goes through
+ * openSocket() / transportFetch() instead of `new WebSocket` / `fetch`,
+ * which gives one place to:
+ * - record: pass traffic through and keep a copy of every raw socket
+ *   message and REST response body, with its time
+ * - replay: serve a recording back with no network at all - fake sockets
+ *   emit the recorded messages on the recorded schedule (1x, 5x or as fast
+ *   as possible), REST requests are answered from the recorded responses
+ *
+ * Replay goes through the exact same services, adapters and hooks as live
+ * data, so whatever went wrong in the order book or chart happens again.
+ *
+ * Starting a recording or a replay bumps the session: socket services
+ * reconnect (see onSessionChange) and App remounts the dashboard, so the
+ * recording begins with fresh REST snapshots and replay starts clean.
+ *
+ * Recording file format:
+ *   { version: 1, startedAt, entries: [
+ *     { t, type: 'ws', url, data },            // raw message text
+ *     { t, type: 'rest', url, status, body },  // raw response text
+ *   ] }
+ * `t` is ms since the recording started.
+ */
+
+const FORMAT_VERSION = 1
+
+// Give remounted hooks time to open their sockets before messages flow
+const REPLAY_START_DELAY = 500
+
+// Messages delivered per tick at 'max' speed - keeps the tab responsive
+const MAX_SPEED_BATCH = 200
+
+// Query parameters that depend on when a request was made - ignored when
+// matching a replayed REST request to a recorded response
+const TIME_PARAMS = ['endTime', 'start', 'end', 'since']
+
+export const REPLAY_SPEEDS = [1, 5, 'max']
+
+const listeners = new Set()
+const sessionListeners = new Set()
+
+let mode = 'live'         // live, recording, replay
+let session = 0
+
+// Recording
+let recordStart = 0
+let recordStartedAt = null
+let recorded = []
+
+// Replay
+let replayEntries = []    // ws entries, in time order
+let replayResponses = []  // rest entries
+let replaySpeed = 1
+let replayIndex = 0
+let replayClock = null    // { wall, t } - wall time at which entry time t plays
+let replayTimeout = null
+const replaySockets = new Set()
+
+function notify() {
+  listeners.forEach(listener => listener(getTransportState()))
+}
+
+function newSession() {
+  session++
+  sessionListeners.forEach(listener => listener(session))
+  notify()
+}
+
+function record(entry) {
+  recorded.push({ t: Date.now() - recordStart, ...entry })
+}
+
+/**
+ * Stand-in for WebSocket during replay
+ * Emits recorded messages for its host; anything sent to it is ignored
+ */
+class ReplaySocket {
+  constructor(url) {
+    this.url = url
+    this.host = new URL(url).host
+    this.readyState = 0 // CONNECTING
+    this.onopen = null
+    this.onmessage = null
+    this.onerror = null
+    this.onclose = null
+
+    replaySockets.add(this)
+    setTimeout(() => {
+      if (this.readyState !== 0) return
+      this.readyState = 1 // OPEN
+      this.onopen?.()
+    }, 0)
+  }
+
+  send() {}
+
+  close() {
+    if (this.readyState === 3) return
+    this.readyState = 3 // CLOSED
+    replaySockets.delete(this)
+    setTimeout(() => this.onclose?.(), 0)
+  }
+
+  deliver(data) {
+    if (this.readyState === 1) {
+      this.onmessage?.({ data })
+    }
+  }
+}
+
+/**
+ * Open a WebSocket through the current transport
+ */
+export function openSocket(url) {
+  if (mode === 'replay') {
+    return new ReplaySocket(url)
+  }
+
+  const socket = new WebSocket(url)
+  if (mode === 'recording') {
+    socket.addEventListener('message', event => {
+      if (mode === 'recording') record({ type: 'ws', url, data: event.data })
+    })
+  }
+  return socket
+}
+
+function matchKey(url) {
+  const parsed = new URL(url)
+  TIME_PARAMS.forEach(param => parsed.searchParams.delete(param))
+  parsed.searchParams.sort()
+  return parsed.toString()
+}
+
+/**
+ * fetch() through the current transport - resolves to a Response either way
+ */
+export async function transportFetch(url) {
+  if (mode === 'replay') {
+    // Exact request first, then one that only differs in its time window
+    const key = matchKey(url)
+    const match = replayResponses.find(entry => entry.url === url)
+      || replayResponses.find(entry => matchKey(entry.url) === key)
+
+    return match
+      ? new Response(match.body, { status: match.status })
+      : new Response('Not in recording', { status: 404 })
+  }
+
+  const response = await fetch(url)
+  if (mode === 'recording') {
+    const body = await response.clone().text()
+    record({ type: 'rest', url, status: response.status, body })
+  }
+  return response
+}
+
+export function startRecording() {
+  stopReplayTimer()
+  mode = 'recording'
+  recorded = []
+  recordStart = Date.now()
+  recordStartedAt = new Date().toISOString()
+  newSession()
+}
+
+/**
+ * Stop recording and return the recording (also kept for download)
+ */
+export function stopRecording() {
+  mode = 'live'
+  notify()
+  return getRecording()
+}
+
+export function getRecording() {
+  return { version: FORMAT_VERSION, startedAt: recordStartedAt, entries: recorded }
+}
+
+/**
+ * Offer the last recording as a .json download
+ */
+export function downloadRecording() {
+  const blob = new Blob([JSON.stringify(getRecording())], { type: 'application/json' })
+  downloadBlob(blob, `ethticker-recording-${(recordStartedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`)
+}
+
+/**
+ * Parse a recording file's text, throwing on anything we can't replay
+ */
+export function parseRecording(text) {
+  const recording = JSON.parse(text)
+  if (recording?.version !== FORMAT_VERSION || !Array.isArray(recording.entries)) {
+    throw new Error('Not an EthTicker recording')
+  }
+  return recording
+}
+
+function stopReplayTimer() {
+  clearTimeout(replayTimeout)
+  replayTimeout = null
+}
+
+// Deliver everything that's due, then sleep until the next message
+function replayTick() {
+  replayTimeout = null
+  const now = Date.now()
+  let delivered = 0
+
+  while (replayIndex < replayEntries.length) {
+    const entry = replayEntries[replayIndex]
+
+    if (replaySpeed === 'max') {
+      if (delivered >= MAX_SPEED_BATCH) break
+    } else if (replayClock.wall + (entry.t - replayClock.t) / replaySpeed > now) {
+      break
+    }
+
+    const host = new URL(entry.url).host
+    replaySockets.forEach(socket => {
+      if (socket.host === host) socket.deliver(entry.data)
+    })
+    replayIndex++
+    delivered++
+  }
+
+  if (replayIndex >= replayEntries.length) {
+    notify()
+    return
+  }
+
+  const next = replayEntries[replayIndex]
+  const wait = replaySpeed === 'max'
+    ? 0
+    : replayClock.wall + (next.t - replayClock.t) / replaySpeed - now
+  replayTimeout = setTimeout(replayTick, Math.max(0, wait))
+}
+
+export function startReplay(recording, speed = 1) {
+  stopReplayTimer()
+  mode = 'replay'
+  replayEntries = recording.entries.filter(entry => entry.type === 'ws')
+  replayResponses = recording.entries.filter(entry => entry.type === 'rest')
+  replaySpeed = speed
+  replayIndex = 0
+  newSession()
+
+  replayTimeout = setTimeout(() => {
+    replayClock = { wall: Date.now(), t: replayEntries[0]?.t || 0 }
+    replayTick()
+  }, REPLAY_START_DELAY)
+}
+
+/**
+ * Change speed mid-replay, carrying on from the current position
+ */
+export function setReplaySpeed(speed) {
+  if (mode !== 'replay') return
+  replaySpeed = speed
+
+  if (replayIndex < replayEntries.length && replayClock) {
+    stopReplayTimer()
+    replayClock = { wall: Date.now(), t: replayEntries[replayIndex].t }
+    replayTick()
+  }
+  notify()
+}
+
+export function stopReplay() {
+  stopReplayTimer()
+  replaySockets.forEach(socket => socket.close())
+  mode = 'live'
+  replayEntries = []
+  replayResponses = []
+  newSession()
+}
+
+export function getTransportState() {
+  return {
+    mode,
+    session,
+    recordedCount: recorded.length,
+    replaySpeed,
+    replayPosition: replayIndex,
+    replayTotal: replayEntries.length,
+  }
+}
+
+/**
+ * Listen for mode and session changes. Returns an unsubscribe function.
+ */
+export function onTransportChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Called when a recording or replay starts or stops - open sockets
+ * belong to the previous session and should reconnect.
+ */
+export function onSessionChange(listener) {
+  sessionListeners.add(listener)
+  return () => sessionListeners.delete(listener)
+}
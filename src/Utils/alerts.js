@@ -0,0 +1,114 @@
+import { formatPrice, formatNumber } from './formatters'
+import { getPair, pairLabel } from './pairs'
+import { t } from './i18n'
+
+/**
+ * Price alert definitions and trigger rules
+ *
+ * An alert is a plain object so it can live in localStorage as-is:
+ * { id, symbol, type, value, windowMinutes, mode, active, createdAt, lastTriggered }
+ *
+ * Rules compare the latest ticker to the previous one, so a level alert
+ * fires on the tick that crosses it - not on every tick that sits past it.
+ *
+ * - above / below: price crosses a fixed level (value = price)
+ * - percent: price moved at least value% within the last windowMinutes
+ * - high24h / low24h: price breaks the 24h high/low it had on the previous tick
+ *
+ * mode 'once' disarms after firing, 'repeat' stays armed but waits
+ * REPEAT_COOLDOWN before it can fire again.
+ *
+ * Descriptions and messages are in the UI language (alerts.* messages);
+ * a fired alert's history entry keeps the language it fired in.
+ */
+
+// Labels are the 'alerts.type.<type>' messages
+export const ALERT_TYPES = {
+  above:   { needsValue: true },
+  below:   { needsValue: true },
+  percent: { needsValue: true, needsWindow: true },
+  high24h: { needsValue: false },
+  low24h:  { needsValue: false },
+}
+
+export const REPEAT_COOLDOWN = 60 * 1000
+
+/**
+ * One-line description for lists and notifications
+ */
+export function describeAlert(alert) {
+  const { sign, decimals } = getPair(alert.symbol)
+  const pair = pairLabel(alert.symbol)
+
+  switch (alert.type) {
+    case 'above':
+    case 'below':
+      return t(`alerts.describe.${alert.type}`, { pair, price: `${sign}${formatPrice(alert.value, decimals)}` })
+    case 'percent':
+      return t('alerts.describe.percent', { pair, percent: alert.value, minutes: alert.windowMinutes })
+    case 'high24h':
+    case 'low24h':
+      return t(`alerts.describe.${alert.type}`, { pair })
+    default:
+      return pair
+  }
+}
+
+/**
+ * Check one alert against the latest tick
+ *
+ * `tick` and `prevTick` are usePrice snapshots for the alert's symbol,
+ * `history` is [{ time, price }] oldest first (for percent moves).
+ * Returns a message when the alert fires, otherwise null.
+ */
+export function checkAlert(alert, tick, prevTick, history, now = Date.now()) {
+  if (!alert.active || !tick?.price || !prevTick?.price) return null
+  if (alert.lastTriggered && now - alert.lastTriggered < REPEAT_COOLDOWN) return null
+
+  const { sign, decimals } = getPair(alert.symbol)
+  const price = tick.price
+  const priceText = `${sign}${formatPrice(price, decimals)}`
+  const level = `${sign}${formatPrice(alert.value, decimals)}`
+
+  switch (alert.type) {
+    case 'above':
+      return prevTick.price < alert.value && price >= alert.value
+        ? t('alerts.message.above', { level, price: priceText })
+        : null
+
+    case 'below':
+      return prevTick.price > alert.value && price <= alert.value
+        ? t('alerts.message.below', { level, price: priceText })
+        : null
+
+    case 'percent': {
+      // Measure from the start of the window, or from the last trigger if later,
+      // so a repeating alert needs a fresh move each time
+      const from = Math.max(now - alert.windowMinutes * 60000, alert.lastTriggered || 0)
+      const reference = history.find(point => point.time >= from)
+      if (!reference) return null
+
+      const change = ((price - reference.price) / reference.price) * 100
+      return Math.abs(change) >= alert.value
+        ? t('alerts.message.percent', {
+          change: `${change >= 0 ? '+' : ''}${formatNumber(change, 2)}`,
+          minutes: alert.windowMinutes,
+          price: priceText,
+        })
+        : null
+    }
+
+    case 'high24h':
+      return prevTick.high24h && price > prevTick.high24h
+        ? t('alerts.message.high24h', { price: priceText })
+        : null
+
+    case 'low24h':
+      return prevTick.low24h && price < prevTick.low24h
+        ? t('alerts.message.low24h', { price: priceText })
+        : null
+
+    default:
+      return null
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Candle transforms for alternative chart types
+ *
+ * All functions take candles in our chart format
+ * ({ time, open, high, low, close, volume }) and return new arrays -
+ * the source candles are never mutated.
+ */
+
+/**
+ * Heikin-Ashi ("average bar") candles
+ *
+ * Smooths out noise so trends read as runs of same-colored candles:
+ * - close = average of the real candle's OHLC
+ * - open  = midpoint of the previous Heikin-Ashi candle's body
+ * - high/low = real extremes, stretched to cover the new body
+ *
+ * Each candle depends on the previous one, so the whole series has
+ * to be recomputed from the start when history changes.
+ */
+export function heikinAshi(candles) {
+  const result = []
+
+  candles.forEach((candle, i) => {
+    const close = (candle.open + candle.high + candle.low + candle.close) / 4
+    const prev = result[i - 1]
+    const open = prev
+      ? (prev.open + prev.close) / 2
+      : (candle.open + candle.close) / 2
+
+    result.push({
+      time: candle.time,
+      open,
+      high: Math.max(candle.high, open, close),
+      low: Math.min(candle.low, open, close),
+      close,
+      volume: candle.volume,
+    })
+  })
+
+  return result
+}
+
+/**
+ * Single-value points (close price) for line and area series
+ */
+export function toClosePoints(candles) {
+  return candles.map(candle => ({
+    time: candle.time,
+    value: candle.close,
+  }))
+}
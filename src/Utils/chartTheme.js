@@ -0,0 +1,101 @@
+import { CrosshairMode } from 'lightweight-charts'
+
+/**
+ * Shared Lightweight Charts theme
+ *
+ * Used by the main Chart and the indicator panes below it so every
+ * pane has the same colors, crosshair and price axis width (the fixed
+ * minimumWidth keeps the panes' plot areas lined up with the main chart).
+ */
+
+// Chart color theme matching our dark UI
+export const CHART_COLORS = {
+  background: '#131318',
+  text: '#6b6b6b',
+  grid: '#1e1e24',
+  crosshair: '#4a4a52',
+  upColor: '#00c853',
+  downColor: '#ff1744',
+  wickUp: '#00c853',
+  wickDown: '#ff1744',
+  volumeUp: 'rgba(0, 200, 83, 0.3)',
+  volumeDown: 'rgba(255, 23, 68, 0.3)',
+  line: '#627EEA',
+  areaTop: 'rgba(98, 126, 234, 0.4)',
+  areaBottom: 'rgba(98, 126, 234, 0)',
+  pnlUpFill: 'rgba(0, 200, 83, 0.2)',
+  pnlDownFill: 'rgba(255, 23, 68, 0.2)',
+  drawing: '#f0b90b',
+  drawingFill: 'rgba(240, 185, 11, 0.1)',
+  compareReference: '#e0e0e0',   // The chart's own pair among comparison lines
+}
+
+export const CHART_OPTIONS = {
+  layout: {
+    background: { color: CHART_COLORS.background },
+    textColor: CHART_COLORS.text,
+  },
+  grid: {
+    vertLines: { color: CHART_COLORS.grid },
+    horzLines: { color: CHART_COLORS.grid },
+  },
+  crosshair: {
+    mode: CrosshairMode.Normal,
+    vertLine: {
+      color: CHART_COLORS.crosshair,
+      width: 1,
+      style: 2,
+      labelBackgroundColor: '#2a2a32',
+    },
+    horzLine: {
+      color: CHART_COLORS.crosshair,
+      width: 1,
+      style: 2,
+      labelBackgroundColor: '#2a2a32',
+    },
+  },
+  rightPriceScale: {
+    borderColor: CHART_COLORS.grid,
+    minimumWidth: 72,
+  },
+  timeScale: {
+    borderColor: CHART_COLORS.grid,
+    timeVisible: true,
+    secondsVisible: false,
+  },
+}
+
+// Labels are the 'chart.<id>' messages
+export const CHART_TYPES = [
+  { id: 'candle' },
+  { id: 'bar' },
+  { id: 'heikin' },
+  { id: 'line' },
+  { id: 'area' },
+]
+
+const CHART_TYPE_STORAGE_KEY = 'ethticker:chartType'
+
+export function isChartType(id) {
+  return CHART_TYPES.some(t => t.id === id)
+}
+
+/**
+ * Last used chart type, so the choice survives a reload
+ */
+export function loadChartType() {
+  try {
+    const saved = localStorage.getItem(CHART_TYPE_STORAGE_KEY)
+    return isChartType(saved) ? saved : 'candle'
+  } catch {
+    return 'candle'
+  }
+}
+
+export function saveChartType(chartType) {
+  try {
+    localStorage.setItem(CHART_TYPE_STORAGE_KEY, chartType)
+  } catch {
+    // Private mode / storage disabled - just don't remember
+  }
+}
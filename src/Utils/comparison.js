@@ -0,0 +1,57 @@
+/**
+ * Comparison overlays: other symbols drawn on the chart as percent change
+ *
+ * A comparison is a plain object like an indicator instance, so it can
+ * live in the view state (and the URL): { symbol, color }
+ * `symbol` is a Binance symbol (BTCUSDT, SOLUSDT...) - any of them, not
+ * just the ETH pairs in utils/pairs.js.
+ *
+ * Why percent change instead of prices?
+ * - BTC at 60,000 and SOL at 150 can't share a price axis with ETH;
+ *   change since the same moment can, on one normalized scale
+ * - It's the question a comparison asks: which moved more over this window
+ *
+ * Lines are aligned on timestamps: a compared candle is only used where
+ * the chart has a candle with the same open time, and each line starts
+ * at 0% on its first such candle. Intervals open on the same boundaries
+ * on every exchange, so this lines up across venues too.
+ */
+
+// Comparisons always come from Binance, whichever exchange the chart shows
+export const COMPARE_EXCHANGE = 'binance'
+
+export const COMPARE_PALETTE = ['#ff9800', '#00bcd4', '#ab47bc', '#cddc39', '#ec407a']
+
+export const MAX_COMPARISONS = COMPARE_PALETTE.length
+
+// Offered in the compare menu - anything else can be typed in
+export const SUGGESTED_SYMBOLS = ['BTCUSDT', 'SOLUSDT', 'BNBUSDT', 'XRPUSDT', 'DOGEUSDT']
+
+/**
+ * "btc/usdt" or " BTC-USDT " -> "BTCUSDT", or null if nothing's left
+ */
+export function normalizeSymbol(text) {
+  const symbol = String(text).toUpperCase().replace(/[^A-Z0-9]/g, '')
+  return symbol || null
+}
+
+/**
+ * Next comparison for `symbol`, with the first palette color not in use
+ */
+export function createComparison(symbol, comparisons) {
+  const used = new Set(comparisons.map(comparison => comparison.color))
+  const color = COMPARE_PALETTE.find(c => !used.has(c)) || COMPARE_PALETTE[comparisons.length % COMPARE_PALETTE.length]
+  return { symbol, color }
+}
+
+/**
+ * Percent change of `candles` since the first one at a time in `times`
+ * (the chart's candle times), as line points - [] without any overlap
+ */
+export function percentChange(candles, times) {
+  const aligned = candles.filter(candle => times.has(candle.time))
+  if (!aligned.length) return []
+
+  const base = aligned[0].close
+  return aligned.map(candle => ({ time: candle.time, value: (candle.close / base - 1) * 100 }))
+}
@@ -0,0 +1,66 @@
+/**
+ * Volume-weighted composite price across exchanges
+ *
+ * Each venue contributes its last price weighted by its 24h base volume,
+ * so a thin venue can't move the index much on its own. Before weighting,
+ * venues are dropped when:
+ * - stale:   no ticker for STALE_AFTER (feed down or market halted)
+ * - outlier: more than OUTLIER_PERCENT away from the median of the fresh venues
+ *
+ * The median is the reference because one bad print can't drag it, unlike
+ * a mean. With fewer than three fresh venues there's no majority to call
+ * one of them an outlier, so nothing is dropped on that rule.
+ */
+
+export const STALE_AFTER = 30 * 1000
+export const OUTLIER_PERCENT = 1
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * venues: [{ id, name, price, volume24h, updatedAt }, ...]
+ *
+ * Returns { price, venues } where price is null when no venue qualifies
+ * and each venue gains:
+ * - excluded:  null, 'stale' or 'outlier' (or 'waiting' before its first tick)
+ * - deviation: % from the index (or from the median if there's no index)
+ * - weight:    share of the index, 0-1
+ */
+export function computeIndex(venues, now = Date.now()) {
+  const fresh = venues.filter(v => v.price && now - v.updatedAt <= STALE_AFTER)
+  const reference = fresh.length ? median(fresh.map(v => v.price)) : null
+
+  const classify = (venue) => {
+    if (!venue.price) return 'waiting'
+    if (now - venue.updatedAt > STALE_AFTER) return 'stale'
+    if (fresh.length >= 3 && Math.abs(venue.price - reference) / reference * 100 > OUTLIER_PERCENT) {
+      return 'outlier'
+    }
+    return null
+  }
+
+  const classified = venues.map(venue => ({ ...venue, excluded: classify(venue) }))
+  const included = classified.filter(v => !v.excluded)
+
+  // Equal weights until some venue has reported its volume
+  const totalVolume = included.reduce((sum, v) => sum + (v.volume24h || 0), 0)
+  const weightOf = (v) => (totalVolume > 0 ? (v.volume24h || 0) / totalVolume : 1 / included.length)
+
+  const price = included.length
+    ? included.reduce((sum, v) => sum + v.price * weightOf(v), 0)
+    : null
+
+  const base = price ?? reference
+  return {
+    price,
+    venues: classified.map(venue => ({
+      ...venue,
+      weight: venue.excluded ? 0 : weightOf(venue),
+      deviation: venue.price && base ? ((venue.price - base) / base) * 100 : null,
+    })),
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Chart drawings: tools, anchor math and storage format
+ *
+ * A drawing is a plain object so it can live in localStorage as-is:
+ * { id, type, points: [{ time, price }], text? }
+ * `time` is a unix time in seconds, `price` is in the pair's own quote
+ * (like the candles - never the display currency).
+ *
+ * Why anchor to time instead of bar index?
+ * - A bar index means a different moment on every timeframe; a time
+ *   lands in the same place on all of them, so a level marked on the
+ *   daily chart sits right on the hourly one too
+ * - Loading older history shifts every index but no time
+ *
+ * Times are placed between the loaded bars by linear interpolation and
+ * extrapolated past either end with the nearest bar spacing, so points
+ * off the loaded history (or in the future) still have a position.
+ */
+
+// Points each tool is placed with
+export const DRAWING_TOOLS = {
+  hline: { points: 1 },
+  trendline: { points: 2 },
+  ray: { points: 2 },
+  rectangle: { points: 2 },
+  fib: { points: 2 },
+  text: { points: 1 },
+}
+
+export const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1]
+
+let nextId = 0
+
+export function createDrawing(type, points, text) {
+  return {
+    id: `drawing-${Date.now().toString(36)}-${nextId++}`,
+    type,
+    points,
+    ...(type === 'text' ? { text } : {}),
+  }
+}
+
+/**
+ * Whether a stored value is a drawing we can render
+ */
+export function isValidDrawing(drawing) {
+  const tool = DRAWING_TOOLS[drawing?.type]
+  return Boolean(tool) &&
+    typeof drawing.id === 'string' &&
+    Array.isArray(drawing.points) &&
+    drawing.points.length === tool.points &&
+    drawing.points.every(point => Number.isFinite(point?.time) && Number.isFinite(point?.price)) &&
+    (drawing.type !== 'text' || typeof drawing.text === 'string')
+}
+
+/**
+ * Fractional bar index of `time` on ascending bar `times`
+ * Returns null without bars
+ */
+export function timeToLogical(times, time) {
+  const n = times.length
+  if (n === 0) return null
+  if (n === 1) return 0
+
+  if (time <= times[0]) {
+    return (time - times[0]) / (times[1] - times[0])
+  }
+  if (time >= times[n - 1]) {
+    return n - 1 + (time - times[n - 1]) / (times[n - 1] - times[n - 2])
+  }
+
+  // Last bar at or before `time`
+  let lo = 0
+  let hi = n - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (times[mid] <= time) lo = mid
+    else hi = mid
+  }
+  return lo + (time - times[lo]) / (times[hi] - times[lo])
+}
+
+/**
+ * Time at a (fractional) bar index - the inverse of timeToLogical
+ */
+export function logicalToTime(times, logical) {
+  const n = times.length
+  if (n === 0) return null
+  if (n === 1) return times[0]
+
+  const i = Math.min(Math.max(Math.floor(logical), 0), n - 2)
+  return Math.round(times[i] + (logical - i) * (times[i + 1] - times[i]))
+}
+
+/**
+ * Retracement levels between a fib's two points: 1 at the first point
+ * (where the move started), 0 at the second (where it ended)
+ */
+export function fibLevels([start, end]) {
+  return FIB_LEVELS.map(level => ({
+    level,
+    price: end.price + (start.price - end.price) * level,
+  }))
+}
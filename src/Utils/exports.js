@@ -0,0 +1,175 @@
+import { INDICATORS, computeIndicator, indicatorLabel } from './indicators'
+import { CHART_COLORS } from './chartTheme'
+
+/**
+ * Data exports: candles, order book snapshots and chart screenshots
+ *
+ * Why build the files here instead of in the components?
+ * - Candle and order book tables are plain data in, text out, the same
+ *   way lotsToCsv works for the portfolio
+ * - The chart header and the export menu only decide what to export;
+ *   the formats stay in one place
+ *
+ * Prices are always in the pair's own quote - exports are for analysis,
+ * so they carry the exchange's numbers, not the display currency.
+ */
+
+const CANDLE_COLUMNS = ['time', 'date', 'open', 'high', 'low', 'close', 'volume']
+
+// Band above the chart screenshot holding the title and timestamp, in CSS px
+const WATERMARK_HEIGHT = 28
+
+/**
+ * Candles as a table, one row per candle, with a column per indicator
+ * output (e.g. "SMA 20", or "BB 20 2 upper" for multi-line ones).
+ * Indicator cells are null during warmup.
+ * Returns { columns, rows }
+ */
+export function candleTable(candles, indicators = []) {
+  const extra = indicators.flatMap(indicator => {
+    const label = indicatorLabel(indicator)
+    const outputs = INDICATORS[indicator.type].outputs
+    const values = computeIndicator(indicator, candles)
+
+    return outputs.map(({ key }) => ({
+      name: outputs.length > 1 ? `${label} ${key}` : label,
+      byTime: new Map(values[key].map(point => [point.time, point.value])),
+    }))
+  })
+
+  const rows = candles.map(candle => [
+    candle.time,
+    new Date(candle.time * 1000).toISOString(),
+    candle.open,
+    candle.high,
+    candle.low,
+    candle.close,
+    candle.volume,
+    ...extra.map(column => column.byTime.get(candle.time) ?? null),
+  ])
+
+  return { columns: [...CANDLE_COLUMNS, ...extra.map(column => column.name)], rows }
+}
+
+export function candlesToCsv(candles, indicators) {
+  const { columns, rows } = candleTable(candles, indicators)
+  return toCsv(columns, rows)
+}
+
+/**
+ * Candles as JSON, with what they are (pair, exchange, timeframe) up top
+ */
+export function candlesToJson(meta, candles, indicators) {
+  const { columns, rows } = candleTable(candles, indicators)
+  const records = rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])))
+  return JSON.stringify({ ...meta, exportedAt: new Date().toISOString(), candles: records }, null, 2)
+}
+
+/**
+ * Order book levels from useOrderBook, best prices first on each side.
+ * `total` is the level's quote value, `cumulative` the base quantity up
+ * to and including it.
+ */
+export function orderBookToCsv(bids, asks) {
+  const level = side => ({ price, quantity, total, cumulative }) => [side, price, quantity, total, cumulative]
+  return toCsv(
+    ['side', 'price', 'quantity', 'total', 'cumulative'],
+    [...asks.map(level('ask')), ...bids.map(level('bid'))]
+  )
+}
+
+function toCsv(columns, rows) {
+  const cell = value => {
+    if (value === null || value === undefined) return ''
+    const text = String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  return [columns, ...rows].map(row => row.map(cell).join(',')).join('\n') + '\n'
+}
+
+/**
+ * e.g. "ethticker-ETHUSDT-1D-2024-05-01T12-30-00.csv"
+ */
+export function exportFileName(name, extension) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-')
+  return `ethticker-${name}-${stamp}.${extension}`
+}
+
+/**
+ * Save a blob as a file download
+ * The object URL is revoked a tick later - some browsers start reading
+ * it only after click() has returned.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Chart screenshot for reports: `screenshot` (from chart.takeScreenshot())
+ * below a band with `title` on the left and `timestamp` on the right.
+ * `overlay` is the drawings' <svg>, painted over the price pane so the
+ * image shows what's on screen; `cssWidth` is the chart's width in CSS
+ * pixels, to scale everything to the screenshot's device pixels.
+ * Resolves with a PNG blob.
+ */
+export async function chartSnapshot({ screenshot, overlay, cssWidth, title, timestamp }) {
+  const scale = screenshot.width / cssWidth
+  const band = Math.round(WATERMARK_HEIGHT * scale)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = screenshot.width
+  canvas.height = screenshot.height + band
+  const context = canvas.getContext('2d')
+
+  context.fillStyle = CHART_COLORS.background
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(screenshot, 0, band)
+
+  if (overlay) {
+    const image = await svgToImage(overlay)
+    context.drawImage(image, 0, band, overlay.width.baseVal.value * scale, overlay.height.baseVal.value * scale)
+  }
+
+  context.font = `${12 * scale}px -apple-system, BlinkMacSystemFont, sans-serif`
+  context.textBaseline = 'middle'
+  context.fillStyle = '#e0e0e0'
+  context.textAlign = 'left'
+  context.fillText(title, 10 * scale, band / 2)
+  context.fillStyle = CHART_COLORS.text
+  context.textAlign = 'right'
+  context.fillText(timestamp, canvas.width - 10 * scale, band / 2)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob)
+      else reject(new Error('Could not encode the chart image'))
+    }, 'image/png')
+  })
+}
+
+// The serialized SVG renders on its own, without the page's CSS - carry
+// the font over so note and label text looks the same
+function svgToImage(svg) {
+  const copy = svg.cloneNode(true)
+  copy.setAttribute('font-family', getComputedStyle(svg).fontFamily)
+  const markup = new XMLSerializer().serializeToString(copy)
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }))
+
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not render the drawings'))
+    }
+    image.src = url
+  })
+}
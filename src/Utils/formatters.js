@@ -1,3 +1,51 @@
+import { getIntlLocale } from './i18n'
+
+/**
+ * Display currencies: sign shown before amounts, decimals for prices
+ * (yen has no minor unit in everyday use)
+ */
+export const CURRENCIES = {
+  USD: { sign: '$', decimals: 2, name: 'US Dollar' },
+  EUR: { sign: '€', decimals: 2, name: 'Euro' },
+  GBP: { sign: '£', decimals: 2, name: 'British Pound' },
+  JPY: { sign: '¥', decimals: 0, name: 'Japanese Yen' },
+  AUD: { sign: 'A$', decimals: 2, name: 'Australian Dollar' },
+  CAD: { sign: 'C$', decimals: 2, name: 'Canadian Dollar' },
+  CHF: { sign: 'CHF ', decimals: 2, name: 'Swiss Franc' },
+  TRY: { sign: '₺', decimals: 2, name: 'Turkish Lira' },
+  BRL: { sign: 'R$', decimals: 2, name: 'Brazilian Real' },
+}
+
+// Intl.NumberFormat is slow to construct and formatters run on every tick,
+// so keep one per locale + options
+const numberFormats = new Map()
+
+function numberFormat(options) {
+  const key = `${getIntlLocale()}|${JSON.stringify(options)}`
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(getIntlLocale(), options))
+  }
+  return numberFormats.get(key)
+}
+
+// Compact notation (1.20K, 1,20 Mio., 12.00万) with two decimals
+const compact = num => numberFormat({
+  notation: 'compact',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+}).format(num)
+
+/**
+ * Format a plain number with fixed decimals in the UI language's
+ * separators (1,234.5 / 1.234,5)
+ */
+export function formatNumber(value, decimals = 2) {
+  return numberFormat({
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(value)
+}
+
 /**
  * Format price with appropriate decimal places
  * ETH typically shows 2 decimals for prices > $100
@@ -8,10 +56,7 @@ export function formatPrice(price, decimals = 2) {
   const num = parseFloat(price)
   if (isNaN(num)) return '—'
   
-  return num.toLocaleString('en-US', {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  })
+  return formatNumber(num, decimals)
 }
 
 /**
@@ -24,28 +69,23 @@ export function formatPercent(percent) {
   if (isNaN(num)) return '—'
   
   const sign = num >= 0 ? '+' : ''
-  return `${sign}${num.toFixed(2)}%`
+  return `${sign}${formatNumber(num, 2)}%`
 }
 
 /**
- * Format large volumes (e.g., 1.2B, 450M)
+ * Format large volumes (e.g., 1.2B, 450M - the suffixes follow the locale)
+ * `prefix` is the quote currency sign - '$' for USD-like pairs, '₿' for ETH/BTC
  */
-export function formatVolume(volume) {
+export function formatVolume(volume, prefix = '$') {
   if (volume === null || volume === undefined) return '—'
   
   const num = parseFloat(volume)
   if (isNaN(num)) return '—'
   
-  if (num >= 1e12) {
-    return `$${(num / 1e12).toFixed(2)}T`
-  } else if (num >= 1e9) {
-    return `$${(num / 1e9).toFixed(2)}B`
-  } else if (num >= 1e6) {
-    return `$${(num / 1e6).toFixed(2)}M`
-  } else if (num >= 1e3) {
-    return `$${(num / 1e3).toFixed(2)}K`
+  if (num >= 1e3) {
+    return `${prefix}${compact(num)}`
   }
-  return `$${num.toFixed(2)}`
+  return `${prefix}${formatNumber(num, 2)}`
 }
 
 /**
@@ -57,12 +97,10 @@ export function formatQuantity(qty, decimals = 4) {
   const num = parseFloat(qty)
   if (isNaN(num)) return '—'
   
-  if (num >= 1e6) {
-    return `${(num / 1e6).toFixed(2)}M`
-  } else if (num >= 1e3) {
-    return `${(num / 1e3).toFixed(2)}K`
+  if (num >= 1e3) {
+    return compact(num)
   }
-  return num.toFixed(decimals)
+  return formatNumber(num, decimals)
 }
 
 /**
@@ -70,10 +108,22 @@ export function formatQuantity(qty, decimals = 4) {
  */
 export function formatTime(timestamp) {
   const date = new Date(timestamp)
-  return date.toLocaleTimeString('en-US', {
+  return date.toLocaleTimeString(getIntlLocale(), {
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
     hour12: false,
   })
 }
+
+/**
+ * Format a gain/loss with its sign before the currency, e.g. +$1,234.50 / -$80.00
+ */
+export function formatSignedPrice(value, prefix = '$', decimals = 2) {
+  if (value === null || value === undefined) return '—'
+
+  const num = parseFloat(value)
+  if (isNaN(num)) return '—'
+
+  return `${num >= 0 ? '+' : '-'}${prefix}${formatPrice(Math.abs(num), decimals)}`
+}
@@ -0,0 +1,96 @@
+import { CURRENCIES } from './formatters'
+import { getPair } from './pairs'
+
+/**
+ * Display currency conversion
+ *
+ * Rates are units of a currency per US dollar, derived from Binance
+ * markets (see RATE_MARKETS). USDT, USDC and FDUSD count as dollars -
+ * their peg drift is far below what a display conversion cares about.
+ *
+ * Why convert at display time only?
+ * - Every hook, indicator, alert and order book step keeps working in
+ *   the pair's own quote currency, exactly as the exchange sends it
+ * - Switching currency is instant and can't corrupt any state
+ *
+ * Pairs quoted in a crypto asset (ETH/BTC) aren't converted - a BTC
+ * price shown in euros would be a different market, not a display choice.
+ */
+
+// Quote assets that are (or are pegged to) a fiat currency
+const QUOTE_CURRENCIES = {
+  USD: 'USD',
+  USDT: 'USD',
+  USDC: 'USD',
+  FDUSD: 'USD',
+  EUR: 'EUR',
+  TRY: 'TRY',
+  BRL: 'BRL',
+}
+
+// Binance markets a currency's rate can be read from, best first:
+// the fiat against USDT directly (EURUSDT, USDTTRY), else a crypto asset
+// priced in both (ETHGBP / ETHUSDT). Markets Binance doesn't list are skipped.
+export const RATE_MARKETS = {
+  EUR: ['EURUSDT', 'ETHEUR', 'BTCEUR'],
+  GBP: ['GBPUSDT', 'ETHGBP', 'BTCGBP'],
+  JPY: ['USDTJPY', 'ETHJPY', 'BTCJPY'],
+  AUD: ['AUDUSDT', 'ETHAUD', 'BTCAUD'],
+  CAD: ['USDTCAD', 'BTCCAD'],
+  CHF: ['USDTCHF', 'BTCCHF'],
+  TRY: ['USDTTRY', 'ETHTRY'],
+  BRL: ['USDTBRL', 'ETHBRL'],
+}
+
+function rateFrom(market, currency, prices) {
+  const price = prices[market]
+  if (!(price > 0)) return null
+
+  if (market === `${currency}USDT`) return 1 / price
+  if (market === `USDT${currency}`) return price
+
+  const asset = market.slice(0, -currency.length)
+  const usdtPrice = prices[`${asset}USDT`]
+  return usdtPrice > 0 ? price / usdtPrice : null
+}
+
+/**
+ * Rates from a market -> last price map: { USD: 1, EUR: 0.92, ... }
+ * Currencies none of whose markets are listed are left out.
+ */
+export function deriveRates(prices) {
+  const rates = { USD: 1 }
+  Object.entries(RATE_MARKETS).forEach(([currency, markets]) => {
+    for (const market of markets) {
+      const rate = rateFrom(market, currency, prices)
+      if (rate) {
+        rates[currency] = rate
+        break
+      }
+    }
+  })
+  return rates
+}
+
+/**
+ * How to show a pair's quote-currency values: { currency, sign, decimals, rate }
+ * Multiply a value by `rate`, then format it with `sign` and `decimals`.
+ * Falls back to the pair's own currency (rate 1) when there's nothing to
+ * convert or no rate for it yet.
+ */
+export function getDisplay(symbol, currency, rates) {
+  const { quote, sign, decimals } = getPair(symbol)
+  const from = QUOTE_CURRENCIES[quote]
+  const native = { currency: quote, sign, decimals, rate: 1 }
+
+  if (!currency || !from || from === currency || !rates?.[from] || !rates?.[currency]) {
+    return native
+  }
+
+  return {
+    currency,
+    sign: CURRENCIES[currency].sign,
+    decimals: CURRENCIES[currency].decimals,
+    rate: rates[currency] / rates[from],
+  }
+}
@@ -0,0 +1,77 @@
+import { MESSAGES } from './messages'
+
+/**
+ * UI language and number/date locale
+ *
+ * Why a module-level language instead of passing it down?
+ * - Formatters are plain functions called all over the tree; reading the
+ *   locale here keeps their signatures (and every call site) unchanged
+ * - App re-renders on a switch (useLanguage), which re-renders every
+ *   panel with the new strings and number formats
+ *
+ * t('key', { name }) looks the key up in the current language, falling
+ * back to English, then to the key itself; {name} placeholders are filled
+ * from the params. Messages live in utils/messages.js.
+ *
+ * The first visit picks the browser's language if we have it.
+ */
+
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US' },
+  de: { name: 'Deutsch', locale: 'de-DE' },
+  es: { name: 'Español', locale: 'es-ES' },
+  ja: { name: '日本語', locale: 'ja-JP' },
+}
+
+const STORAGE_KEY = 'ethticker:language'
+
+const listeners = new Set()
+
+function detectLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    if (LANGUAGES[saved]) return saved
+  } catch {
+    // Storage unavailable - fall through to the browser's language
+  }
+  const browser = (typeof navigator !== 'undefined' && navigator.language || '').slice(0, 2)
+  return LANGUAGES[browser] ? browser : 'en'
+}
+
+let language = detectLanguage()
+
+export function getLanguage() {
+  return language
+}
+
+/**
+ * BCP 47 locale for Intl / toLocaleString, e.g. 'de-DE'
+ */
+export function getIntlLocale() {
+  return LANGUAGES[language].locale
+}
+
+export function setLanguage(next) {
+  if (!LANGUAGES[next] || next === language) return
+  language = next
+  try {
+    localStorage.setItem(STORAGE_KEY, next)
+  } catch {
+    // Storage unavailable - the choice just won't persist
+  }
+  listeners.forEach(listener => listener(next))
+}
+
+/**
+ * Call `listener(language)` on every switch; returns an unsubscribe function
+ */
+export function onLanguageChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function t(key, params) {
+  const message = MESSAGES[language][key] ?? MESSAGES.en[key] ?? key
+  if (!params) return message
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+}
@@ -0,0 +1,328 @@
+/**
+ * Technical indicator engine
+ *
+ * Pure functions over our chart candles ({ time, open, high, low, close, volume }).
+ * Nothing here knows about React or Lightweight Charts - Chart.jsx takes the
+ * `{ time, value }` points from `computeIndicator()` and draws them.
+ *
+ * Conventions:
+ * - Series math works on plain number arrays aligned with the candles,
+ *   using `null` where there isn't enough history yet (warmup period)
+ * - Everything is recomputed from scratch on each candle update. With a few
+ *   thousand candles that's well under a millisecond and avoids keeping
+ *   incremental state in sync with history paging and live ticks.
+ */
+
+// === SERIES MATH ===
+
+/**
+ * Simple moving average. A null inside the window restarts the average,
+ * so leading nulls (e.g. a MACD line still warming up) are skipped.
+ */
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null)
+  let sum = 0
+  let count = 0
+
+  values.forEach((value, i) => {
+    if (value === null) {
+      sum = 0
+      count = 0
+      return
+    }
+
+    sum += value
+    count++
+    if (count > period) {
+      sum -= values[i - period]
+      count = period
+    }
+    if (count === period) {
+      result[i] = sum / period
+    }
+  })
+
+  return result
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ */
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null)
+  const k = 2 / (period + 1)
+  let prev = null
+  let seedSum = 0
+  let seedCount = 0
+
+  values.forEach((value, i) => {
+    if (value === null) return
+
+    if (prev === null) {
+      seedSum += value
+      seedCount++
+      if (seedCount === period) {
+        prev = seedSum / period
+        result[i] = prev
+      }
+      return
+    }
+
+    prev = value * k + prev * (1 - k)
+    result[i] = prev
+  })
+
+  return result
+}
+
+/**
+ * Rolling (population) standard deviation
+ */
+export function stdDev(values, period) {
+  const means = sma(values, period)
+
+  return values.map((_, i) => {
+    if (means[i] === null) return null
+
+    let variance = 0
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += Math.pow(values[j] - means[i], 2)
+    }
+    return Math.sqrt(variance / period)
+  })
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing (0-100)
+ */
+export function rsi(values, period) {
+  const result = new Array(values.length).fill(null)
+  let avgGain = 0
+  let avgLoss = 0
+
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1]
+    const gain = Math.max(change, 0)
+    const loss = Math.max(-change, 0)
+
+    if (i <= period) {
+      // First average is a plain mean of the first `period` changes
+      avgGain += gain / period
+      avgLoss += loss / period
+      if (i < period) continue
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period
+      avgLoss = (avgLoss * (period - 1) + loss) / period
+    }
+
+    result[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss)
+  }
+
+  return result
+}
+
+/**
+ * MACD line, signal line and histogram
+ */
+export function macd(values, fast, slow, signal) {
+  const fastEma = ema(values, fast)
+  const slowEma = ema(values, slow)
+  const line = values.map((_, i) =>
+    fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]
+  )
+  const signalLine = ema(line, signal)
+  const histogram = line.map((value, i) =>
+    value === null || signalLine[i] === null ? null : value - signalLine[i]
+  )
+
+  return { line, signal: signalLine, histogram }
+}
+
+/**
+ * Stochastic oscillator (slow %K and %D, 0-100)
+ */
+export function stochastic(candles, kPeriod, smooth, dPeriod) {
+  const raw = candles.map((candle, i) => {
+    if (i < kPeriod - 1) return null
+
+    let highest = -Infinity
+    let lowest = Infinity
+    for (let j = i - kPeriod + 1; j <= i; j++) {
+      highest = Math.max(highest, candles[j].high)
+      lowest = Math.min(lowest, candles[j].low)
+    }
+    return highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100
+  })
+
+  const k = sma(raw, smooth)
+  return { k, d: sma(k, dPeriod) }
+}
+
+/**
+ * Volume-weighted average price, anchored to each UTC day
+ * (the usual "session" VWAP - resets at 00:00 UTC)
+ */
+export function vwap(candles) {
+  let day = null
+  let cumulativePV = 0
+  let cumulativeVolume = 0
+
+  return candles.map(candle => {
+    const candleDay = Math.floor(candle.time / 86400)
+    if (candleDay !== day) {
+      day = candleDay
+      cumulativePV = 0
+      cumulativeVolume = 0
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3
+    cumulativePV += typical * candle.volume
+    cumulativeVolume += candle.volume
+
+    return cumulativeVolume > 0 ? cumulativePV / cumulativeVolume : typical
+  })
+}
+
+// === INDICATOR DEFINITIONS ===
+
+/**
+ * Colors handed out to overlay instances as they're added,
+ * so two SMAs with different periods are distinguishable
+ */
+export const INDICATOR_PALETTE = ['#f5a623', '#29b6f6', '#e040fb', '#ffee58', '#26a69a', '#ff7043']
+
+/**
+ * Available indicators
+ *
+ * - pane: false draws on the price chart, true gets its own pane below volume
+ * - params: editable inputs in the Indicators menu
+ * - outputs: one chart series each. `color: null` uses the instance color,
+ *   `style: 'histogram'` draws bars instead of a line
+ * - levels: horizontal guide lines for oscillators
+ * - compute(candles, params, closes): { [outputKey]: number|null[] }
+ */
+export const INDICATORS = {
+  sma: {
+    label: 'SMA',
+    name: 'Simple Moving Average',
+    pane: false,
+    params: [{ key: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+    outputs: [{ key: 'value', color: null }],
+    compute: (candles, { period }, closes) => ({ value: sma(closes, period) }),
+  },
+  ema: {
+    label: 'EMA',
+    name: 'Exponential Moving Average',
+    pane: false,
+    params: [{ key: 'period', label: 'Period', default: 50, min: 1, max: 500 }],
+    outputs: [{ key: 'value', color: null }],
+    compute: (candles, { period }, closes) => ({ value: ema(closes, period) }),
+  },
+  vwap: {
+    label: 'VWAP',
+    name: 'Volume Weighted Average Price',
+    pane: false,
+    params: [],
+    outputs: [{ key: 'value', color: null }],
+    compute: (candles) => ({ value: vwap(candles) }),
+  },
+  bollinger: {
+    label: 'BB',
+    name: 'Bollinger Bands',
+    pane: false,
+    params: [
+      { key: 'period', label: 'Period', default: 20, min: 2, max: 500 },
+      { key: 'multiplier', label: 'Std Dev', default: 2, min: 0.1, max: 10, step: 0.1 },
+    ],
+    outputs: [
+      { key: 'upper', color: null },
+      { key: 'middle', color: '#6b6b6b' },
+      { key: 'lower', color: null },
+    ],
+    compute: (candles, { period, multiplier }, closes) => {
+      const middle = sma(closes, period)
+      const deviation = stdDev(closes, period)
+      return {
+        upper: middle.map((m, i) => (m === null ? null : m + multiplier * deviation[i])),
+        middle,
+        lower: middle.map((m, i) => (m === null ? null : m - multiplier * deviation[i])),
+      }
+    },
+  },
+  rsi: {
+    label: 'RSI',
+    name: 'Relative Strength Index',
+    pane: true,
+    params: [{ key: 'period', label: 'Period', default: 14, min: 2, max: 200 }],
+    outputs: [{ key: 'value', color: null }],
+    levels: [30, 70],
+    compute: (candles, { period }, closes) => ({ value: rsi(closes, period) }),
+  },
+  macd: {
+    label: 'MACD',
+    name: 'Moving Average Convergence Divergence',
+    pane: true,
+    params: [
+      { key: 'fast', label: 'Fast', default: 12, min: 1, max: 200 },
+      { key: 'slow', label: 'Slow', default: 26, min: 1, max: 200 },
+      { key: 'signal', label: 'Signal', default: 9, min: 1, max: 200 },
+    ],
+    outputs: [
+      { key: 'histogram', color: null, style: 'histogram' },
+      { key: 'line', color: '#29b6f6' },
+      { key: 'signal', color: '#ff7043' },
+    ],
+    levels: [0],
+    compute: (candles, { fast, slow, signal }, closes) => macd(closes, fast, slow, signal),
+  },
+  stochastic: {
+    label: 'Stoch',
+    name: 'Stochastic Oscillator',
+    pane: true,
+    params: [
+      { key: 'kPeriod', label: '%K', default: 14, min: 1, max: 200 },
+      { key: 'smooth', label: 'Smooth', default: 3, min: 1, max: 50 },
+      { key: 'dPeriod', label: '%D', default: 3, min: 1, max: 50 },
+    ],
+    outputs: [
+      { key: 'k', color: '#29b6f6' },
+      { key: 'd', color: '#ff7043' },
+    ],
+    levels: [20, 80],
+    compute: (candles, { kPeriod, smooth, dPeriod }) => stochastic(candles, kPeriod, smooth, dPeriod),
+  },
+}
+
+/**
+ * Default parameter values for a new indicator instance
+ */
+export function defaultParams(type) {
+  return Object.fromEntries(INDICATORS[type].params.map(p => [p.key, p.default]))
+}
+
+/**
+ * Short legend label, e.g. "SMA 20" or "MACD 12 26 9"
+ */
+export function indicatorLabel({ type, params }) {
+  const definition = INDICATORS[type]
+  return [definition.label, ...definition.params.map(p => params[p.key])].join(' ')
+}
+
+/**
+ * Compute an indicator instance into chart-ready points per output:
+ *   { value: [{ time, value }, ...] }
+ * Warmup nulls are dropped - Lightweight Charts starts the line where data begins.
+ */
+export function computeIndicator({ type, params }, candles) {
+  const closes = candles.map(c => c.close)
+  const raw = INDICATORS[type].compute(candles, params, closes)
+
+  return Object.fromEntries(
+    Object.entries(raw).map(([key, values]) => [
+      key,
+      values
+        .map((value, i) => (value === null || !isFinite(value) ? null : { time: candles[i].time, value }))
+        .filter(Boolean),
+    ])
+  )
+}
@@ -0,0 +1,179 @@
+/**
+ * Dashboard layouts - which panels are shown and where
+ *
+ * Why a grid of whole cells?
+ * - Panels snap to GRID_COLUMNS columns and ROW_HEIGHT px rows, so moving
+ *   or resizing one never leaves half-overlapping panels or odd gaps
+ * - A layout is plain data: [{ id, x, y, w, h }] in cells, with `id` a
+ *   PANELS key - easy to save, export and validate
+ *
+ * Placement rules (like most dashboard grids):
+ * - A moved/resized panel keeps its spot; panels it lands on are pushed
+ *   down, or moved up into its old spot when it's dragged down past them
+ * - Everything then floats up as far as it can, so there are no holes
+ *
+ * To add a panel type, add it to PANELS and render it in App's renderPanel.
+ */
+
+export const GRID_COLUMNS = 12
+export const ROW_HEIGHT = 32   // px
+export const GRID_GAP = 16     // px, matches gap-4
+
+// Panel types: default and minimum size in cells (titles are the
+// 'panel.<id>' messages, see utils/messages.js)
+export const PANELS = {
+  chart: { w: 9, h: 11, minW: 4, minH: 8 },
+  orderbook: { w: 3, h: 8, minW: 2, minH: 6 },
+  trades: { w: 3, h: 8, minW: 2, minH: 6 },
+  news: { w: 9, h: 9, minW: 3, minH: 4 },
+  newsTicker: { w: 12, h: 2, minW: 3, minH: 2 },
+  alerts: { w: 3, h: 9, minW: 2, minH: 6 },
+  portfolio: { w: 12, h: 9, minW: 4, minH: 6 },
+}
+
+export const DEFAULT_LAYOUT_NAME = 'Default'
+
+// The original fixed dashboard, with the portfolio below
+export const DEFAULT_PANELS = [
+  { id: 'chart', x: 0, y: 0, w: 9, h: 16 },
+  { id: 'orderbook', x: 9, y: 0, w: 3, h: 8 },
+  { id: 'trades', x: 9, y: 8, w: 3, h: 8 },
+  { id: 'news', x: 0, y: 16, w: 9, h: 9 },
+  { id: 'alerts', x: 9, y: 16, w: 3, h: 9 },
+  { id: 'portfolio', x: 0, y: 25, w: 12, h: 9 },
+]
+
+const EXPORT_VERSION = 1
+
+function collides(a, b) {
+  return a.id !== b.id &&
+    a.x < b.x + b.w && b.x < a.x + a.w &&
+    a.y < b.y + b.h && b.y < a.y + a.h
+}
+
+/**
+ * Float every panel up as far as it goes, top to bottom
+ * `pinned` (an id) wins ties, so the panel being dragged keeps its row
+ */
+function compact(panels, pinned) {
+  const sorted = [...panels].sort((a, b) =>
+    a.y - b.y || (b.id === pinned) - (a.id === pinned) || a.x - b.x
+  )
+  const placed = []
+
+  sorted.forEach(panel => {
+    const item = { ...panel }
+    while (item.y > 0 && !placed.some(other => collides(other, { ...item, y: item.y - 1 }))) {
+      item.y--
+    }
+    while (placed.some(other => collides(other, item))) {
+      item.y++
+    }
+    placed.push(item)
+  })
+  return placed
+}
+
+/**
+ * Clamp a panel's position and size to the grid and its type's minimum
+ */
+function clampPanel({ id, x, y, w, h }) {
+  const { minW, minH } = PANELS[id]
+  const width = Math.min(GRID_COLUMNS, Math.max(minW, Math.round(w)))
+  return {
+    id,
+    x: Math.min(GRID_COLUMNS - width, Math.max(0, Math.round(x))),
+    y: Math.max(0, Math.round(y)),
+    w: width,
+    h: Math.max(minH, Math.round(h)),
+  }
+}
+
+/**
+ * Layout with panel `id` moved/resized to `changes` ({ x, y } and/or { w, h })
+ */
+export function placePanel(panels, id, changes) {
+  const target = panels.find(panel => panel.id === id)
+  if (!target) return panels
+
+  const moved = clampPanel({ ...target, ...changes })
+  const rest = panels
+    .filter(panel => panel.id !== id)
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+
+  // Push whatever the panel lands on out of the way, then close the gaps
+  const placed = [moved]
+  rest.forEach(panel => {
+    const item = { ...panel }
+    if (moved.y > target.y && collides(moved, item)) {
+      item.y = target.y
+    }
+    while (placed.some(other => collides(other, item))) {
+      item.y++
+    }
+    placed.push(item)
+  })
+  return compact(placed, id)
+}
+
+/**
+ * Layout with a panel of type `id` added at the bottom, at its default size
+ */
+export function addPanel(panels, id) {
+  if (!PANELS[id] || panels.some(panel => panel.id === id)) return panels
+  const bottom = Math.max(0, ...panels.map(panel => panel.y + panel.h))
+  const { w, h } = PANELS[id]
+  return compact([...panels, { id, x: 0, y: bottom, w, h }])
+}
+
+export function removePanel(panels, id) {
+  return compact(panels.filter(panel => panel.id !== id))
+}
+
+/**
+ * Usable layout from untrusted data (storage, an imported file): unknown
+ * and duplicate panels dropped, sizes clamped, overlaps resolved.
+ * Returns null if there's nothing usable.
+ */
+export function normalizePanels(panels) {
+  if (!Array.isArray(panels)) return null
+
+  const seen = new Set()
+  const valid = panels
+    .filter(panel =>
+      panel && PANELS[panel.id] && !seen.has(panel.id) &&
+      ['x', 'y', 'w', 'h'].every(key => Number.isFinite(panel[key])) &&
+      seen.add(panel.id)
+    )
+    .map(clampPanel)
+
+  return valid.length ? compact(valid) : null
+}
+
+/**
+ * JSON file contents for a set of named layouts
+ */
+export function serializeLayouts(layouts) {
+  return JSON.stringify({ version: EXPORT_VERSION, layouts }, null, 2)
+}
+
+/**
+ * Named layouts from an exported file's text, throwing on anything unusable
+ */
+export function parseLayouts(text) {
+  const data = JSON.parse(text)
+  if (data?.version !== EXPORT_VERSION || !data.layouts || typeof data.layouts !== 'object') {
+    throw new Error('Not an EthTicker layout file')
+  }
+
+  const layouts = {}
+  Object.entries(data.layouts).forEach(([name, panels]) => {
+    const normalized = normalizePanels(panels)
+    if (name.trim() && normalized) layouts[name.trim()] = normalized
+  })
+
+  if (!Object.keys(layouts).length) {
+    throw new Error('No usable layouts in file')
+  }
+  return layouts
+}
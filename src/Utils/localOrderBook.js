@@ -0,0 +1,101 @@
+/**
+ * Local order book built from an adapter's depth events
+ *
+ * Every exchange adapter reduces its depth feed to the same two events
+ * (see adapters/index.js): a full snapshot, then updates listing changed
+ * levels where a quantity of 0 removes the level. Sequencing and resync
+ * rules are the adapter's job - by the time levels get here they're in order.
+ *
+ * Levels are kept in Maps keyed by the price *string* the exchange sends,
+ * so updates hit the same key without float rounding surprises.
+ */
+
+/**
+ * Build a book from snapshot levels: [["price", "qty"], ...] per side
+ */
+export function createLocalBook(bids, asks) {
+  const book = { bids: new Map(), asks: new Map() }
+  applyLevels(book, bids, asks)
+  return book
+}
+
+/**
+ * Apply changed levels to the book in place
+ */
+export function applyLevels(book, bids, asks) {
+  applySide(book.bids, bids)
+  applySide(book.asks, asks)
+}
+
+function applySide(side, levels) {
+  levels.forEach(([price, qty]) => {
+    const quantity = parseFloat(qty)
+    if (quantity === 0) {
+      side.delete(price)
+    } else {
+      side.set(price, quantity)
+    }
+  })
+}
+
+/**
+ * Best `count` levels of one side as [[price, quantity], ...] numbers
+ * Bids sort high to low, asks low to high - best price first either way.
+ */
+export function bestLevels(side, count, isBid) {
+  return Array.from(side, ([price, quantity]) => [parseFloat(price), quantity])
+    .sort((a, b) => (isBid ? b[0] - a[0] : a[0] - b[0]))
+    .slice(0, count)
+}
+
+/**
+ * Drop the levels furthest from the touch once a side grows past `maxLevels`
+ *
+ * Diff events keep adding far-away levels the snapshot never covered;
+ * Binance notes those can be inaccurate anyway, and depth-limited feeds
+ * (Kraken) expect levels pushed past the limit to be dropped locally.
+ */
+export function trimBook(book, maxLevels) {
+  ;[['bids', true], ['asks', false]].forEach(([key, isBid]) => {
+    if (book[key].size <= maxLevels) return
+    const keep = bestLevels(book[key], maxLevels, isBid)
+    const keepPrices = new Set(keep.map(([price]) => price))
+    for (const price of book[key].keys()) {
+      if (!keepPrices.has(parseFloat(price))) {
+        book[key].delete(price)
+      }
+    }
+  })
+}
+
+/**
+ * Aggregate [[price, quantity], ...] (best first) into price buckets of `step`
+ *
+ * Bids round down and asks round up, the same as exchange UIs - a bucket
+ * never shows a better price than the orders inside it actually offer.
+ * Returns [[bucketPrice, quantity, total], ...] where total is the summed
+ * quote value of the original levels, best bucket first.
+ *
+ * The last bucket is usually only partly covered by the local book, so
+ * it's dropped (when there's more than one) rather than shown understated.
+ */
+export function groupLevels(levels, step, isBid) {
+  const precision = Math.max(0, -Math.floor(Math.log10(step)))
+  const buckets = []
+
+  levels.forEach(([price, quantity]) => {
+    // Small epsilon so 2650.00 / 0.01 doesn't land in the 2649.99 bucket
+    const units = isBid ? Math.floor(price / step + 1e-9) : Math.ceil(price / step - 1e-9)
+    const bucketPrice = parseFloat((units * step).toFixed(precision))
+
+    const last = buckets[buckets.length - 1]
+    if (last && last[0] === bucketPrice) {
+      last[1] += quantity
+      last[2] += price * quantity
+    } else {
+      buckets.push([bucketPrice, quantity, price * quantity])
+    }
+  })
+
+  return buckets.length > 1 ? buckets.slice(0, -1) : buckets
+}
@@ -0,0 +1,830 @@
+/**
+ * UI strings per language, looked up with t() from utils/i18n.js
+ *
+ * Keys are grouped by the panel that shows them. English is the fallback,
+ * so a key missing from another language still renders. Pair symbols,
+ * currency codes and indicator names aren't translated - traders know
+ * them as they are.
+ */
+
+const en = {
+  'status.live': '● Live',
+  'status.stale': '○ Stale',
+  'status.connecting': '○ Connecting...',
+  'status.syncing': '○ Syncing',
+  'time.justNow': 'just now',
+  'common.remove': 'Remove',
+
+  'header.exchange': 'Exchange',
+  'header.currency': 'Display currency (pairs quoted in crypto stay in their quote)',
+  'header.language': 'Language',
+  'header.searchPair': 'Search pair...',
+  'header.noPairs': 'No matching pairs',
+  'header.index': 'Index',
+  'header.indexTitle': 'Volume-weighted price across exchanges',
+  'header.staleTitle': 'No updates from the exchange - price may be out of date',
+  'header.volume': '24h Volume',
+  'header.high': '24h High',
+  'header.low': '24h Low',
+  'header.status': 'Status',
+
+  'index.venues': '{included}/{total} venues',
+  'index.venue': 'Venue',
+  'index.price': 'Price',
+  'index.deviation': 'Dev',
+  'index.age': 'Age',
+  'index.stale': 'stale',
+  'index.outlier': 'outlier',
+  'index.waiting': 'waiting',
+  'index.note': 'Weighted by 24h volume. Venues silent for {seconds}s or more than {percent}% from the median are left out.',
+
+  'panel.chart': 'Chart',
+  'panel.orderbook': 'Order Book',
+  'panel.trades': 'Trades',
+  'panel.news': 'News',
+  'panel.newsTicker': 'News Ticker',
+  'panel.alerts': 'Alerts',
+  'panel.portfolio': 'Portfolio',
+
+  'layout.label': 'Layout',
+  'layout.edit': 'Edit',
+  'layout.done': 'Done',
+  'layout.addPanel': '+ Add panel',
+  'layout.saveAs': 'Save as...',
+  'layout.namePlaceholder': 'Layout name',
+  'layout.save': 'Save',
+  'layout.cancel': 'Cancel',
+  'layout.reset': 'Reset',
+  'layout.delete': 'Delete',
+  'layout.export': 'Export',
+  'layout.import': 'Import',
+  'layout.hidePanel': 'Hide panel',
+  'layout.resize': 'Resize',
+
+  'chart.candle': 'Candles',
+  'chart.bar': 'Bars',
+  'chart.heikin': 'Heikin-Ashi',
+  'chart.line': 'Line',
+  'chart.area': 'Area',
+  'chart.pnlTitle': 'Portfolio P&L curve',
+  'chart.loading': 'Loading chart...',
+  'chart.loadingHistory': 'Loading history...',
+  'chart.error': 'Failed to load chart data',
+
+  'indicators.button': 'Indicators',
+  'indicators.active': 'Active',
+  'indicators.overlays': 'Overlays',
+  'indicators.oscillators': 'Oscillators',
+  'indicators.remove': 'Remove indicator',
+
+  'drawings.hline': 'Horizontal line',
+  'drawings.trendline': 'Trendline',
+  'drawings.ray': 'Ray',
+  'drawings.rectangle': 'Rectangle',
+  'drawings.fib': 'Fibonacci retracement (drag from the start of the move to its end)',
+  'drawings.text': 'Text note',
+  'drawings.textPrompt': 'Note text',
+  'drawings.delete': 'Delete selected drawing (Del)',
+
+  'export.button': 'Export',
+  'export.candlesCsv': 'Candles (CSV)',
+  'export.candlesJson': 'Candles (JSON)',
+  'export.orderBookCsv': 'Order book (CSV)',
+  'export.orderBookUnavailable': 'Order book (show its panel)',
+  'export.image': 'Chart image (PNG)',
+  'export.failed': 'Export failed - please try again',
+
+  'compare.button': 'Compare',
+  'compare.placeholder': 'Binance symbol, e.g. BTCUSDT',
+  'compare.add': 'Add',
+  'compare.hint': 'Shown as % change since the first candle',
+  'compare.full': 'Up to {max} comparisons',
+  'compare.loading': 'loading...',
+  'compare.error': 'unavailable',
+  'compare.remove': 'Remove comparison',
+
+  'orderbook.title': 'Order Book',
+  'orderbook.book': 'Book',
+  'orderbook.depth': 'Depth',
+  'orderbook.grouping': 'Group price levels',
+  'orderbook.price': 'Price ({currency})',
+  'orderbook.amount': 'Amount ({base})',
+  'orderbook.total': 'Total',
+  'orderbook.spread': 'Spread',
+
+  'depth.range': 'Range',
+  'depth.waiting': 'Waiting for order book...',
+  'depth.fromMid': '{distance}% from mid',
+
+  'trades.title': 'Trades',
+  'trades.large': 'Large ≥',
+  'trades.buy': '{percent}% buy',
+  'trades.sell': '{percent}% sell',
+  'trades.time': 'Time',
+  'trades.price': 'Price ({currency})',
+  'trades.size': 'Size ({base})',
+  'trades.waiting': 'Waiting for trades...',
+
+  'news.title': 'Latest News',
+  'news.updated': 'Updated {time}',
+  'news.refresh': 'Refresh news',
+  'news.loading': 'Loading news...',
+  'news.error': 'Unable to load news',
+  'news.retry': 'Try again',
+  'news.compact': 'News',
+
+  'alerts.title': 'Price Alerts',
+  'alerts.alerts': 'Alerts',
+  'alerts.history': 'History',
+  'alerts.mute': 'Mute alert sound',
+  'alerts.unmute': 'Unmute alert sound',
+  'alerts.type.above': 'Crosses above',
+  'alerts.type.below': 'Crosses below',
+  'alerts.type.percent': 'Moves %',
+  'alerts.type.high24h': 'Breaks 24h high',
+  'alerts.type.low24h': 'Breaks 24h low',
+  'alerts.window': 'Window',
+  'alerts.windowOption': 'in {minutes}m',
+  'alerts.once': 'Once',
+  'alerts.repeat': 'Repeat',
+  'alerts.add': 'Add',
+  'alerts.blocked': 'Browser notifications are blocked - alerts will only show here',
+  'alerts.empty': 'No alerts yet - set one for {pair} above',
+  'alerts.noHistory': 'Nothing has fired yet',
+  'alerts.clearHistory': 'Clear history',
+  'alerts.otherPair': 'Checked while this pair is selected',
+  'alerts.pause': 'Pause',
+  'alerts.rearm': 'Re-arm',
+  'alerts.firedAt': 'fired {time}',
+  'alerts.describe.above': '{pair} above {price}',
+  'alerts.describe.below': '{pair} below {price}',
+  'alerts.describe.percent': '{pair} moves ±{percent}% in {minutes}m',
+  'alerts.describe.high24h': '{pair} breaks 24h high',
+  'alerts.describe.low24h': '{pair} breaks 24h low',
+  'alerts.message.above': 'Crossed above {level} — now {price}',
+  'alerts.message.below': 'Crossed below {level} — now {price}',
+  'alerts.message.percent': 'Moved {change}% in {minutes}m — now {price}',
+  'alerts.message.high24h': 'New 24h high — {price}',
+  'alerts.message.low24h': 'New 24h low — {price}',
+
+  'portfolio.title': 'Portfolio',
+  'portfolio.import': 'Import CSV',
+  'portfolio.export': 'Export CSV',
+  'portfolio.position': 'Position',
+  'portfolio.value': 'Value',
+  'portfolio.avgCost': 'Avg cost',
+  'portfolio.unrealized': 'Unrealized P&L',
+  'portfolio.costPlaceholder': 'Cost basis $',
+  'portfolio.add': 'Add lot',
+  'portfolio.importedOne': 'Imported 1 lot',
+  'portfolio.imported': 'Imported {count} lots',
+  'portfolio.date': 'Date',
+  'portfolio.cost': 'Cost',
+  'portfolio.price': 'Price',
+  'portfolio.pnl': 'P&L',
+  'portfolio.empty': 'No lots yet - add a purchase above or import a CSV',
+  'portfolio.remove': 'Remove lot',
+
+  'footer.data': 'Data from {exchange} & CryptoCompare • Not financial advice',
+
+  'feeds.summary': '{live}/{total} feeds live',
+  'feeds.feed': 'Feed',
+  'feeds.state': 'State',
+  'feeds.lastMessage': 'Last msg',
+  'feeds.rate': 'Msg/s',
+  'feeds.latency': 'Latency',
+  'feeds.reconnects': 'Reconn.',
+  'feeds.none': 'No live feeds',
+  'feeds.live': 'live',
+  'feeds.stale': 'stale',
+  'feeds.connecting': 'connecting',
+  'feeds.error': 'error',
+  'feeds.note': "Stale after {ticker}s without a message ({trades}s for trades, {klines}s for candles). Latency is measured against the exchange's clock.",
+
+  'recorder.record': '● Record',
+  'recorder.recording': 'REC',
+  'recorder.messages': '{count} messages',
+  'recorder.stop': 'Stop',
+  'recorder.download': 'Download ({count})',
+  'recorder.replayFile': 'Replay file',
+  'recorder.replay': 'REPLAY',
+  'recorder.max': 'Max',
+  'recorder.exit': 'Exit replay',
+}
+
+const de = {
+  'status.live': '● Live',
+  'status.stale': '○ Veraltet',
+  'status.connecting': '○ Verbinde...',
+  'status.syncing': '○ Synchronisiere',
+  'time.justNow': 'gerade eben',
+  'common.remove': 'Entfernen',
+
+  'header.exchange': 'Börse',
+  'header.currency': 'Anzeigewährung (in Krypto notierte Paare bleiben in ihrer Quote)',
+  'header.language': 'Sprache',
+  'header.searchPair': 'Paar suchen...',
+  'header.noPairs': 'Keine passenden Paare',
+  'header.index': 'Index',
+  'header.indexTitle': 'Volumengewichteter Preis über alle Börsen',
+  'header.staleTitle': 'Keine Updates von der Börse - der Preis ist evtl. veraltet',
+  'header.volume': '24h-Volumen',
+  'header.high': '24h-Hoch',
+  'header.low': '24h-Tief',
+  'header.status': 'Status',
+
+  'index.venues': '{included}/{total} Börsen',
+  'index.venue': 'Börse',
+  'index.price': 'Preis',
+  'index.deviation': 'Abw.',
+  'index.age': 'Alter',
+  'index.stale': 'veraltet',
+  'index.outlier': 'Ausreißer',
+  'index.waiting': 'wartet',
+  'index.note': 'Gewichtet nach 24h-Volumen. Börsen, die seit {seconds}s schweigen oder mehr als {percent}% vom Median abweichen, werden ausgelassen.',
+
+  'panel.chart': 'Chart',
+  'panel.orderbook': 'Orderbuch',
+  'panel.trades': 'Trades',
+  'panel.news': 'News',
+  'panel.newsTicker': 'News-Ticker',
+  'panel.alerts': 'Alarme',
+  'panel.portfolio': 'Portfolio',
+
+  'layout.label': 'Layout',
+  'layout.edit': 'Bearbeiten',
+  'layout.done': 'Fertig',
+  'layout.addPanel': '+ Panel hinzufügen',
+  'layout.saveAs': 'Speichern unter...',
+  'layout.namePlaceholder': 'Layout-Name',
+  'layout.save': 'Speichern',
+  'layout.cancel': 'Abbrechen',
+  'layout.reset': 'Zurücksetzen',
+  'layout.delete': 'Löschen',
+  'layout.export': 'Exportieren',
+  'layout.import': 'Importieren',
+  'layout.hidePanel': 'Panel ausblenden',
+  'layout.resize': 'Größe ändern',
+
+  'chart.candle': 'Kerzen',
+  'chart.bar': 'Balken',
+  'chart.heikin': 'Heikin-Ashi',
+  'chart.line': 'Linie',
+  'chart.area': 'Fläche',
+  'chart.pnlTitle': 'GuV-Kurve des Portfolios',
+  'chart.loading': 'Chart wird geladen...',
+  'chart.loadingHistory': 'Historie wird geladen...',
+  'chart.error': 'Chartdaten konnten nicht geladen werden',
+
+  'indicators.button': 'Indikatoren',
+  'indicators.active': 'Aktiv',
+  'indicators.overlays': 'Overlays',
+  'indicators.oscillators': 'Oszillatoren',
+  'indicators.remove': 'Indikator entfernen',
+
+  'drawings.hline': 'Horizontale Linie',
+  'drawings.trendline': 'Trendlinie',
+  'drawings.ray': 'Strahl',
+  'drawings.rectangle': 'Rechteck',
+  'drawings.fib': 'Fibonacci-Retracement (vom Anfang der Bewegung zu ihrem Ende ziehen)',
+  'drawings.text': 'Textnotiz',
+  'drawings.textPrompt': 'Text der Notiz',
+  'drawings.delete': 'Ausgewählte Zeichnung löschen (Entf)',
+
+  'export.button': 'Export',
+  'export.candlesCsv': 'Kerzen (CSV)',
+  'export.candlesJson': 'Kerzen (JSON)',
+  'export.orderBookCsv': 'Orderbuch (CSV)',
+  'export.orderBookUnavailable': 'Orderbuch (Panel einblenden)',
+  'export.image': 'Chart-Bild (PNG)',
+  'export.failed': 'Export fehlgeschlagen - bitte erneut versuchen',
+
+  'compare.button': 'Vergleichen',
+  'compare.placeholder': 'Binance-Symbol, z. B. BTCUSDT',
+  'compare.add': 'Hinzufügen',
+  'compare.hint': 'Als %-Änderung seit der ersten Kerze',
+  'compare.full': 'Höchstens {max} Vergleiche',
+  'compare.loading': 'lädt...',
+  'compare.error': 'nicht verfügbar',
+  'compare.remove': 'Vergleich entfernen',
+
+  'orderbook.title': 'Orderbuch',
+  'orderbook.book': 'Buch',
+  'orderbook.depth': 'Tiefe',
+  'orderbook.grouping': 'Preisstufen gruppieren',
+  'orderbook.price': 'Preis ({currency})',
+  'orderbook.amount': 'Menge ({base})',
+  'orderbook.total': 'Summe',
+  'orderbook.spread': 'Spread',
+
+  'depth.range': 'Bereich',
+  'depth.waiting': 'Warte auf Orderbuch...',
+  'depth.fromMid': '{distance}% vom Mittelkurs',
+
+  'trades.title': 'Trades',
+  'trades.large': 'Groß ≥',
+  'trades.buy': '{percent}% Kauf',
+  'trades.sell': '{percent}% Verkauf',
+  'trades.time': 'Zeit',
+  'trades.price': 'Preis ({currency})',
+  'trades.size': 'Größe ({base})',
+  'trades.waiting': 'Warte auf Trades...',
+
+  'news.title': 'Aktuelle News',
+  'news.updated': 'Aktualisiert {time}',
+  'news.refresh': 'News aktualisieren',
+  'news.loading': 'News werden geladen...',
+  'news.error': 'News konnten nicht geladen werden',
+  'news.retry': 'Erneut versuchen',
+  'news.compact': 'News',
+
+  'alerts.title': 'Preisalarme',
+  'alerts.alerts': 'Alarme',
+  'alerts.history': 'Verlauf',
+  'alerts.mute': 'Alarmton aus',
+  'alerts.unmute': 'Alarmton an',
+  'alerts.type.above': 'Steigt über',
+  'alerts.type.below': 'Fällt unter',
+  'alerts.type.percent': 'Bewegt sich %',
+  'alerts.type.high24h': 'Bricht 24h-Hoch',
+  'alerts.type.low24h': 'Bricht 24h-Tief',
+  'alerts.window': 'Zeitfenster',
+  'alerts.windowOption': 'in {minutes} Min.',
+  'alerts.once': 'Einmal',
+  'alerts.repeat': 'Wiederholen',
+  'alerts.add': 'Hinzufügen',
+  'alerts.blocked': 'Browser-Benachrichtigungen sind blockiert - Alarme erscheinen nur hier',
+  'alerts.empty': 'Noch keine Alarme - lege oben einen für {pair} an',
+  'alerts.noHistory': 'Noch nichts ausgelöst',
+  'alerts.clearHistory': 'Verlauf löschen',
+  'alerts.otherPair': 'Wird geprüft, solange dieses Paar ausgewählt ist',
+  'alerts.pause': 'Pausieren',
+  'alerts.rearm': 'Wieder scharf schalten',
+  'alerts.firedAt': 'ausgelöst {time}',
+  'alerts.describe.above': '{pair} über {price}',
+  'alerts.describe.below': '{pair} unter {price}',
+  'alerts.describe.percent': '{pair} bewegt sich ±{percent}% in {minutes} Min.',
+  'alerts.describe.high24h': '{pair} bricht 24h-Hoch',
+  'alerts.describe.low24h': '{pair} bricht 24h-Tief',
+  'alerts.message.above': 'Über {level} gestiegen — jetzt {price}',
+  'alerts.message.below': 'Unter {level} gefallen — jetzt {price}',
+  'alerts.message.percent': '{change}% in {minutes} Min. bewegt — jetzt {price}',
+  'alerts.message.high24h': 'Neues 24h-Hoch — {price}',
+  'alerts.message.low24h': 'Neues 24h-Tief — {price}',
+
+  'portfolio.title': 'Portfolio',
+  'portfolio.import': 'CSV importieren',
+  'portfolio.export': 'CSV exportieren',
+  'portfolio.position': 'Position',
+  'portfolio.value': 'Wert',
+  'portfolio.avgCost': 'Ø Einstand',
+  'portfolio.unrealized': 'Unrealisierte GuV',
+  'portfolio.costPlaceholder': 'Einstand $',
+  'portfolio.add': 'Kauf hinzufügen',
+  'portfolio.importedOne': '1 Kauf importiert',
+  'portfolio.imported': '{count} Käufe importiert',
+  'portfolio.date': 'Datum',
+  'portfolio.cost': 'Kosten',
+  'portfolio.price': 'Preis',
+  'portfolio.pnl': 'GuV',
+  'portfolio.empty': 'Noch keine Käufe - oben einen eintragen oder eine CSV importieren',
+  'portfolio.remove': 'Kauf entfernen',
+
+  'footer.data': 'Daten von {exchange} & CryptoCompare • Keine Anlageberatung',
+
+  'feeds.summary': '{live}/{total} Feeds live',
+  'feeds.feed': 'Feed',
+  'feeds.state': 'Status',
+  'feeds.lastMessage': 'Letzte Nachr.',
+  'feeds.rate': 'Nachr./s',
+  'feeds.latency': 'Latenz',
+  'feeds.reconnects': 'Neuverb.',
+  'feeds.none': 'Keine Live-Feeds',
+  'feeds.live': 'live',
+  'feeds.stale': 'veraltet',
+  'feeds.connecting': 'verbindet',
+  'feeds.error': 'Fehler',
+  'feeds.note': 'Veraltet nach {ticker}s ohne Nachricht ({trades}s für Trades, {klines}s für Kerzen). Die Latenz wird an der Uhr der Börse gemessen.',
+
+  'recorder.record': '● Aufnehmen',
+  'recorder.recording': 'REC',
+  'recorder.messages': '{count} Nachrichten',
+  'recorder.stop': 'Stopp',
+  'recorder.download': 'Herunterladen ({count})',
+  'recorder.replayFile': 'Datei abspielen',
+  'recorder.replay': 'WIEDERGABE',
+  'recorder.max': 'Max',
+  'recorder.exit': 'Wiedergabe beenden',
+}
+
+const es = {
+  'status.live': '● En vivo',
+  'status.stale': '○ Sin datos',
+  'status.connecting': '○ Conectando...',
+  'status.syncing': '○ Sincronizando',
+  'time.justNow': 'ahora mismo',
+  'common.remove': 'Eliminar',
+
+  'header.exchange': 'Exchange',
+  'header.currency': 'Moneda de visualización (los pares cotizados en cripto se quedan en su cotización)',
+  'header.language': 'Idioma',
+  'header.searchPair': 'Buscar par...',
+  'header.noPairs': 'Ningún par coincide',
+  'header.index': 'Índice',
+  'header.indexTitle': 'Precio ponderado por volumen entre exchanges',
+  'header.staleTitle': 'Sin actualizaciones del exchange - el precio puede estar desfasado',
+  'header.volume': 'Volumen 24h',
+  'header.high': 'Máximo 24h',
+  'header.low': 'Mínimo 24h',
+  'header.status': 'Estado',
+
+  'index.venues': '{included}/{total} exchanges',
+  'index.venue': 'Exchange',
+  'index.price': 'Precio',
+  'index.deviation': 'Desv.',
+  'index.age': 'Edad',
+  'index.stale': 'sin datos',
+  'index.outlier': 'atípico',
+  'index.waiting': 'esperando',
+  'index.note': 'Ponderado por volumen 24h. Se excluyen los exchanges sin datos durante {seconds}s o a más de un {percent}% de la mediana.',
+
+  'panel.chart': 'Gráfico',
+  'panel.orderbook': 'Libro de órdenes',
+  'panel.trades': 'Operaciones',
+  'panel.news': 'Noticias',
+  'panel.newsTicker': 'Cinta de noticias',
+  'panel.alerts': 'Alertas',
+  'panel.portfolio': 'Cartera',
+
+  'layout.label': 'Diseño',
+  'layout.edit': 'Editar',
+  'layout.done': 'Listo',
+  'layout.addPanel': '+ Añadir panel',
+  'layout.saveAs': 'Guardar como...',
+  'layout.namePlaceholder': 'Nombre del diseño',
+  'layout.save': 'Guardar',
+  'layout.cancel': 'Cancelar',
+  'layout.reset': 'Restablecer',
+  'layout.delete': 'Eliminar',
+  'layout.export': 'Exportar',
+  'layout.import': 'Importar',
+  'layout.hidePanel': 'Ocultar panel',
+  'layout.resize': 'Redimensionar',
+
+  'chart.candle': 'Velas',
+  'chart.bar': 'Barras',
+  'chart.heikin': 'Heikin-Ashi',
+  'chart.line': 'Línea',
+  'chart.area': 'Área',
+  'chart.pnlTitle': 'Curva de P&G de la cartera',
+  'chart.loading': 'Cargando gráfico...',
+  'chart.loadingHistory': 'Cargando historial...',
+  'chart.error': 'No se pudieron cargar los datos del gráfico',
+
+  'indicators.button': 'Indicadores',
+  'indicators.active': 'Activos',
+  'indicators.overlays': 'Superpuestos',
+  'indicators.oscillators': 'Osciladores',
+  'indicators.remove': 'Quitar indicador',
+
+  'drawings.hline': 'Línea horizontal',
+  'drawings.trendline': 'Línea de tendencia',
+  'drawings.ray': 'Rayo',
+  'drawings.rectangle': 'Rectángulo',
+  'drawings.fib': 'Retroceso de Fibonacci (arrastra desde el inicio del movimiento hasta su final)',
+  'drawings.text': 'Nota de texto',
+  'drawings.textPrompt': 'Texto de la nota',
+  'drawings.delete': 'Eliminar el dibujo seleccionado (Supr)',
+
+  'export.button': 'Exportar',
+  'export.candlesCsv': 'Velas (CSV)',
+  'export.candlesJson': 'Velas (JSON)',
+  'export.orderBookCsv': 'Libro de órdenes (CSV)',
+  'export.orderBookUnavailable': 'Libro de órdenes (muestra su panel)',
+  'export.image': 'Imagen del gráfico (PNG)',
+  'export.failed': 'La exportación falló; inténtalo de nuevo',
+
+  'compare.button': 'Comparar',
+  'compare.placeholder': 'Símbolo de Binance, p. ej. BTCUSDT',
+  'compare.add': 'Añadir',
+  'compare.hint': 'Como % de cambio desde la primera vela',
+  'compare.full': 'Hasta {max} comparaciones',
+  'compare.loading': 'cargando...',
+  'compare.error': 'no disponible',
+  'compare.remove': 'Quitar comparación',
+
+  'orderbook.title': 'Libro de órdenes',
+  'orderbook.book': 'Libro',
+  'orderbook.depth': 'Profundidad',
+  'orderbook.grouping': 'Agrupar niveles de precio',
+  'orderbook.price': 'Precio ({currency})',
+  'orderbook.amount': 'Cantidad ({base})',
+  'orderbook.total': 'Total',
+  'orderbook.spread': 'Diferencial',
+
+  'depth.range': 'Rango',
+  'depth.waiting': 'Esperando el libro de órdenes...',
+  'depth.fromMid': '{distance}% desde el medio',
+
+  'trades.title': 'Operaciones',
+  'trades.large': 'Grande ≥',
+  'trades.buy': '{percent}% compra',
+  'trades.sell': '{percent}% venta',
+  'trades.time': 'Hora',
+  'trades.price': 'Precio ({currency})',
+  'trades.size': 'Tamaño ({base})',
+  'trades.waiting': 'Esperando operaciones...',
+
+  'news.title': 'Últimas noticias',
+  'news.updated': 'Actualizado {time}',
+  'news.refresh': 'Actualizar noticias',
+  'news.loading': 'Cargando noticias...',
+  'news.error': 'No se pudieron cargar las noticias',
+  'news.retry': 'Reintentar',
+  'news.compact': 'Noticias',
+
+  'alerts.title': 'Alertas de precio',
+  'alerts.alerts': 'Alertas',
+  'alerts.history': 'Historial',
+  'alerts.mute': 'Silenciar alertas',
+  'alerts.unmute': 'Activar sonido de alertas',
+  'alerts.type.above': 'Sube por encima de',
+  'alerts.type.below': 'Baja por debajo de',
+  'alerts.type.percent': 'Se mueve %',
+  'alerts.type.high24h': 'Rompe el máximo 24h',
+  'alerts.type.low24h': 'Rompe el mínimo 24h',
+  'alerts.window': 'Ventana',
+  'alerts.windowOption': 'en {minutes} min',
+  'alerts.once': 'Una vez',
+  'alerts.repeat': 'Repetir',
+  'alerts.add': 'Añadir',
+  'alerts.blocked': 'Las notificaciones del navegador están bloqueadas - las alertas solo se verán aquí',
+  'alerts.empty': 'Aún no hay alertas - crea una para {pair} arriba',
+  'alerts.noHistory': 'Todavía no se ha disparado nada',
+  'alerts.clearHistory': 'Borrar historial',
+  'alerts.otherPair': 'Se comprueba mientras este par esté seleccionado',
+  'alerts.pause': 'Pausar',
+  'alerts.rearm': 'Reactivar',
+  'alerts.firedAt': 'disparada {time}',
+  'alerts.describe.above': '{pair} por encima de {price}',
+  'alerts.describe.below': '{pair} por debajo de {price}',
+  'alerts.describe.percent': '{pair} se mueve ±{percent}% en {minutes} min',
+  'alerts.describe.high24h': '{pair} rompe el máximo 24h',
+  'alerts.describe.low24h': '{pair} rompe el mínimo 24h',
+  'alerts.message.above': 'Ha subido por encima de {level} — ahora {price}',
+  'alerts.message.below': 'Ha bajado por debajo de {level} — ahora {price}',
+  'alerts.message.percent': 'Se ha movido {change}% en {minutes} min — ahora {price}',
+  'alerts.message.high24h': 'Nuevo máximo 24h — {price}',
+  'alerts.message.low24h': 'Nuevo mínimo 24h — {price}',
+
+  'portfolio.title': 'Cartera',
+  'portfolio.import': 'Importar CSV',
+  'portfolio.export': 'Exportar CSV',
+  'portfolio.position': 'Posición',
+  'portfolio.value': 'Valor',
+  'portfolio.avgCost': 'Coste medio',
+  'portfolio.unrealized': 'P&G no realizadas',
+  'portfolio.costPlaceholder': 'Coste base $',
+  'portfolio.add': 'Añadir lote',
+  'portfolio.importedOne': '1 lote importado',
+  'portfolio.imported': '{count} lotes importados',
+  'portfolio.date': 'Fecha',
+  'portfolio.cost': 'Coste',
+  'portfolio.price': 'Precio',
+  'portfolio.pnl': 'P&G',
+  'portfolio.empty': 'Aún no hay lotes - añade una compra arriba o importa un CSV',
+  'portfolio.remove': 'Eliminar lote',
+
+  'footer.data': 'Datos de {exchange} y CryptoCompare • No es asesoramiento financiero',
+
+  'feeds.summary': '{live}/{total} fuentes en vivo',
+  'feeds.feed': 'Fuente',
+  'feeds.state': 'Estado',
+  'feeds.lastMessage': 'Últ. msj.',
+  'feeds.rate': 'Msj./s',
+  'feeds.latency': 'Latencia',
+  'feeds.reconnects': 'Reconex.',
+  'feeds.none': 'No hay fuentes en vivo',
+  'feeds.live': 'en vivo',
+  'feeds.stale': 'desactualizada',
+  'feeds.connecting': 'conectando',
+  'feeds.error': 'error',
+  'feeds.note': 'Desactualizada tras {ticker}s sin mensajes ({trades}s para operaciones, {klines}s para velas). La latencia se mide con el reloj del exchange.',
+
+  'recorder.record': '● Grabar',
+  'recorder.recording': 'REC',
+  'recorder.messages': '{count} mensajes',
+  'recorder.stop': 'Detener',
+  'recorder.download': 'Descargar ({count})',
+  'recorder.replayFile': 'Reproducir archivo',
+  'recorder.replay': 'REPRODUCCIÓN',
+  'recorder.max': 'Máx.',
+  'recorder.exit': 'Salir de la reproducción',
+}
+
+const ja = {
+  'status.live': '● ライブ',
+  'status.stale': '○ 更新停止',
+  'status.connecting': '○ 接続中...',
+  'status.syncing': '○ 同期中',
+  'time.justNow': 'たった今',
+  'common.remove': '削除',
+
+  'header.exchange': '取引所',
+  'header.currency': '表示通貨（暗号資産建てのペアは建値のまま）',
+  'header.language': '言語',
+  'header.searchPair': 'ペアを検索...',
+  'header.noPairs': '一致するペアがありません',
+  'header.index': 'インデックス',
+  'header.indexTitle': '取引所横断の出来高加重価格',
+  'header.staleTitle': '取引所からの更新がありません - 価格が古い可能性があります',
+  'header.volume': '24時間出来高',
+  'header.high': '24時間高値',
+  'header.low': '24時間安値',
+  'header.status': 'ステータス',
+
+  'index.venues': '{included}/{total} 取引所',
+  'index.venue': '取引所',
+  'index.price': '価格',
+  'index.deviation': '乖離',
+  'index.age': '経過',
+  'index.stale': '更新停止',
+  'index.outlier': '外れ値',
+  'index.waiting': '待機中',
+  'index.note': '24時間出来高で加重。{seconds}秒以上更新のない取引所と、中央値から{percent}%以上離れた取引所は除外されます。',
+
+  'panel.chart': 'チャート',
+  'panel.orderbook': '板情報',
+  'panel.trades': '約定',
+  'panel.news': 'ニュース',
+  'panel.newsTicker': 'ニュースティッカー',
+  'panel.alerts': 'アラート',
+  'panel.portfolio': 'ポートフォリオ',
+
+  'layout.label': 'レイアウト',
+  'layout.edit': '編集',
+  'layout.done': '完了',
+  'layout.addPanel': '+ パネルを追加',
+  'layout.saveAs': '名前を付けて保存...',
+  'layout.namePlaceholder': 'レイアウト名',
+  'layout.save': '保存',
+  'layout.cancel': 'キャンセル',
+  'layout.reset': 'リセット',
+  'layout.delete': '削除',
+  'layout.export': 'エクスポート',
+  'layout.import': 'インポート',
+  'layout.hidePanel': 'パネルを隠す',
+  'layout.resize': 'サイズ変更',
+
+  'chart.candle': 'ローソク足',
+  'chart.bar': 'バー',
+  'chart.heikin': '平均足',
+  'chart.line': 'ライン',
+  'chart.area': 'エリア',
+  'chart.pnlTitle': 'ポートフォリオ損益曲線',
+  'chart.loading': 'チャートを読み込み中...',
+  'chart.loadingHistory': '履歴を読み込み中...',
+  'chart.error': 'チャートデータを読み込めませんでした',
+
+  'indicators.button': 'インジケーター',
+  'indicators.active': '有効',
+  'indicators.overlays': 'オーバーレイ',
+  'indicators.oscillators': 'オシレーター',
+  'indicators.remove': 'インジケーターを削除',
+
+  'drawings.hline': '水平線',
+  'drawings.trendline': 'トレンドライン',
+  'drawings.ray': 'レイ',
+  'drawings.rectangle': '長方形',
+  'drawings.fib': 'フィボナッチ・リトレースメント（値動きの始点から終点へドラッグ）',
+  'drawings.text': 'テキストメモ',
+  'drawings.textPrompt': 'メモの内容',
+  'drawings.delete': '選択した描画を削除 (Del)',
+
+  'export.button': 'エクスポート',
+  'export.candlesCsv': 'ローソク足 (CSV)',
+  'export.candlesJson': 'ローソク足 (JSON)',
+  'export.orderBookCsv': '板情報 (CSV)',
+  'export.orderBookUnavailable': '板情報 (パネルを表示してください)',
+  'export.image': 'チャート画像 (PNG)',
+  'export.failed': 'エクスポートに失敗しました。もう一度お試しください',
+
+  'compare.button': '比較',
+  'compare.placeholder': 'Binanceのシンボル (例: BTCUSDT)',
+  'compare.add': '追加',
+  'compare.hint': '最初のローソク足からの変化率(%)で表示',
+  'compare.full': '比較は最大{max}件まで',
+  'compare.loading': '読み込み中...',
+  'compare.error': '利用不可',
+  'compare.remove': '比較を削除',
+
+  'orderbook.title': '板情報',
+  'orderbook.book': '板',
+  'orderbook.depth': '深さ',
+  'orderbook.grouping': '価格帯をまとめる',
+  'orderbook.price': '価格 ({currency})',
+  'orderbook.amount': '数量 ({base})',
+  'orderbook.total': '累計',
+  'orderbook.spread': 'スプレッド',
+
+  'depth.range': '範囲',
+  'depth.waiting': '板情報を待っています...',
+  'depth.fromMid': '仲値から {distance}%',
+
+  'trades.title': '約定',
+  'trades.large': '大口 ≥',
+  'trades.buy': '買い {percent}%',
+  'trades.sell': '売り {percent}%',
+  'trades.time': '時刻',
+  'trades.price': '価格 ({currency})',
+  'trades.size': '数量 ({base})',
+  'trades.waiting': '約定を待っています...',
+
+  'news.title': '最新ニュース',
+  'news.updated': '更新: {time}',
+  'news.refresh': 'ニュースを更新',
+  'news.loading': 'ニュースを読み込み中...',
+  'news.error': 'ニュースを読み込めませんでした',
+  'news.retry': '再試行',
+  'news.compact': 'ニュース',
+
+  'alerts.title': '価格アラート',
+  'alerts.alerts': 'アラート',
+  'alerts.history': '履歴',
+  'alerts.mute': 'アラート音をミュート',
+  'alerts.unmute': 'アラート音を有効にする',
+  'alerts.type.above': '上抜け',
+  'alerts.type.below': '下抜け',
+  'alerts.type.percent': '変動率 %',
+  'alerts.type.high24h': '24時間高値更新',
+  'alerts.type.low24h': '24時間安値更新',
+  'alerts.window': '期間',
+  'alerts.windowOption': '{minutes}分以内',
+  'alerts.once': '1回',
+  'alerts.repeat': '繰り返し',
+  'alerts.add': '追加',
+  'alerts.blocked': 'ブラウザ通知がブロックされています - アラートはここにのみ表示されます',
+  'alerts.empty': 'アラートはまだありません - 上で {pair} のアラートを設定できます',
+  'alerts.noHistory': 'まだ発動していません',
+  'alerts.clearHistory': '履歴を消去',
+  'alerts.otherPair': 'このペアを選択している間だけ判定されます',
+  'alerts.pause': '一時停止',
+  'alerts.rearm': '再開',
+  'alerts.firedAt': '{time} に発動',
+  'alerts.describe.above': '{pair} が {price} を上回る',
+  'alerts.describe.below': '{pair} が {price} を下回る',
+  'alerts.describe.percent': '{pair} が {minutes}分で ±{percent}% 変動',
+  'alerts.describe.high24h': '{pair} が24時間高値を更新',
+  'alerts.describe.low24h': '{pair} が24時間安値を更新',
+  'alerts.message.above': '{level} を上抜け — 現在 {price}',
+  'alerts.message.below': '{level} を下抜け — 現在 {price}',
+  'alerts.message.percent': '{minutes}分で {change}% 変動 — 現在 {price}',
+  'alerts.message.high24h': '24時間高値を更新 — {price}',
+  'alerts.message.low24h': '24時間安値を更新 — {price}',
+
+  'portfolio.title': 'ポートフォリオ',
+  'portfolio.import': 'CSVをインポート',
+  'portfolio.export': 'CSVをエクスポート',
+  'portfolio.position': 'ポジション',
+  'portfolio.value': '評価額',
+  'portfolio.avgCost': '平均取得単価',
+  'portfolio.unrealized': '含み損益',
+  'portfolio.costPlaceholder': '取得原価 $',
+  'portfolio.add': '追加',
+  'portfolio.importedOne': '1件インポートしました',
+  'portfolio.imported': '{count}件インポートしました',
+  'portfolio.date': '日付',
+  'portfolio.cost': '取得原価',
+  'portfolio.price': '単価',
+  'portfolio.pnl': '損益',
+  'portfolio.empty': 'まだ購入記録がありません - 上で追加するかCSVをインポートしてください',
+  'portfolio.remove': '購入記録を削除',
+
+  'footer.data': 'データ提供: {exchange} & CryptoCompare • 投資助言ではありません',
+
+  'feeds.summary': '{live}/{total} フィード稼働中',
+  'feeds.feed': 'フィード',
+  'feeds.state': '状態',
+  'feeds.lastMessage': '最終受信',
+  'feeds.rate': '件/秒',
+  'feeds.latency': '遅延',
+  'feeds.reconnects': '再接続',
+  'feeds.none': '稼働中のフィードはありません',
+  'feeds.live': '稼働中',
+  'feeds.stale': '停滞',
+  'feeds.connecting': '接続中',
+  'feeds.error': 'エラー',
+  'feeds.note': 'メッセージが{ticker}秒途絶えると停滞と判定します(取引は{trades}秒、ローソク足は{klines}秒)。遅延は取引所の時計を基準に計測します。',
+
+  'recorder.record': '● 録画',
+  'recorder.recording': 'REC',
+  'recorder.messages': '{count} 件のメッセージ',
+  'recorder.stop': '停止',
+  'recorder.download': 'ダウンロード ({count})',
+  'recorder.replayFile': 'ファイルを再生',
+  'recorder.replay': 'リプレイ',
+  'recorder.max': '最大',
+  'recorder.exit': 'リプレイを終了',
+}
+
+export const MESSAGES = { en, de, es, ja }
@@ -0,0 +1,57 @@
+/**
+ * Trading pairs available in the pair picker
+ *
+ * Why a static list instead of each exchange's market listing?
+ * - Binance's exchangeInfo is ~10MB and we only care about ETH markets
+ * - Lets us attach display metadata (decimals, currency sign) per pair
+ *
+ * Symbols are base + quote concatenated (ETH + USDT = ETHUSDT), the way
+ * Binance names them. Each exchange adapter lists which of these it trades
+ * and maps them to its own market names (ETH-USD, ETH/USD...).
+ */
+
+export const PAIRS = [
+  { symbol: 'ETHUSDT', base: 'ETH', quote: 'USDT', sign: '$', decimals: 2 },
+  { symbol: 'ETHUSD', base: 'ETH', quote: 'USD', sign: '$', decimals: 2 },
+  { symbol: 'ETHUSDC', base: 'ETH', quote: 'USDC', sign: '$', decimals: 2 },
+  { symbol: 'ETHFDUSD', base: 'ETH', quote: 'FDUSD', sign: '$', decimals: 2 },
+  { symbol: 'ETHBTC', base: 'ETH', quote: 'BTC', sign: '₿', decimals: 5 },
+  { symbol: 'ETHEUR', base: 'ETH', quote: 'EUR', sign: '€', decimals: 2 },
+  { symbol: 'ETHTRY', base: 'ETH', quote: 'TRY', sign: '₺', decimals: 0 },
+  { symbol: 'ETHBRL', base: 'ETH', quote: 'BRL', sign: 'R$', decimals: 2 },
+]
+
+export const DEFAULT_SYMBOL = 'ETHUSDT'
+
+/**
+ * Look up pair metadata, falling back to a generic entry for
+ * symbols not in our list so hooks still work with any valid pair
+ */
+export function getPair(symbol) {
+  return PAIRS.find(p => p.symbol === symbol) || {
+    symbol,
+    base: symbol.slice(0, 3),
+    quote: symbol.slice(3),
+    sign: '',
+    decimals: 2,
+  }
+}
+
+/**
+ * Order book grouping steps for a pair, finest first
+ * Derived from the price precision: 0.01 / 0.1 / 1 / 10 / 50 for USD pairs,
+ * 0.00001 ... 0.05 for ETH/BTC
+ */
+export function groupingSteps(symbol) {
+  const { decimals } = getPair(symbol)
+  const tick = 1 / Math.pow(10, decimals)
+  return [1, 10, 100, 1000, 5000].map(multiple => parseFloat((tick * multiple).toFixed(decimals)))
+}
+
+/**
+ * Display label, e.g. ETHUSDT -> ETH/USDT
+ */
+export function pairLabel(symbol) {
+  const { base, quote } = getPair(symbol)
+  return `${base}/${quote}`
+}
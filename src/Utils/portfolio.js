@@ -0,0 +1,114 @@
+/**
+ * Portfolio lots and P&L math
+ *
+ * A lot is one purchase, kept as a plain object so it can live in
+ * localStorage (and a CSV row) as-is:
+ * { id, date: 'YYYY-MM-DD', amount (ETH), cost (total paid in USD, fees included) }
+ *
+ * Why total cost instead of a price per ETH?
+ * - It's what a statement or receipt shows, fees and all
+ * - Average cost is then simply total cost / total amount
+ *
+ * CSV format (header required, extra columns ignored):
+ *   date,amount,cost_basis
+ *   2024-03-01,1.5,5250.00
+ */
+
+const CSV_COLUMNS = ['date', 'amount', 'cost_basis']
+
+let nextId = 0
+
+export function createLot({ date, amount, cost }) {
+  return {
+    id: `lot-${Date.now().toString(36)}-${nextId++}`,
+    date,
+    amount,
+    cost,
+  }
+}
+
+/**
+ * Unix seconds of a lot's date (start of day, UTC) - the chart's time unit
+ */
+function lotTime(lot) {
+  return Date.parse(lot.date) / 1000
+}
+
+/**
+ * Totals for a set of lots at `price` (USD per ETH, null while unknown):
+ * { amount, cost, averageCost, value, pnl, pnlPercent }
+ */
+export function summarizeLots(lots, price) {
+  const amount = lots.reduce((sum, lot) => sum + lot.amount, 0)
+  const cost = lots.reduce((sum, lot) => sum + lot.cost, 0)
+  const value = price != null ? amount * price : null
+  const pnl = value != null ? value - cost : null
+
+  return {
+    amount,
+    cost,
+    averageCost: amount > 0 ? cost / amount : null,
+    value,
+    pnl,
+    pnlPercent: pnl != null && cost > 0 ? (pnl / cost) * 100 : null,
+  }
+}
+
+/**
+ * Unrealized P&L at each candle's close, for the lots held by then:
+ * [{ time, value }] - starts at the candle the first lot was bought in
+ */
+export function pnlCurve(lots, candles) {
+  const sorted = [...lots].sort((a, b) => lotTime(a) - lotTime(b))
+  const points = []
+  let held = 0
+  let amount = 0
+  let cost = 0
+
+  candles.forEach((candle, i) => {
+    // A lot counts from the candle its date falls in
+    const candleEnd = candles[i + 1]?.time ?? Infinity
+    while (held < sorted.length && lotTime(sorted[held]) < candleEnd) {
+      amount += sorted[held].amount
+      cost += sorted[held].cost
+      held++
+    }
+    if (held > 0) {
+      points.push({ time: candle.time, value: amount * candle.close - cost })
+    }
+  })
+  return points
+}
+
+/**
+ * CSV text for a set of lots
+ */
+export function lotsToCsv(lots) {
+  const rows = lots.map(lot => [lot.date, lot.amount, lot.cost].join(','))
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+}
+
+/**
+ * Lots from CSV text, throwing with the line number on anything unreadable
+ */
+export function lotsFromCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim())
+  const header = (lines.shift() || '').split(',').map(name => name.trim().toLowerCase())
+  const columns = CSV_COLUMNS.map(name => header.indexOf(name))
+
+  if (columns.includes(-1)) {
+    throw new Error(`CSV needs a header with ${CSV_COLUMNS.join(', ')}`)
+  }
+
+  return lines.map((line, i) => {
+    const cells = line.split(',').map(cell => cell.trim())
+    const [date, amount, cost] = columns.map(column => cells[column])
+
+    const lot = { date, amount: parseFloat(amount), cost: parseFloat(cost) }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)) ||
+        !(lot.amount > 0) || !(lot.cost >= 0)) {
+      throw new Error(`Line ${i + 2}: expected date (YYYY-MM-DD), amount and cost basis`)
+    }
+    return createLot(lot)
+  })
+}
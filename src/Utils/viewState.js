@@ -0,0 +1,129 @@
+import { INDICATORS, INDICATOR_PALETTE, defaultParams } from './indicators'
+import { DEFAULT_SYMBOL } from './pairs'
+import { MAX_COMPARISONS, createComparison, normalizeSymbol } from './comparison'
+import { DEFAULT_EXCHANGE } from '../adapters'
+
+/**
+ * Dashboard view state <-> URL query string
+ *
+ * Why the URL?
+ * - A link reproduces the exact view: pair, exchange, timeframe, chart
+ *   type, indicators with their settings, compared symbols, visible
+ *   range, book grouping
+ * - Reloading keeps it, and back/forward step through view changes
+ *
+ * Format (only values that differ from VIEW_DEFAULTS are written):
+ *   ?symbol=ETHBTC&exchange=kraken&tf=1W&type=heikin
+ *    &ind=sma_20&ind=bollinger_20_2.5&cmp=BTCUSDT&range=1717000000-1717600000&group=2
+ * - ind:   one per indicator, type then its params in definition order
+ * - cmp:   one per comparison overlay, its Binance symbol
+ * - range: visible time range, unix seconds
+ * - group: order book grouping step, as an index into the pair's steps
+ *
+ * Parameters this module doesn't own (sim, simSeed...) are left alone.
+ */
+
+export const VIEW_DEFAULTS = {
+  symbol: DEFAULT_SYMBOL,
+  exchange: DEFAULT_EXCHANGE,
+  timeframe: '1D',
+  chartType: 'candle',
+  indicators: [],
+  comparisons: [],    // [{ symbol, color }], see utils/comparison.js
+  range: null,        // { from, to } in unix seconds
+  grouping: 0,
+}
+
+const OWN_PARAMS = ['symbol', 'exchange', 'tf', 'type', 'ind', 'cmp', 'range', 'group']
+
+/**
+ * "bollinger_20_2.5" -> indicator instance, or null if it isn't one
+ */
+function decodeIndicator(text, index) {
+  const [type, ...values] = text.split('_')
+  const definition = INDICATORS[type]
+  if (!definition) return null
+
+  const params = defaultParams(type)
+  definition.params.forEach((param, i) => {
+    const value = parseFloat(values[i])
+    if (Number.isFinite(value)) {
+      params[param.key] = Math.min(param.max, Math.max(param.min, value))
+    }
+  })
+
+  return {
+    id: `${type}-url${index}`,
+    type,
+    params,
+    color: INDICATOR_PALETTE[index % INDICATOR_PALETTE.length],
+  }
+}
+
+function encodeIndicator({ type, params }) {
+  return [type, ...INDICATORS[type].params.map(param => params[param.key])].join('_')
+}
+
+/**
+ * Whether a query string carries any view state (vs. a bare link)
+ */
+export function hasViewState(search) {
+  const params = new URLSearchParams(search)
+  return OWN_PARAMS.some(name => params.has(name))
+}
+
+/**
+ * View state from a query string, `defaults` for anything missing or unreadable.
+ * Values are passed through as-is where the consumer knows better what's
+ * valid: symbol and exchange (App falls back), timeframe and chart type (Chart).
+ */
+export function parseViewState(search, defaults = VIEW_DEFAULTS) {
+  const params = new URLSearchParams(search)
+  const view = { ...defaults }
+
+  if (params.get('symbol')) view.symbol = params.get('symbol').toUpperCase()
+  if (params.get('exchange')) view.exchange = params.get('exchange').toLowerCase()
+  if (params.get('tf')) view.timeframe = params.get('tf')
+  if (params.get('type')) view.chartType = params.get('type')
+
+  if (params.has('ind')) {
+    view.indicators = params.getAll('ind')
+      .map(decodeIndicator)
+      .filter(Boolean)
+  }
+
+  if (params.has('cmp')) {
+    const symbols = [...new Set(params.getAll('cmp').map(normalizeSymbol).filter(Boolean))]
+    view.comparisons = symbols
+      .slice(0, MAX_COMPARISONS)
+      .reduce((list, symbol) => [...list, createComparison(symbol, list)], [])
+  }
+
+  const [from, to] = (params.get('range') || '').split('-').map(Number)
+  if (from > 0 && to > from) view.range = { from, to }
+
+  const grouping = parseInt(params.get('group'), 10)
+  if (grouping > 0) view.grouping = grouping
+
+  return view
+}
+
+/**
+ * Query string for a view, keeping any parameters we don't own from `search`
+ */
+export function serializeViewState(view, search = '') {
+  const params = new URLSearchParams(search)
+  OWN_PARAMS.forEach(name => params.delete(name))
+
+  if (view.symbol !== VIEW_DEFAULTS.symbol) params.set('symbol', view.symbol)
+  if (view.exchange !== VIEW_DEFAULTS.exchange) params.set('exchange', view.exchange)
+  if (view.timeframe !== VIEW_DEFAULTS.timeframe) params.set('tf', view.timeframe)
+  if (view.chartType !== VIEW_DEFAULTS.chartType) params.set('type', view.chartType)
+  view.indicators.forEach(indicator => params.append('ind', encodeIndicator(indicator)))
+  view.comparisons.forEach(comparison => params.append('cmp', comparison.symbol))
+  if (view.range) params.set('range', `${Math.round(view.range.from)}-${Math.round(view.range.to)}`)
+  if (view.grouping) params.set('group', String(view.grouping))
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
@@ -0,0 +1,151 @@
+import React, { useState } from 'react'
+import ReactDOM from 'react-dom/client'
+import { PriceHeader } from './components/PriceHeader'
+import { Chart } from './components/Chart'
+import { OrderBook } from './components/OrderBook'
+import { usePrice } from './hooks/usePrice'
+import { useCompositePrice } from './hooks/useCompositePrice'
+import { DEFAULT_SYMBOL } from './utils/pairs'
+import { getAdapter, supportedSymbol } from './adapters'
+import styles from './index.css?inline'
+
+/**
+ * Embeddable widgets - dashboard panels as custom elements
+ *
+ *   <script src="eth-ticker.iife.js"></script>
+ *   <eth-ticker symbol="ETHUSDT" exchange="binance" theme="dark"></eth-ticker>
+ *   <eth-chart symbol="ETHBTC" height="250"></eth-chart>
+ *   <eth-orderbook symbol="ETHUSDT" levels="8" height="360"></eth-orderbook>
+ *
+ * Why custom elements with a shadow root?
+ * - Works in any page (wiki, other apps) without React on the host side
+ * - Our stylesheet (Tailwind, preflight included) is injected into each
+ *   widget's shadow root, so it can't restyle the host page and the host's
+ *   CSS can't reach in
+ *
+ * Attributes (all optional, changes apply immediately):
+ * - symbol:   pair, e.g. ETHUSDT (default) - falls back like the app does
+ *             when the exchange doesn't trade it
+ * - exchange: binance (default), coinbase, kraken
+ * - theme:    dark (default) or light - light inverts the dark palette,
+ *             which keeps the up/down colors recognisable
+ * - eth-ticker:    index="true" starts on the composite index price
+ * - eth-chart:     height of the price pane in px (default 300)
+ * - eth-orderbook: levels per side (default 10), height in px (default 400)
+ *
+ * Built as a standalone script with `npm run build:embed` (React included).
+ */
+
+// index.css sets these on <body>, which a shadow root doesn't have
+const HOST_STYLES = `
+:host {
+  display: block;
+  color: #e0e0e0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+:host([theme="light"]) .eth-widget {
+  filter: invert(1) hue-rotate(180deg);
+}
+`
+
+// The header's own pickers keep working inside the widget
+function TickerWidget({ symbol, exchange, index }) {
+  const [exchangeId, setExchangeId] = useState(() => getAdapter(exchange).id)
+  const [pair, setPair] = useState(() => supportedSymbol(exchangeId, symbol || DEFAULT_SYMBOL))
+  const [showIndex, setShowIndex] = useState(index === 'true')
+  const priceData = usePrice(pair, exchangeId)
+  const composite = useCompositePrice(pair, showIndex)
+
+  const changeExchange = (next) => {
+    setExchangeId(next)
+    setPair(current => supportedSymbol(next, current))
+  }
+
+  return (
+    <PriceHeader
+      {...priceData}
+      symbol={pair}
+      onSymbolChange={setPair}
+      exchange={exchangeId}
+      onExchangeChange={changeExchange}
+      composite={composite}
+      showIndex={showIndex}
+      onShowIndexChange={setShowIndex}
+    />
+  )
+}
+
+function ChartWidget({ symbol, exchange, height }) {
+  const exchangeId = getAdapter(exchange).id
+  return (
+    <Chart
+      symbol={supportedSymbol(exchangeId, symbol || DEFAULT_SYMBOL)}
+      exchange={exchangeId}
+      height={Number(height) || 300}
+    />
+  )
+}
+
+function OrderBookWidget({ symbol, exchange, levels, height }) {
+  const exchangeId = getAdapter(exchange).id
+  return (
+    <div style={{ height: Number(height) || 400 }}>
+      <OrderBook
+        symbol={supportedSymbol(exchangeId, symbol || DEFAULT_SYMBOL)}
+        exchange={exchangeId}
+        levels={Number(levels) || 10}
+      />
+    </div>
+  )
+}
+
+/**
+ * Register `Widget` as custom element `tagName`, rendering it into a
+ * shadow root with `attributes` passed through as props
+ */
+function defineWidget(tagName, Widget, attributes) {
+  if (customElements.get(tagName)) return
+
+  customElements.define(tagName, class extends HTMLElement {
+    static observedAttributes = attributes
+
+    connectedCallback() {
+      const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' })
+      const style = document.createElement('style')
+      style.textContent = styles + HOST_STYLES
+      const container = document.createElement('div')
+      container.className = 'eth-widget'
+      shadow.replaceChildren(style, container)
+
+      this.root = ReactDOM.createRoot(container)
+      this.renderWidget()
+    }
+
+    disconnectedCallback() {
+      this.root?.unmount()
+      this.root = null
+    }
+
+    attributeChangedCallback() {
+      this.renderWidget()
+    }
+
+    renderWidget() {
+      if (!this.root) return
+      const props = Object.fromEntries(attributes.map(name => [name, this.getAttribute(name)]))
+
+      // A new symbol/exchange from the host resets the widget's own picks
+      this.root.render(
+        <React.StrictMode>
+          <Widget key={`${props.symbol}:${props.exchange}`} {...props} />
+        </React.StrictMode>,
+      )
+    }
+  })
+}
+
+defineWidget('eth-ticker', TickerWidget, ['symbol', 'exchange', 'index'])
+defineWidget('eth-chart', ChartWidget, ['symbol', 'exchange', 'height'])
+defineWidget('eth-orderbook', OrderBookWidget, ['symbol', 'exchange', 'levels', 'height'])
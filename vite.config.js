@@ -1,6 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
+// `vite build --mode embed` builds the embeddable widgets (src/embed.jsx)
+// as standalone scripts in dist-embed/ instead of the dashboard
+const embedConfig = {
+  // Library builds leave this to the host bundler - ours has to be self-contained
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist-embed',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/embed.jsx',
+      name: 'EthTickerEmbed',
+      formats: ['es', 'iife'],
+      fileName: (format) => `eth-ticker.${format}.js`,
+    },
+  },
+}
+
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
-})
+  ...(mode === 'embed' ? embedConfig : {}),
+}))